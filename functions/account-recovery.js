@@ -0,0 +1,474 @@
+const crypto = require('crypto');
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { consumeRateLimits, checkRateLimits, getCallerIp } = require('./rate-limiter');
+const { sendTemplatedNotification } = require('./notifications');
+const { getParentUid } = require('./device-registry');
+const { isConnectionCode } = require('./secure-family-functions');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Parent app recovery after reinstall. The new anonymous account proves it belongs to
+// the family with the connection code and elderly name, and then either:
+//   - presents the recovery secret set earlier with setRecoverySecret, or
+//   - waits for a child member to confirm through confirmParentRecovery.
+// On success the old parent UID (parentUid, see device-registry.js) is swapped for the new one.
+//
+// Pending requests: families/{familyId}/recovery_requests/{newUid}
+// Completed recoveries: families/{familyId}/recovery_events
+// Secret hashes: family_secrets/{familyId} (never readable by clients)
+
+// Failed attempts (no matching family, wrong secret) before lockout.
+// The per-code limit counts each caller IP separately, so guessing at a family's code
+// cannot lock the real parent out of recovering it.
+const RECOVERY_FAILURES_PER_USER = 5;
+const RECOVERY_FAILURES_PER_CODE = 10;
+const RECOVERY_FAILURES_PER_IP = 20;
+const RECOVERY_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// Children have this long to confirm a recovery request
+const RECOVERY_REQUEST_TTL_MS = 30 * 60 * 1000;
+
+const MIN_SECRET_LENGTH = 6;
+const SCRYPT_KEY_LENGTH = 32;
+
+// Forms of address removed before comparing names ("김영희 할머니" == "김영희")
+const HONORIFIC_SUFFIXES = ['할머니', '할아버지', '어머니', '아버지', '어머님', '아버님', '엄마', '아빠', '부모님', '님'];
+
+// Helper function to normalize a Korean (or latin) name for comparison:
+// Unicode NFC, no whitespace or punctuation, lowercase, trailing honorific removed
+function normalizeName(name) {
+  let normalized = String(name || '')
+    .normalize('NFC')
+    .replace(/[\s\p{P}\p{S}]/gu, '')
+    .toLowerCase();
+
+  for (const suffix of HONORIFIC_SUFFIXES) {
+    if (normalized.length > suffix.length && normalized.endsWith(suffix)) {
+      normalized = normalized.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  return normalized;
+}
+
+function namesMatch(inputName, storedName) {
+  const input = normalizeName(inputName);
+  return input.length > 0 && input === normalizeName(storedName);
+}
+
+// Helper function to hash a recovery secret with scrypt
+function hashSecret(secret, salt) {
+  return crypto.scryptSync(String(secret).trim().normalize('NFC'), salt, SCRYPT_KEY_LENGTH).toString('hex');
+}
+
+function verifySecret(secret, stored) {
+  if (!secret || !stored?.secretHash || !stored?.salt) {
+    return false;
+  }
+  const expected = Buffer.from(stored.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret, stored.salt), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Helper function to build the failed-recovery limits for a caller
+function getRecoveryFailureLimits(uid, connectionCode, ip) {
+  const ipKey = ip.replace(/[^0-9a-zA-Z]/g, '_');
+  return [
+    {
+      key: `recoverParentFailure_user_${uid}`,
+      limit: RECOVERY_FAILURES_PER_USER,
+      windowMs: RECOVERY_FAILURE_WINDOW_MS,
+    },
+    {
+      key: `recoverParentFailure_code_${connectionCode}_ip_${ipKey}`,
+      limit: RECOVERY_FAILURES_PER_CODE,
+      windowMs: RECOVERY_FAILURE_WINDOW_MS,
+    },
+    {
+      key: `recoverParentFailure_ip_${ipKey}`,
+      limit: RECOVERY_FAILURES_PER_IP,
+      windowMs: RECOVERY_FAILURE_WINDOW_MS,
+    },
+  ];
+}
+
+// Swap the old parent UID for the new one and record the recovery.
+// Ownership (createdBy) only moves along when the parent still held it.
+// Runs inside the caller's transaction; familyData is the transaction's read.
+function swapParentUid(transaction, familyRef, familyData, newUid, details, now) {
+  const oldUid = getParentUid(familyData);
+  const memberIds = (familyData.memberIds || []).filter(uid => uid !== oldUid && uid !== newUid);
+  memberIds.unshift(newUid);
+
+  const update = {
+    memberIds,
+    parentUid: newUid,
+    recoveredAt: now,
+    recoveredBy: newUid,
+  };
+  if (!familyData.createdBy || familyData.createdBy === oldUid) {
+    update.createdBy = newUid;
+  }
+
+  // The old parent's registered tokens belong to the uninstalled app
+  if (oldUid && oldUid !== newUid) {
+    update.previousParentUids = admin.firestore.FieldValue.arrayUnion(oldUid);
+    transaction.delete(familyRef.collection('members').doc(oldUid));
+  }
+
+  transaction.update(familyRef, update);
+
+  transaction.set(familyRef.collection('recovery_events').doc(), {
+    oldUid,
+    newUid,
+    at: now,
+    ...details,
+  });
+
+  return oldUid;
+}
+
+// RECOVER PARENT ACCOUNT - Reinstalled parent app reclaims its family.
+//   { connectionCode, elderlyName, recoverySecret? }
+// Returns status 'recovered' (secret accepted or request already confirmed)
+// or 'pending_confirmation' (children were asked to confirm).
+exports.recoverParentAccount = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { connectionCode, elderlyName, recoverySecret } = data;
+
+  if (!isConnectionCode(connectionCode) || !normalizeName(elderlyName)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Valid connection code and elderly name are required'
+    );
+  }
+
+  const newUid = context.auth.uid;
+  const failureLimits = getRecoveryFailureLimits(newUid, connectionCode, getCallerIp(context));
+
+  try {
+    const lockout = await checkRateLimits(failureLimits);
+    if (!lockout.allowed) {
+      opsLog.warn('recovery_locked', 'Recovery attempts locked', { key: lockout.key, uid: newUid });
+      throw new functions.https.HttpsError(
+        'resource-exhausted',
+        'Too many failed attempts, try again later',
+        { retryAfterSeconds: lockout.retryAfterSeconds }
+      );
+    }
+
+    const familiesSnapshot = await db.collection('families')
+      .where('connectionCode', '==', connectionCode)
+      .get();
+    const matches = familiesSnapshot.docs.filter(doc => namesMatch(elderlyName, doc.data().elderlyName));
+
+    if (matches.length === 0) {
+      await consumeRateLimits(failureLimits);
+      throw new functions.https.HttpsError(
+        'not-found',
+        'No family matches this connection code and name'
+      );
+    }
+
+    if (matches.length > 1) {
+      opsLog.error('recovery_ambiguous', `${matches.length} families match the recovery code`, { familyIds: matches.map(doc => doc.id) });
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'More than one family matches, please contact support'
+      );
+    }
+
+    const familyRef = matches[0].ref;
+    const familyId = familyRef.id;
+    const requestRef = familyRef.collection('recovery_requests').doc(newUid);
+    const now = admin.firestore.Timestamp.now();
+
+    if (recoverySecret) {
+      const secretDoc = await db.collection('family_secrets').doc(familyId).get();
+      if (!verifySecret(recoverySecret, secretDoc.exists ? secretDoc.data().recovery : null)) {
+        await consumeRateLimits(failureLimits);
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Recovery secret is incorrect'
+        );
+      }
+
+      const oldUid = await db.runTransaction(async (transaction) => {
+        const familyDoc = await transaction.get(familyRef);
+        return swapParentUid(transaction, familyRef, familyDoc.data(), newUid, { method: 'recovery_secret' }, now);
+      });
+
+      opsLog.info('parent_recovered', 'Parent account recovered with secret', { familyId, oldUid, newUid, method: 'recovery_secret' });
+      return {
+        success: true,
+        status: 'recovered',
+        familyId,
+        message: 'Account recovered successfully'
+      };
+    }
+
+    // No secret: ask children to confirm, or report on the request made earlier
+    const result = await db.runTransaction(async (transaction) => {
+      const [familyDoc, requestDoc] = await Promise.all([
+        transaction.get(familyRef),
+        transaction.get(requestRef),
+      ]);
+      const familyData = familyDoc.data();
+      const existing = requestDoc.exists ? requestDoc.data() : null;
+
+      const parentUid = getParentUid(familyData);
+      if (parentUid === newUid) {
+        return { status: 'recovered' };
+      }
+
+      if (existing?.status === 'pending' && existing.expiresAt.toMillis() > now.toMillis()) {
+        return { status: 'pending_confirmation', created: false };
+      }
+
+      const children = (familyData.memberIds || []).filter(uid => uid !== parentUid);
+      if (children.length === 0) {
+        return { status: 'no_children' };
+      }
+
+      transaction.set(requestRef, {
+        uid: newUid,
+        status: 'pending',
+        requestedAt: now,
+        expiresAt: admin.firestore.Timestamp.fromMillis(now.toMillis() + RECOVERY_REQUEST_TTL_MS),
+      });
+
+      return { status: 'pending_confirmation', created: true, elderlyName: familyData.elderlyName };
+    });
+
+    if (result.status === 'no_children') {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'No child member can confirm this recovery, use the recovery secret'
+      );
+    }
+
+    if (result.created) {
+      opsLog.info('recovery_requested', 'Parent recovery request created', { familyId, uid: newUid });
+      const name = result.elderlyName || '부모님';
+      await sendTemplatedNotification(familyId, 'parent_recovery_request', {
+        elderlyName: name,
+      }, {
+        type: 'parent_recovery_request',
+        requestUid: newUid,
+        elderlyName: name,
+        familyId: familyId,
+        timestamp: now.toDate().toISOString(),
+      }).catch(error => {
+        opsLog.error('recovery_notify_failed', 'Failed to notify family of recovery request', { familyId }, error);
+      });
+    }
+
+    return {
+      success: true,
+      status: result.status,
+      familyId,
+      requestId: newUid,
+      message: result.status === 'recovered'
+        ? 'Account recovered successfully'
+        : 'Waiting for a family member to confirm'
+    };
+
+  } catch (error) {
+    opsLog.error('recovery_failed', 'Error recovering parent account', { uid: newUid }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to recover account'
+    );
+  }
+});
+
+// CONFIRM PARENT RECOVERY - A child member approves or rejects a pending recovery
+//   { familyId, requestId, approve }
+exports.confirmParentRecovery = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, requestId } = data;
+  const approve = data.approve !== false;
+
+  if (!familyId || !requestId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID and request ID are required'
+    );
+  }
+
+  try {
+    const familyRef = db.collection('families').doc(familyId);
+    const requestRef = familyRef.collection('recovery_requests').doc(requestId);
+    const now = admin.firestore.Timestamp.now();
+
+    const decided = await db.runTransaction(async (transaction) => {
+      const [familyDoc, requestDoc] = await Promise.all([
+        transaction.get(familyRef),
+        transaction.get(requestRef),
+      ]);
+
+      if (!familyDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Family not found'
+        );
+      }
+
+      const familyData = familyDoc.data();
+
+      // Only children confirm: the parent account being replaced cannot vouch for its replacement
+      if (!(familyData.memberIds || []).includes(context.auth.uid) || getParentUid(familyData) === context.auth.uid) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Only a child member of this family can confirm recovery'
+        );
+      }
+
+      if (!requestDoc.exists || requestDoc.data().status !== 'pending') {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'No pending recovery request'
+        );
+      }
+
+      // Commit the expiry before reporting it: throwing here would roll the write back
+      if (requestDoc.data().expiresAt.toMillis() <= now.toMillis()) {
+        transaction.update(requestRef, { status: 'expired' });
+        return false;
+      }
+
+      transaction.update(requestRef, {
+        status: approve ? 'approved' : 'rejected',
+        decidedBy: context.auth.uid,
+        decidedAt: now,
+      });
+
+      if (approve) {
+        swapParentUid(transaction, familyRef, familyData, requestId, {
+          method: 'child_confirmation',
+          confirmedBy: context.auth.uid,
+        }, now);
+      }
+      return true;
+    });
+
+    if (!decided) {
+      throw new functions.https.HttpsError(
+        'deadline-exceeded',
+        'Recovery request has expired'
+      );
+    }
+
+    opsLog.info(approve ? 'recovery_confirmed' : 'recovery_rejected', `Parent recovery ${approve ? 'confirmed' : 'rejected'}`, {
+      familyId,
+      requestId,
+      uid: context.auth.uid,
+    });
+
+    return {
+      success: true,
+      status: approve ? 'recovered' : 'rejected',
+      message: approve ? 'Parent account recovered' : 'Recovery request rejected'
+    };
+
+  } catch (error) {
+    opsLog.error('recovery_confirm_failed', 'Error confirming parent recovery', { familyId, requestId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to confirm recovery'
+    );
+  }
+});
+
+// SET RECOVERY SECRET - Parent (family creator) sets or replaces the recovery secret
+exports.setRecoverySecret = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, secret } = data;
+
+  if (!familyId || typeof secret !== 'string' || secret.trim().length < MIN_SECRET_LENGTH) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Family ID and a secret of at least ${MIN_SECRET_LENGTH} characters are required`
+    );
+  }
+
+  try {
+    const familyDoc = await db.collection('families').doc(familyId).get();
+
+    if (!familyDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Family not found'
+      );
+    }
+
+    if (getParentUid(familyDoc.data()) !== context.auth.uid) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Only the parent phone can set the recovery secret'
+      );
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    await db.collection('family_secrets').doc(familyId).set({
+      recovery: {
+        secretHash: hashSecret(secret, salt),
+        salt,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    }, { merge: true });
+
+    opsLog.info('recovery_secret_updated', 'Recovery secret updated', { familyId, uid: context.auth.uid });
+
+    return {
+      success: true,
+      message: 'Recovery secret saved'
+    };
+
+  } catch (error) {
+    opsLog.error('recovery_secret_failed', 'Error setting recovery secret', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to set recovery secret'
+    );
+  }
+});
+
+exports.normalizeName = normalizeName;
+exports.getRecoveryFailureLimits = getRecoveryFailureLimits;
+exports.swapParentUid = swapParentUid;
+exports.namesMatch = namesMatch;
@@ -0,0 +1,172 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getFamilyTimeZone, getDateString } = require('./sleep-time');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// lastPhoneActivity and the battery fields are overwritten on every update, so
+// each change is also appended to a per-day history document:
+//   families/{familyId}/activity_days/{YYYY-MM-DD}   (date in the family timezone)
+//   {
+//     date,
+//     timestamps: [Timestamp, ...],                      // lastPhoneActivity values
+//     battery: [{ at, level, charging }, ...],           // battery samples
+//   }
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toMillis(value) {
+  return value && typeof value.toMillis === 'function' ? value.toMillis() : null;
+}
+
+// Append activity and battery changes to the day's history document
+exports.recordActivityHistory = functions.firestore
+  .document('families/{familyId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    const update = {};
+
+    const activityMillis = toMillis(after.lastPhoneActivity);
+    if (activityMillis && activityMillis !== toMillis(before.lastPhoneActivity)) {
+      update.timestamps = admin.firestore.FieldValue.arrayUnion(after.lastPhoneActivity);
+    }
+
+    const batteryMillis = toMillis(after.batteryTimestamp);
+    if (batteryMillis && batteryMillis !== toMillis(before.batteryTimestamp)) {
+      update.battery = admin.firestore.FieldValue.arrayUnion({
+        at: after.batteryTimestamp,
+        level: after.batteryLevel ?? null,
+        charging: !!after.isCharging,
+      });
+    }
+
+    if (Object.keys(update).length === 0) {
+      return;
+    }
+
+    const dateString = getDateString(activityMillis || batteryMillis, getFamilyTimeZone(after.settings));
+
+    await db.collection('families')
+      .doc(context.params.familyId)
+      .collection('activity_days')
+      .doc(dateString)
+      .set({ date: dateString, ...update }, { merge: true });
+  });
+
+// Helper function to read the history documents covering [fromMillis, toMillis]
+async function getActivityDays(familyId, fromMillis, toMillis, timeZone) {
+  const dateStrings = [];
+  for (let t = fromMillis; t < toMillis + DAY_MS; t += DAY_MS) {
+    const dateString = getDateString(Math.min(t, toMillis), timeZone);
+    if (!dateStrings.includes(dateString)) {
+      dateStrings.push(dateString);
+    }
+  }
+
+  const refs = dateStrings.map(dateString => db.collection('families')
+    .doc(familyId)
+    .collection('activity_days')
+    .doc(dateString));
+  const docs = refs.length > 0 ? await db.getAll(...refs) : [];
+
+  return docs.filter(doc => doc.exists).map(doc => doc.data());
+}
+
+// Sorted activity times (milliseconds) between the two moments
+async function getActivityTimestamps(familyId, fromMillis, toMillis, timeZone) {
+  const days = await getActivityDays(familyId, fromMillis, toMillis, timeZone);
+  return days
+    .flatMap(day => (day.timestamps || []).map(toMillis))
+    .filter(ms => ms !== null && ms >= fromMillis && ms <= toMillis)
+    .sort((a, b) => a - b);
+}
+
+// Battery samples [{ at (ms), level, charging }] between the two moments, oldest first
+async function getBatterySamples(familyId, fromMillis, toMillis, timeZone) {
+  const days = await getActivityDays(familyId, fromMillis, toMillis, timeZone);
+  return days
+    .flatMap(day => (day.battery || []).map(sample => ({ ...sample, at: toMillis(sample.at) })))
+    .filter(sample => sample.at !== null && sample.at >= fromMillis && sample.at <= toMillis)
+    .sort((a, b) => a.at - b.at);
+}
+
+// Longest stretch without activity inside [fromMillis, toMillis], including both edges
+function getLongestGap(timestamps, fromMillis, toMillis) {
+  const points = [fromMillis, ...timestamps, toMillis];
+  let longest = { startMs: fromMillis, endMs: fromMillis, durationMs: 0 };
+
+  for (let i = 1; i < points.length; i++) {
+    const durationMs = points[i] - points[i - 1];
+    if (durationMs > longest.durationMs) {
+      longest = { startMs: points[i - 1], endMs: points[i], durationMs };
+    }
+  }
+
+  return longest;
+}
+
+// Helper function to read the time of a single meal entry from meals/{date}
+function getMealTimeMillis(meal) {
+  // mealId is "<millisecondsSinceEpoch>_<mealNumber>", which is timezone-safe.
+  // The timestamp field is a local ISO string without offset, so it is only a fallback.
+  const idMillis = parseInt(String(meal?.mealId || '').split('_')[0], 10);
+  if (!isNaN(idMillis) && idMillis > 0) {
+    return idMillis;
+  }
+
+  const parsed = Date.parse(meal?.timestamp);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// Helper function to find the most recent meal time for a family (milliseconds or null)
+async function getLastMealMillis(familyId, familyData, now) {
+  let lastMealMillis = null;
+
+  const lastMealTimestamp = familyData.lastMeal?.timestamp;
+  if (lastMealTimestamp && typeof lastMealTimestamp.toMillis === 'function') {
+    lastMealMillis = lastMealTimestamp.toMillis();
+  }
+
+  // lastMeal can be stale or missing if the parent app failed to update it,
+  // so also look at today's and yesterday's meal documents (dated in the parent's timezone)
+  const timeZone = getFamilyTimeZone(familyData.settings);
+  const dateStrings = [
+    getDateString(now.toMillis(), timeZone),
+    getDateString(now.toMillis() - 24 * 60 * 60 * 1000, timeZone),
+  ];
+
+  const mealDocs = await Promise.all(dateStrings.map(dateString =>
+    db.collection('families')
+      .doc(familyId)
+      .collection('meals')
+      .doc(dateString)
+      .get()
+  ));
+
+  mealDocs.forEach(mealDoc => {
+    if (!mealDoc.exists) {
+      return;
+    }
+
+    const meals = mealDoc.data().meals || [];
+    meals.forEach(meal => {
+      const mealMillis = getMealTimeMillis(meal);
+      if (mealMillis && (lastMealMillis === null || mealMillis > lastMealMillis)) {
+        lastMealMillis = mealMillis;
+      }
+    });
+  });
+
+  return lastMealMillis;
+}
+
+exports.getActivityTimestamps = getActivityTimestamps;
+exports.getBatterySamples = getBatterySamples;
+exports.getLongestGap = getLongestGap;
+exports.getMealTimeMillis = getMealTimeMillis;
+exports.getLastMealMillis = getLastMealMillis;
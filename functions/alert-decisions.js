@@ -0,0 +1,343 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { decideEscalation } = require('./alert-escalation');
+const { classifyInactivity, INACTIVITY_CAUSES } = require('./device-health');
+const { getLastMealMillis } = require('./activity-history');
+const { decideCheckIn } = require('./parent-checkin');
+const {
+  DEFAULT_FOOD_ALERT_HOURS,
+  getAlertThreshold,
+  computeNextCheckAt,
+} = require('./survival-schedule');
+const {
+  getFamilyTimeZone,
+  getAwakeHoursBetween,
+  isInSleepOrGracePeriod,
+  getSleepOrGraceEnd,
+} = require('./sleep-time');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// The decisions checkFamilySurvival makes, as pure functions of the family document.
+// checkFamilySurvival acts on them; simulateFamilyAlerts only reports them.
+// Every decision carries a human-readable trace, e.g.
+//   ['inactive 13.2h (13.2h awake) > 12h threshold', 'not in sleep window',
+//    'alert already active → wait: next escalation in 12 min']
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fields the simulation accepts in overrides; timestamps may be ISO strings or milliseconds
+const OVERRIDE_TIMESTAMP_FIELDS = ['lastPhoneActivity', 'batteryTimestamp', 'updateTimestamp'];
+const OVERRIDE_VALUE_FIELDS = ['batteryLevel', 'isCharging', 'survivalAlert', 'foodAlert'];
+
+function toMillis(value) {
+  return value && typeof value.toMillis === 'function' ? value.toMillis() : null;
+}
+
+function toIso(millis) {
+  return millis ? new Date(millis).toISOString() : null;
+}
+
+// Helper function to describe the sleep/grace state at a moment for the trace
+function describeSleep(settings, nowMillis) {
+  if (!isInSleepOrGracePeriod(settings, nowMillis)) {
+    return { inSleepOrGrace: false, text: 'not in sleep window' };
+  }
+  const endMillis = getSleepOrGraceEnd(settings, nowMillis);
+  return {
+    inSleepOrGrace: true,
+    sleepOrGraceEndsAt: toIso(endMillis),
+    text: `in sleep window or wake-up grace until ${toIso(endMillis)}`,
+  };
+}
+
+// Decide what to do about phone inactivity. action is one of
+// 'disabled' | 'no_data' | 'none' | 'clear' | 'skip_sleep' | 'escalate' |
+// 'check_in' (ask the parent first) | 'await_check_in' | 'raise'
+function decideSurvival(familyData, nowMillis) {
+  const settings = familyData.settings || {};
+  const alert = familyData.survivalAlert;
+  const trace = [];
+
+  if (!settings.survivalSignalEnabled) {
+    trace.push('survival signal disabled → skip');
+    return { action: 'disabled', trace, facts: {} };
+  }
+
+  const lastActivityMillis = toMillis(familyData.lastPhoneActivity);
+  if (!lastActivityMillis) {
+    trace.push('no lastPhoneActivity → skip');
+    return { action: 'no_data', trace, facts: {} };
+  }
+
+  const threshold = getAlertThreshold(familyData, lastActivityMillis);
+  const thresholdHours = threshold.thresholdHours;
+  const hoursInactive = (nowMillis - lastActivityMillis) / HOUR_MS;
+  // Time asleep does not count towards the inactivity threshold
+  const awakeHours = getAwakeHoursBetween(settings, lastActivityMillis, nowMillis);
+  const facts = {
+    lastPhoneActivity: toIso(lastActivityMillis),
+    hoursInactive,
+    awakeHours,
+    thresholdHours,
+    thresholdMode: threshold.mode,
+    thresholdSource: threshold.source,
+    timeZone: getFamilyTimeZone(settings),
+    alertActive: !!alert?.isActive,
+  };
+
+  const overThreshold = awakeHours > thresholdHours;
+  trace.push(`inactive ${hoursInactive.toFixed(1)}h (${awakeHours.toFixed(1)}h awake) ${overThreshold ? '>' : '<='} ${thresholdHours}h ${threshold.mode} threshold (${threshold.source})`);
+
+  if (!overThreshold) {
+    if (alert?.isActive) {
+      trace.push('alert active → clear');
+      return { action: 'clear', trace, facts };
+    }
+    trace.push('no alert active → nothing to do');
+    return { action: 'none', trace, facts };
+  }
+
+  const sleep = describeSleep(settings, nowMillis);
+  facts.inSleepOrGrace = sleep.inSleepOrGrace;
+  if (sleep.inSleepOrGrace) {
+    facts.sleepOrGraceEndsAt = sleep.sleepOrGraceEndsAt;
+    trace.push(`${sleep.text} → skip`);
+    return { action: 'skip_sleep', trace, facts };
+  }
+  trace.push(sleep.text);
+
+  // Tell children whether the person or the phone went quiet
+  const inactivity = classifyInactivity(familyData, nowMillis);
+  facts.cause = inactivity.cause;
+
+  if (alert?.isActive) {
+    const escalation = decideEscalation(familyData, nowMillis);
+    trace.push(`alert already active → ${escalation.step}: ${escalation.reason}`);
+    return { action: 'escalate', trace, facts, escalation, inactivity };
+  }
+
+  // Ask the parent "are you OK?" before alarming the children, unless the phone itself went quiet
+  const checkIn = inactivity.cause === INACTIVITY_CAUSES.USER_INACTIVE
+    ? decideCheckIn(familyData, lastActivityMillis, nowMillis)
+    : { step: 'proceed', reason: `${inactivity.cause} → parent phone cannot answer a check-in` };
+  facts.checkInStep = checkIn.step;
+  if (checkIn.step === 'send') {
+    trace.push(`no alert active → ${checkIn.reason}`);
+    return { action: 'check_in', trace, facts, inactivity };
+  }
+  if (checkIn.step === 'wait') {
+    trace.push(`${checkIn.reason} → hold alert`);
+    return { action: 'await_check_in', trace, facts, inactivity };
+  }
+  trace.push(checkIn.reason);
+
+  trace.push(`cause ${inactivity.cause} → raise ${inactivity.notificationType}`);
+  return { action: 'raise', trace, facts, inactivity };
+}
+
+// Decide what to do about meal inactivity given the last meal time. action is one of
+// 'disabled' | 'no_data' | 'none' | 'clear' | 'skip_sleep' | 'already_active' | 'raise'
+function decideFood(familyData, lastMealMillis, nowMillis) {
+  const settings = familyData.settings || {};
+  const alert = familyData.foodAlert;
+  const trace = [];
+
+  if (settings.foodAlertEnabled === false) {
+    trace.push('food alerts disabled → skip');
+    return { action: 'disabled', trace, facts: {} };
+  }
+
+  if (lastMealMillis === null) {
+    trace.push('no meal data → skip');
+    return { action: 'no_data', trace, facts: {} };
+  }
+
+  const thresholdHours = settings.foodAlertHours || DEFAULT_FOOD_ALERT_HOURS;
+  const hoursWithoutFood = (nowMillis - lastMealMillis) / HOUR_MS;
+  const facts = {
+    lastMealAt: toIso(lastMealMillis),
+    hoursWithoutFood,
+    thresholdHours,
+    alertActive: !!alert?.isActive,
+  };
+
+  const overThreshold = hoursWithoutFood > thresholdHours;
+  trace.push(`no meal for ${hoursWithoutFood.toFixed(1)}h ${overThreshold ? '>' : '<='} ${thresholdHours}h threshold`);
+
+  if (!overThreshold) {
+    if (alert?.isActive) {
+      trace.push('food alert active → clear');
+      return { action: 'clear', trace, facts };
+    }
+    trace.push('no food alert active → nothing to do');
+    return { action: 'none', trace, facts };
+  }
+
+  const sleep = describeSleep(settings, nowMillis);
+  facts.inSleepOrGrace = sleep.inSleepOrGrace;
+  if (sleep.inSleepOrGrace) {
+    trace.push(`${sleep.text} → skip`);
+    return { action: 'skip_sleep', trace, facts };
+  }
+  trace.push(sleep.text);
+
+  if (alert?.isActive) {
+    trace.push('food alert already active → skip (dedupe)');
+    return { action: 'already_active', trace, facts };
+  }
+
+  trace.push('no food alert active → raise');
+  return { action: 'raise', trace, facts };
+}
+
+// Helper function to parse an ISO string or epoch milliseconds into milliseconds
+function parseMillis(value, field) {
+  const millis = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(millis)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `${field} must be an ISO date string or epoch milliseconds`
+    );
+  }
+  return millis;
+}
+
+// Helper function to apply caller overrides to a copy of the family document
+function applyOverrides(familyData, overrides) {
+  const simulated = { ...familyData };
+
+  OVERRIDE_TIMESTAMP_FIELDS.forEach(field => {
+    if (overrides[field] !== undefined) {
+      simulated[field] = overrides[field] === null
+        ? null
+        : admin.firestore.Timestamp.fromMillis(parseMillis(overrides[field], field));
+    }
+  });
+
+  OVERRIDE_VALUE_FIELDS.forEach(field => {
+    if (overrides[field] !== undefined) {
+      simulated[field] = overrides[field];
+    }
+  });
+
+  // Alert timestamps in overrides are plain values; decisions read them as Timestamps
+  ['survivalAlert', 'foodAlert'].forEach(field => {
+    const alert = simulated[field];
+    if (alert && overrides[field] !== undefined) {
+      simulated[field] = { ...alert };
+      ['timestamp', 'lastNotifiedAt'].forEach(key => {
+        if (alert[key] !== undefined && alert[key] !== null && typeof alert[key].toMillis !== 'function') {
+          simulated[field][key] = admin.firestore.Timestamp.fromMillis(parseMillis(alert[key], `${field}.${key}`));
+        }
+      });
+    }
+  });
+
+  if (overrides.settings) {
+    simulated.settings = { ...(familyData.settings || {}), ...overrides.settings };
+  }
+
+  return simulated;
+}
+
+// SIMULATE FAMILY ALERTS - Dry run of checkFamilySurvival for one family.
+//   { familyId, at?, overrides?: { lastPhoneActivity, lastMealAt, settings, survivalAlert, foodAlert,
+//                                  batteryLevel, isCharging, batteryTimestamp, updateTimestamp } }
+// (settings overrides can switch alertMode to 'adaptive' to preview the learned baseline)
+// Returns the survival and food decisions with their traces. Nothing is written or sent.
+exports.simulateFamilyAlerts = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId } = data;
+  const overrides = data.overrides || {};
+
+  if (!familyId || typeof overrides !== 'object') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID is required and overrides must be an object'
+    );
+  }
+
+  try {
+    const familyDoc = await db.collection('families').doc(familyId).get();
+
+    if (!familyDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Family not found'
+      );
+    }
+
+    const familyData = familyDoc.data();
+
+    if (!(familyData.memberIds || []).includes(context.auth.uid)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'User is not a member of this family'
+      );
+    }
+
+    const nowMillis = data.at !== undefined && data.at !== null ? parseMillis(data.at, 'at') : Date.now();
+    const simulated = applyOverrides(familyData, overrides);
+
+    const lastMealMillis = overrides.lastMealAt !== undefined
+      ? (overrides.lastMealAt === null ? null : parseMillis(overrides.lastMealAt, 'lastMealAt'))
+      : await getLastMealMillis(familyId, simulated, admin.firestore.Timestamp.fromMillis(nowMillis));
+
+    const survival = decideSurvival(simulated, nowMillis);
+    const food = decideFood(simulated, lastMealMillis, nowMillis);
+    const nextCheckMillis = computeNextCheckAt(simulated, nowMillis);
+
+    opsLog.info('alerts_simulated', 'Simulated family alerts', {
+      familyId,
+      at: toIso(nowMillis),
+      survival: survival.action,
+      food: food.action,
+      overridden: Object.keys(overrides),
+    });
+
+    return {
+      success: true,
+      at: toIso(nowMillis),
+      overridden: Object.keys(overrides),
+      survival: {
+        action: survival.action,
+        trace: survival.trace,
+        facts: survival.facts,
+        escalation: survival.escalation || null,
+        cause: survival.inactivity?.cause || null,
+      },
+      food: {
+        action: food.action,
+        trace: food.trace,
+        facts: food.facts,
+      },
+      nextCheckAt: toIso(nextCheckMillis),
+    };
+
+  } catch (error) {
+    opsLog.error('alert_simulation_failed', 'Error simulating family alerts', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to simulate alerts'
+    );
+  }
+});
+
+exports.decideSurvival = decideSurvival;
+exports.decideFood = decideFood;
+exports.applyOverrides = applyOverrides;
@@ -0,0 +1,303 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { sendSurvivalNotification } = require('./notifications');
+const { sendOutboundMessage } = require('./outbound-channels');
+const { DEFAULT_LOCALE, renderNotification } = require('./notification-templates');
+const { ALERT_EVENT_TYPES, recordAlertEvent } = require('./alert-events');
+const { getNotificationTypeForCause } = require('./device-health');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Defaults for settings.escalation
+const DEFAULT_REMINDER_INTERVAL_MINUTES = 30;
+const DEFAULT_MAX_CHILD_REMINDERS = 2;
+
+// Helper function to read the escalation ladder settings of a family
+function getEscalationSettings(settings) {
+  const escalation = settings?.escalation || {};
+  return {
+    enabled: escalation.enabled !== false,
+    reminderIntervalMinutes: escalation.reminderIntervalMinutes || DEFAULT_REMINDER_INTERVAL_MINUTES,
+    maxChildReminders: escalation.maxChildReminders ?? DEFAULT_MAX_CHILD_REMINDERS,
+    notifySecondaryContacts: escalation.notifySecondaryContacts !== false,
+  };
+}
+
+// Helper function to collect secondary contacts from settings.familyContact and settings.additionalContacts
+function getSecondaryContacts(settings) {
+  const contacts = [];
+  const seen = new Set();
+
+  const addContact = (contact) => {
+    const to = typeof contact === 'string' ? contact : contact?.phone;
+    const trimmed = (to || '').trim();
+    if (!trimmed || seen.has(trimmed)) {
+      return;
+    }
+    seen.add(trimmed);
+    contacts.push({
+      to: trimmed,
+      name: typeof contact === 'object' ? contact.name || null : null,
+    });
+  };
+
+  addContact(settings?.familyContact);
+  (settings?.additionalContacts || []).forEach(addContact);
+
+  return contacts;
+}
+
+// Escalation fields stored on a freshly raised survivalAlert
+function createEscalationState(now) {
+  return {
+    acknowledged: false,
+    escalationLevel: 0,
+    lastNotifiedAt: now,
+    escalationHistory: [{ step: 'children_notified', level: 0, at: now }],
+  };
+}
+
+// Decide the next step for an already active survival alert without side effects.
+// Returns { step, nextLevel, reason } where step is one of
+// 'disabled' | 'acknowledged' | 'wait' | 'child_reminder' | 'secondary_contacts' | 'finished'.
+function decideEscalation(familyData, nowMillis) {
+  const alert = familyData.survivalAlert || {};
+  const escalation = getEscalationSettings(familyData.settings);
+  const level = alert.escalationLevel || 0;
+
+  if (!escalation.enabled) {
+    return { step: 'disabled', level, reason: 'escalation disabled' };
+  }
+
+  if (alert.acknowledged) {
+    return { step: 'acknowledged', level, reason: `acknowledged by ${alert.acknowledgedBy}` };
+  }
+
+  const lastNotifiedAt = alert.lastNotifiedAt || alert.timestamp;
+  const minutesSinceLastStep = lastNotifiedAt
+    ? (nowMillis - lastNotifiedAt.toMillis()) / (1000 * 60)
+    : Infinity;
+
+  if (minutesSinceLastStep < escalation.reminderIntervalMinutes) {
+    const minutesLeft = escalation.reminderIntervalMinutes - minutesSinceLastStep;
+    return { step: 'wait', level, minutesLeft, reason: `next escalation in ${minutesLeft.toFixed(0)} min` };
+  }
+
+  if (level < escalation.maxChildReminders) {
+    return { step: 'child_reminder', level, nextLevel: level + 1, reason: `child reminder ${level + 1}/${escalation.maxChildReminders}` };
+  }
+
+  if (level > escalation.maxChildReminders || !escalation.notifySecondaryContacts) {
+    return { step: 'finished', level, reason: 'escalation ladder finished, waiting for acknowledgement' };
+  }
+
+  return {
+    step: 'secondary_contacts',
+    level,
+    nextLevel: level + 1,
+    contacts: getSecondaryContacts(familyData.settings).length,
+    reason: 'child reminders used up, notifying secondary contacts',
+  };
+}
+
+// Move an already active survival alert one step up the ladder when the next step is due:
+// re-notify children every reminderIntervalMinutes until someone acknowledges,
+// then hand over to secondary contacts once the reminders are used up.
+async function escalateSurvivalAlert(familyId, familyData, hoursInactive, now) {
+  const elderlyName = familyData.elderlyName || 'Unknown';
+  const alert = familyData.survivalAlert;
+  const decision = decideEscalation(familyData, now.toMillis());
+
+  if (!['child_reminder', 'secondary_contacts'].includes(decision.step)) {
+    opsLog.debug('escalation_waiting', `Alert already active: ${decision.reason}`, { familyId, step: decision.step });
+    return;
+  }
+
+  const familyRef = db.collection('families').doc(familyId);
+  const nextLevel = decision.nextLevel;
+
+  if (decision.step === 'child_reminder') {
+    opsLog.info('escalation_child_reminder', `Escalation step ${nextLevel}: re-notifying children`, { familyId, escalationLevel: nextLevel });
+
+    const results = await sendSurvivalNotification(familyId, elderlyName, hoursInactive, {
+      cause: alert.cause,
+      notificationType: getNotificationTypeForCause(alert.cause),
+      batteryLevel: familyData.batteryLevel,
+    }) || [];
+
+    await familyRef.update({
+      'survivalAlert.escalationLevel': nextLevel,
+      'survivalAlert.lastNotifiedAt': now,
+      'survivalAlert.escalationHistory': admin.firestore.FieldValue.arrayUnion({
+        step: 'child_reminder',
+        level: nextLevel,
+        at: now,
+        sentTo: results.filter(r => r.success).length,
+      }),
+    });
+
+    await recordAlertEvent(familyId, {
+      alertId: alert.alertId,
+      alertType: 'survival',
+      eventType: ALERT_EVENT_TYPES.NOTIFICATION_SENT,
+      at: now,
+      details: {
+        escalationLevel: nextLevel,
+        sentTo: results.filter(r => r.success).length,
+        totalTokens: results.length,
+      },
+    });
+    return;
+  }
+
+  const contacts = getSecondaryContacts(familyData.settings);
+  opsLog.info('escalation_secondary_contacts', `Escalation step ${nextLevel}: notifying ${contacts.length} secondary contact(s)`, {
+    familyId,
+    escalationLevel: nextLevel,
+    contacts: contacts.length,
+  });
+
+  const message = renderNotification('survival_escalation', DEFAULT_LOCALE, { elderlyName, hoursInactive }).body;
+  const results = await Promise.all(contacts.map(async (contact) => {
+    const result = await sendOutboundMessage({
+      to: contact.to,
+      message,
+      familyId,
+      type: 'survival_alert',
+    });
+    return { to: contact.to, name: contact.name, ...result };
+  }));
+
+  await familyRef.update({
+    'survivalAlert.escalationLevel': nextLevel,
+    'survivalAlert.lastNotifiedAt': now,
+    'survivalAlert.secondaryNotifiedAt': now,
+    'survivalAlert.escalationHistory': admin.firestore.FieldValue.arrayUnion({
+      step: 'secondary_contacts',
+      level: nextLevel,
+      at: now,
+      contacts: results.map(r => ({ to: r.to, channel: r.channel, success: r.success, error: r.error })),
+    }),
+  });
+
+  await recordAlertEvent(familyId, {
+    alertId: alert.alertId,
+    alertType: 'survival',
+    eventType: ALERT_EVENT_TYPES.ESCALATED,
+    at: now,
+    details: {
+      escalationLevel: nextLevel,
+      contacts: results.map(r => ({ to: r.to, channel: r.channel, success: r.success, error: r.error })),
+    },
+  });
+}
+
+// ACKNOWLEDGE SURVIVAL ALERT - A family member confirms they are handling the alert
+exports.acknowledgeSurvivalAlert = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId } = data;
+
+  if (!familyId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID is required'
+    );
+  }
+
+  try {
+    const familyRef = db.collection('families').doc(familyId);
+    const familyDoc = await familyRef.get();
+
+    if (!familyDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Family not found'
+      );
+    }
+
+    const familyData = familyDoc.data();
+
+    if (!(familyData.memberIds || []).includes(context.auth.uid)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'User is not a member of this family'
+      );
+    }
+
+    const alert = familyData.survivalAlert;
+
+    if (!alert?.isActive) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'No active survival alert'
+      );
+    }
+
+    if (alert.acknowledged) {
+      return {
+        success: true,
+        alreadyAcknowledged: true,
+        acknowledgedBy: alert.acknowledgedBy,
+        message: 'Alert was already acknowledged'
+      };
+    }
+
+    const now = admin.firestore.Timestamp.now();
+
+    await familyRef.update({
+      'survivalAlert.acknowledged': true,
+      'survivalAlert.acknowledgedBy': context.auth.uid,
+      'survivalAlert.acknowledgedAt': now,
+      'survivalAlert.escalationHistory': admin.firestore.FieldValue.arrayUnion({
+        step: 'acknowledged',
+        level: alert.escalationLevel || 0,
+        at: now,
+        by: context.auth.uid,
+      }),
+    });
+
+    await recordAlertEvent(familyId, {
+      alertId: alert.alertId,
+      alertType: 'survival',
+      eventType: ALERT_EVENT_TYPES.ACKNOWLEDGED,
+      at: now,
+      actor: context.auth.uid,
+      details: { escalationLevel: alert.escalationLevel || 0 },
+    });
+
+    opsLog.info('survival_alert_acknowledged', 'Survival alert acknowledged', { familyId, uid: context.auth.uid });
+
+    return {
+      success: true,
+      alreadyAcknowledged: false,
+      message: 'Alert acknowledged'
+    };
+
+  } catch (error) {
+    opsLog.error('acknowledge_failed', 'Error acknowledging survival alert', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to acknowledge alert'
+    );
+  }
+});
+
+exports.getEscalationSettings = getEscalationSettings;
+exports.getSecondaryContacts = getSecondaryContacts;
+exports.createEscalationState = createEscalationState;
+exports.decideEscalation = decideEscalation;
+exports.escalateSurvivalAlert = escalateSurvivalAlert;
@@ -0,0 +1,199 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { opsLog, metricKey, incrementMetrics } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Event types appended to families/{familyId}/alert_events
+const ALERT_EVENT_TYPES = {
+  RAISED: 'raised',
+  NOTIFICATION_SENT: 'notification_sent',
+  ESCALATED: 'escalated',
+  ACKNOWLEDGED: 'acknowledged',
+  CLEARED: 'cleared',
+};
+
+const DEFAULT_HISTORY_PAGE_SIZE = 20;
+// Firestore 'in' queries accept at most 30 values
+const MAX_HISTORY_PAGE_SIZE = 30;
+
+// Helper function to build the ID shared by every event of one alert occurrence
+function createAlertId(alertType, now) {
+  return `${alertType}_${now.toMillis()}`;
+}
+
+// Append one event to the family's alert history. Never throws so that
+// a history write failure cannot block an alert from being sent.
+async function recordAlertEvent(familyId, event) {
+  try {
+    await db.collection('families')
+      .doc(familyId)
+      .collection('alert_events')
+      .add({
+        alertId: event.alertId || null,
+        alertType: event.alertType,
+        eventType: event.eventType,
+        at: event.at || admin.firestore.Timestamp.now(),
+        actor: event.actor || 'system',
+        details: event.details || {},
+      });
+  } catch (error) {
+    opsLog.error('alert_event_record_failed', `Failed to record ${event.eventType} event`, {
+      familyId,
+      alertType: event.alertType,
+      eventType: event.eventType,
+    }, error);
+  }
+
+  // Every raised and cleared alert passes through here, so this is where they are counted
+  if (event.eventType === ALERT_EVENT_TYPES.RAISED) {
+    await incrementMetrics({ [`alertsRaised.${metricKey(event.alertType)}`]: 1 });
+  } else if (event.eventType === ALERT_EVENT_TYPES.CLEARED) {
+    await incrementMetrics({ [`alertsCleared.${metricKey(event.alertType)}`]: 1 });
+  }
+}
+
+// Helper function to turn the events of one alert into a timeline entry
+function summarizeAlert(raisedDoc, events) {
+  const raised = raisedDoc.data();
+  const raisedMillis = raised.at.toMillis();
+  const sorted = events.sort((a, b) => a.at.toMillis() - b.at.toMillis());
+
+  const acknowledged = sorted.find(e => e.eventType === ALERT_EVENT_TYPES.ACKNOWLEDGED);
+  const cleared = sorted.find(e => e.eventType === ALERT_EVENT_TYPES.CLEARED);
+  const minutesSinceRaised = (event) => event
+    ? Math.round((event.at.toMillis() - raisedMillis) / (1000 * 60))
+    : null;
+
+  return {
+    alertId: raised.alertId,
+    alertType: raised.alertType,
+    raisedAt: raised.at.toDate().toISOString(),
+    details: raised.details || {},
+    isOpen: !cleared,
+    clearedAt: cleared ? cleared.at.toDate().toISOString() : null,
+    clearedBy: cleared ? cleared.actor : null,
+    durationMinutes: minutesSinceRaised(cleared),
+    acknowledgedAt: acknowledged ? acknowledged.at.toDate().toISOString() : null,
+    acknowledgedBy: acknowledged ? acknowledged.actor : null,
+    responseMinutes: minutesSinceRaised(acknowledged),
+    notificationsSent: sorted.filter(e => e.eventType === ALERT_EVENT_TYPES.NOTIFICATION_SENT).length,
+    escalations: sorted.filter(e => e.eventType === ALERT_EVENT_TYPES.ESCALATED).length,
+    events: sorted.map(e => ({
+      eventType: e.eventType,
+      at: e.at.toDate().toISOString(),
+      actor: e.actor,
+      details: e.details || {},
+    })),
+  };
+}
+
+// GET ALERT HISTORY - Paginated alert timeline for the child app
+exports.getAlertHistory = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, alertType, startAfter } = data;
+  const pageSize = Math.min(
+    Math.max(parseInt(data.pageSize, 10) || DEFAULT_HISTORY_PAGE_SIZE, 1),
+    MAX_HISTORY_PAGE_SIZE
+  );
+
+  if (!familyId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID is required'
+    );
+  }
+
+  try {
+    const familyRef = db.collection('families').doc(familyId);
+    const familyDoc = await familyRef.get();
+
+    if (!familyDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Family not found'
+      );
+    }
+
+    if (!(familyDoc.data().memberIds || []).includes(context.auth.uid)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'User is not a member of this family'
+      );
+    }
+
+    const eventsRef = familyRef.collection('alert_events');
+
+    // One 'raised' event per alert, so paginate over those
+    let query = eventsRef.where('eventType', '==', ALERT_EVENT_TYPES.RAISED);
+    if (alertType) {
+      query = query.where('alertType', '==', alertType);
+    }
+    query = query.orderBy('at', 'desc');
+
+    if (startAfter) {
+      const cursorDoc = await eventsRef.doc(startAfter).get();
+      if (!cursorDoc.exists) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Invalid pagination cursor'
+        );
+      }
+      query = query.startAfter(cursorDoc);
+    }
+
+    const raisedSnapshot = await query.limit(pageSize).get();
+
+    if (raisedSnapshot.empty) {
+      return { success: true, alerts: [], nextCursor: null };
+    }
+
+    const alertIds = raisedSnapshot.docs.map(doc => doc.data().alertId);
+    const eventsSnapshot = await eventsRef.where('alertId', 'in', alertIds).get();
+
+    const eventsByAlert = {};
+    eventsSnapshot.forEach(doc => {
+      const event = doc.data();
+      (eventsByAlert[event.alertId] = eventsByAlert[event.alertId] || []).push(event);
+    });
+
+    const alerts = raisedSnapshot.docs.map(doc =>
+      summarizeAlert(doc, eventsByAlert[doc.data().alertId] || [])
+    );
+
+    const nextCursor = raisedSnapshot.size === pageSize
+      ? raisedSnapshot.docs[raisedSnapshot.size - 1].id
+      : null;
+
+    return {
+      success: true,
+      alerts,
+      nextCursor
+    };
+
+  } catch (error) {
+    opsLog.error('alert_history_failed', 'Error getting alert history', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to get alert history'
+    );
+  }
+});
+
+exports.ALERT_EVENT_TYPES = ALERT_EVENT_TYPES;
+exports.createAlertId = createAlertId;
+exports.summarizeAlert = summarizeAlert;
+exports.recordAlertEvent = recordAlertEvent;
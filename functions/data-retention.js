@@ -0,0 +1,281 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { runWithConcurrency } = require('./survival-schedule');
+const { getFamilyTimeZone, getDateString } = require('./sleep-time');
+const { purgeExpiredExports } = require('./family-export');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Retention policy in settings.retention
+//   locationDays: days of families/{id}/locations kept (by timestamp)
+//   mealDays: days of families/{id}/meals/{YYYY-MM-DD} kept (by local date)
+const RETENTION_LIMITS = {
+  locationDays: { default: 30, min: 1, max: 365 },
+  mealDays: { default: 365, min: 30, max: 3650 },
+};
+
+const PURGE_PAGE_SIZE = 400;
+const PURGE_FAMILY_PAGE_SIZE = 200;
+const PURGE_CONCURRENCY = 5;
+// Upper bound per family per run; anything left over is picked up the next night
+const MAX_DELETES_PER_FAMILY = 5000;
+
+// retention_runs documents expire after 30 days (Firestore TTL on expiresAt)
+const RETENTION_RUN_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to read the retention policy of a family, filling in defaults
+function getRetentionPolicy(settings) {
+  const retention = settings?.retention || {};
+  const policy = {};
+
+  Object.entries(RETENTION_LIMITS).forEach(([field, limits]) => {
+    const value = retention[field];
+    policy[field] = Number.isInteger(value) && value >= limits.min && value <= limits.max
+      ? value
+      : limits.default;
+  });
+
+  return policy;
+}
+
+// Helper function to delete the documents matched by a query in batches, up to maxDeletes
+async function deleteInBatches(query, maxDeletes) {
+  let deleted = 0;
+  let hasMore = true;
+
+  while (hasMore && deleted < maxDeletes) {
+    const page = await query.limit(Math.min(PURGE_PAGE_SIZE, maxDeletes - deleted)).get();
+    if (page.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    page.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+
+    deleted += page.size;
+    hasMore = page.size === PURGE_PAGE_SIZE;
+  }
+
+  return deleted;
+}
+
+// Apply a family's retention policy. Returns { locations, meals, exports } deleted counts.
+async function purgeFamilyData(familyDoc, nowMillis) {
+  const familyId = familyDoc.id;
+  const familyData = familyDoc.data();
+  const policy = getRetentionPolicy(familyData.settings);
+  const familyRef = familyDoc.ref;
+
+  const locationCutoff = admin.firestore.Timestamp.fromMillis(nowMillis - policy.locationDays * DAY_MS);
+  const locations = await deleteInBatches(
+    familyRef.collection('locations').where('timestamp', '<', locationCutoff),
+    MAX_DELETES_PER_FAMILY
+  );
+
+  // Meal documents are keyed by local date, so compare document IDs
+  const mealCutoffDate = getDateString(nowMillis - policy.mealDays * DAY_MS, getFamilyTimeZone(familyData.settings));
+  const meals = await deleteInBatches(
+    familyRef.collection('meals').where(admin.firestore.FieldPath.documentId(), '<', mealCutoffDate),
+    MAX_DELETES_PER_FAMILY
+  );
+
+  // Export files are only kept for a day (see family-export.js)
+  const expiredExports = await purgeExpiredExports(familyRef, nowMillis);
+
+  if (locations > 0 || meals > 0) {
+    opsLog.info('family_data_purged', `Purged ${locations} locations, ${meals} meal days`, { familyId, locations, meals });
+    await familyRef.update({
+      retentionStatus: {
+        lastPurgedAt: admin.firestore.Timestamp.fromMillis(nowMillis),
+        deleted: { locations, meals },
+        policy,
+      },
+    });
+  }
+
+  return { locations, meals, exports: expiredExports };
+}
+
+// Nightly purge of location history and meal records older than each family's policy
+exports.purgeExpiredFamilyData = functions.runWith({
+  timeoutSeconds: 540
+}).pubsub
+  .schedule('every day 03:00')
+  .timeZone('Asia/Seoul')
+  .onRun(async (context) => {
+    const nowMillis = Date.now();
+    const totals = { locations: 0, meals: 0, exports: 0 };
+    let familiesScanned = 0;
+    let familiesFailed = 0;
+
+    try {
+      let lastDoc = null;
+      let hasMore = true;
+
+      while (hasMore) {
+        let query = db.collection('families')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(PURGE_FAMILY_PAGE_SIZE);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const page = await query.get();
+        hasMore = page.size === PURGE_FAMILY_PAGE_SIZE;
+        if (page.empty) {
+          break;
+        }
+        lastDoc = page.docs[page.docs.length - 1];
+        familiesScanned += page.size;
+
+        const results = await runWithConcurrency(page.docs, PURGE_CONCURRENCY, async (familyDoc) => {
+          try {
+            return await purgeFamilyData(familyDoc, nowMillis);
+          } catch (error) {
+            opsLog.error('family_data_purge_failed', 'Failed to purge family data', { familyId: familyDoc.id }, error);
+            return null;
+          }
+        });
+
+        results.forEach(result => {
+          if (!result) {
+            familiesFailed++;
+            return;
+          }
+          totals.locations += result.locations;
+          totals.meals += result.meals;
+          totals.exports += result.exports;
+        });
+      }
+
+      opsLog.info('retention_purge', `Data retention purge: ${totals.locations} locations, ${totals.meals} meal days deleted`, {
+        ...totals,
+        familiesScanned,
+        familiesFailed,
+      });
+    } catch (error) {
+      opsLog.error('retention_purge_failed', 'Error purging expired family data', {}, error);
+    }
+
+    try {
+      await db.collection('retention_runs').add({
+        job: 'purgeExpiredFamilyData',
+        deleted: totals,
+        familiesScanned,
+        familiesFailed,
+        durationMs: Date.now() - nowMillis,
+        startedAt: admin.firestore.Timestamp.fromMillis(nowMillis),
+        expiresAt: admin.firestore.Timestamp.fromMillis(nowMillis + RETENTION_RUN_RETENTION_MS),
+      });
+    } catch (error) {
+      opsLog.error('retention_run_record_failed', 'Failed to record retention run', {}, error);
+    }
+  });
+
+// MANAGE RETENTION POLICY - Members view the policy, or change it by passing
+// locationDays and/or mealDays. Always returns the effective policy and its limits.
+exports.manageRetentionPolicy = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId } = data;
+
+  if (!familyId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID is required'
+    );
+  }
+
+  const changes = {};
+  for (const [field, limits] of Object.entries(RETENTION_LIMITS)) {
+    if (data[field] === undefined || data[field] === null) {
+      continue;
+    }
+    if (!Number.isInteger(data[field]) || data[field] < limits.min || data[field] > limits.max) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `${field} must be a whole number between ${limits.min} and ${limits.max}`
+      );
+    }
+    changes[field] = data[field];
+  }
+
+  try {
+    const familyRef = db.collection('families').doc(familyId);
+    const familyDoc = await familyRef.get();
+
+    if (!familyDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Family not found'
+      );
+    }
+
+    const familyData = familyDoc.data();
+
+    if (!(familyData.memberIds || []).includes(context.auth.uid)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'User is not a member of this family'
+      );
+    }
+
+    let policy = getRetentionPolicy(familyData.settings);
+
+    if (Object.keys(changes).length > 0) {
+      // Required here rather than at the top: family-settings builds its schema from RETENTION_LIMITS
+      const { writeSettings, applySettingsPatch } = require('./family-settings');
+      const result = await writeSettings(familyId, context.auth.uid, 'manageRetentionPolicy', (latest, current) =>
+        applySettingsPatch(current, {
+          retention: {
+            ...getRetentionPolicy(current),
+            ...changes,
+            updatedBy: context.auth.uid,
+            updatedAt: admin.firestore.Timestamp.now(),
+          },
+        })
+      );
+      policy = getRetentionPolicy(result.settings);
+      opsLog.info('retention_policy_updated', 'Retention policy updated', { familyId, policy, uid: context.auth.uid });
+    }
+
+    return {
+      success: true,
+      policy,
+      limits: RETENTION_LIMITS,
+      lastPurge: familyData.retentionStatus
+        ? {
+          lastPurgedAt: familyData.retentionStatus.lastPurgedAt.toDate().toISOString(),
+          deleted: familyData.retentionStatus.deleted,
+        }
+        : null,
+    };
+
+  } catch (error) {
+    opsLog.error('retention_policy_failed', 'Error managing retention policy', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to manage retention policy'
+    );
+  }
+});
+
+exports.RETENTION_LIMITS = RETENTION_LIMITS;
+exports.getRetentionPolicy = getRetentionPolicy;
+exports.purgeFamilyData = purgeFamilyData;
@@ -0,0 +1,331 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getMealTimeMillis } = require('./activity-history');
+const { runWithConcurrency } = require('./survival-schedule');
+const { opsLog } = require('./ops-monitoring');
+const { writeSettings } = require('./family-settings');
+const { getFamilyTimeZone, getDateString, zonedTimeToMillis } = require('./sleep-time');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Family fields derived from raw events, maintained here instead of by the apps:
+//   todayMealCount, todayMealDate   meals in meals/{todayMealDate} (family timezone), 0 after local midnight
+//   lastMeal: { timestamp, count, number }   latest meal; count mirrors todayMealCount
+//   lastActive                      latest of lastPhoneActivity and the last meal
+//   settings.alertHours / settings.alertMinutes   kept consistent (whole minutes)
+// Timestamp fields written as ISO strings or epoch milliseconds are converted to Timestamps;
+// values that cannot be parsed are left as they are and logged.
+// Each meals/{date} document also gets count and lastMealAt.
+//
+// Every write compares against the current value first, so the triggers settle after one extra write.
+
+// Family fields that must be Firestore Timestamps
+const TIMESTAMP_FIELDS = [
+  'lastPhoneActivity', 'lastActive', 'batteryTimestamp', 'updateTimestamp',
+  'lastMeal.timestamp', 'location.timestamp', 'lastLocation.updatedAt',
+];
+
+const ROLLOVER_PAGE_SIZE = 200;
+const ROLLOVER_CONCURRENCY = 5;
+
+function getPath(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function toMillis(value) {
+  return value && typeof value.toMillis === 'function' ? value.toMillis() : null;
+}
+
+// Helper function to read a timestamp written as a Timestamp, epoch milliseconds or ISO string.
+// ISO strings without an offset (Dart toIso8601String of a local DateTime) are read in the family timezone.
+function parseTimestampMillis(value, timeZone) {
+  if (value == null) {
+    return null;
+  }
+  if (typeof value.toMillis === 'function') {
+    return value.toMillis();
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const local = value.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?$/);
+  if (local) {
+    const [, year, month, day, hour, minute, second = '0', fraction = '0'] = local;
+    return zonedTimeToMillis(+year, +month, +day, +hour, +minute, timeZone) +
+      parseInt(second, 10) * 1000 + Math.floor(parseInt(fraction.padEnd(3, '0').substring(0, 3), 10));
+  }
+
+  const parsed = Date.parse(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// Helper function to summarise one meals/{date} document: { count, lastMealMillis, lastMealNumber }
+function summarizeMealDay(mealDayData) {
+  const seen = new Set();
+  let lastMealMillis = null;
+  let lastMealNumber = null;
+
+  (mealDayData?.meals || []).forEach(meal => {
+    // arrayUnion only dedupes identical maps, so retries can store the same meal twice
+    const key = meal?.mealId || JSON.stringify(meal);
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+
+    const millis = getMealTimeMillis(meal);
+    if (millis && (lastMealMillis === null || millis > lastMealMillis)) {
+      lastMealMillis = millis;
+      lastMealNumber = meal.mealNumber ?? null;
+    }
+  });
+
+  return { count: seen.size, lastMealMillis, lastMealNumber };
+}
+
+// Helper function to normalize alertHours/alertMinutes. Returns the settings fields to change (may be empty).
+function normalizeAlertSettings(before, after) {
+  const settings = after || {};
+  const minutesChanged = settings.alertMinutes !== (before || {}).alertMinutes;
+  const hours = settings.alertHours;
+  const minutes = settings.alertMinutes;
+
+  // Whichever field the client changed wins; alertHours otherwise
+  let totalMinutes = null;
+  if (minutesChanged && Number.isFinite(minutes) && minutes > 0) {
+    totalMinutes = Math.round(minutes);
+  } else if (Number.isFinite(hours) && hours > 0) {
+    totalMinutes = Math.round(hours * 60);
+  } else if (Number.isFinite(minutes) && minutes > 0) {
+    totalMinutes = Math.round(minutes);
+  }
+
+  if (totalMinutes === null) {
+    return {};
+  }
+
+  const updates = {};
+  const normalizedHours = Math.round((totalMinutes / 60) * 1000) / 1000;
+  if (hours !== normalizedHours) {
+    updates.alertHours = normalizedHours;
+  }
+  if (minutes !== totalMinutes) {
+    updates.alertMinutes = totalMinutes;
+  }
+  return updates;
+}
+
+// Compute the derived-field updates for a family document (pure; mealDay is today's meals doc or null)
+function computeFamilyUpdates(familyId, after, mealDay, nowMillis) {
+  const timeZone = getFamilyTimeZone(after.settings);
+  const today = getDateString(nowMillis, timeZone);
+  const updates = {};
+
+  TIMESTAMP_FIELDS.forEach(path => {
+    const value = getPath(after, path);
+    if (value == null || typeof value.toMillis === 'function') {
+      return;
+    }
+    const millis = parseTimestampMillis(value, timeZone);
+    if (!millis) {
+      opsLog.warn('derived_timestamp_unparsable', `Could not parse ${path}, leaving it unchanged`, {
+        familyId,
+        field: path,
+        value: String(value).substring(0, 100),
+      });
+      return;
+    }
+    updates[path] = admin.firestore.Timestamp.fromMillis(millis);
+  });
+
+  // Today's meals: from the meals document when it was read, otherwise from the stored count
+  const countIsToday = after.todayMealDate === today;
+  const todayCount = mealDay ? mealDay.count : (countIsToday ? after.todayMealCount || 0 : 0);
+  if (after.todayMealCount !== todayCount || after.todayMealDate !== today) {
+    updates.todayMealCount = todayCount;
+    updates.todayMealDate = today;
+  }
+
+  const lastMealMillis = Math.max(
+    parseTimestampMillis(after.lastMeal?.timestamp, timeZone) || 0,
+    mealDay?.lastMealMillis || 0
+  ) || null;
+  if (lastMealMillis && (toMillis(after.lastMeal?.timestamp) !== lastMealMillis ||
+      after.lastMeal?.count !== todayCount)) {
+    updates.lastMeal = {
+      timestamp: admin.firestore.Timestamp.fromMillis(lastMealMillis),
+      count: todayCount,
+      number: mealDay?.lastMealMillis === lastMealMillis ? mealDay.lastMealNumber : after.lastMeal?.number ?? null,
+    };
+    delete updates['lastMeal.timestamp'];
+  } else if (after.lastMeal && after.lastMeal.count !== todayCount) {
+    updates['lastMeal.count'] = todayCount;
+  }
+
+  const lastActiveMillis = Math.max(
+    parseTimestampMillis(after.lastPhoneActivity, timeZone) || 0,
+    lastMealMillis || 0
+  );
+  if (lastActiveMillis > 0 && toMillis(after.lastActive) !== lastActiveMillis) {
+    updates.lastActive = admin.firestore.Timestamp.fromMillis(lastActiveMillis);
+  }
+
+  return updates;
+}
+
+// Recompute derived fields whenever a family document is written by a client
+exports.maintainFamilyDerivedFields = functions.firestore
+  .document('families/{familyId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) {
+      return;
+    }
+
+    const before = change.before.exists ? change.before.data() : {};
+    const after = change.after.data();
+    const nowMillis = Date.now();
+
+    // Clients that write lastMeal themselves have just recorded a meal: recount from the meals document
+    let mealDay = null;
+    if (JSON.stringify(before.lastMeal ?? null) !== JSON.stringify(after.lastMeal ?? null)) {
+      const today = getDateString(nowMillis, getFamilyTimeZone(after.settings));
+      const mealDoc = await change.after.ref.collection('meals').doc(today).get();
+      mealDay = summarizeMealDay(mealDoc.exists ? mealDoc.data() : null);
+    }
+
+    const updates = computeFamilyUpdates(context.params.familyId, after, mealDay, nowMillis);
+    if (Object.keys(updates).length > 0) {
+      await change.after.ref.update(updates);
+      opsLog.debug('derived_fields_updated', 'Derived family fields updated', {
+        familyId: context.params.familyId,
+        fields: Object.keys(updates),
+      });
+    }
+
+    // Settings go through writeSettings so the change is versioned and logged like any other
+    if (Object.keys(normalizeAlertSettings(before.settings, after.settings)).length > 0) {
+      await writeSettings(context.params.familyId, 'system', 'maintainFamilyDerivedFields', (familyData, current) => ({
+        ...current,
+        ...normalizeAlertSettings(before.settings, current),
+      }));
+    }
+  });
+
+// Keep count and lastMealAt on each meals/{date} document and today's counters on the family
+exports.maintainMealDayFields = functions.firestore
+  .document('families/{familyId}/meals/{date}')
+  .onWrite(async (change, context) => {
+    const { familyId, date } = context.params;
+    const summary = summarizeMealDay(change.after.exists ? change.after.data() : null);
+
+    if (change.after.exists) {
+      const current = change.after.data();
+      const lastMealAt = summary.lastMealMillis ? admin.firestore.Timestamp.fromMillis(summary.lastMealMillis) : null;
+      if (current.count !== summary.count || toMillis(current.lastMealAt) !== summary.lastMealMillis) {
+        await change.after.ref.update({ count: summary.count, lastMealAt });
+      }
+    }
+
+    const familyRef = db.collection('families').doc(familyId);
+    await db.runTransaction(async (transaction) => {
+      const familyDoc = await transaction.get(familyRef);
+      if (!familyDoc.exists) {
+        return;
+      }
+
+      const familyData = familyDoc.data();
+      const nowMillis = Date.now();
+      // Only today's document drives the family counters; past days are left to the rollover.
+      // A late entry that is still the newest meal moves lastMeal, so the food check is rescheduled.
+      if (date !== getDateString(nowMillis, getFamilyTimeZone(familyData.settings))) {
+        const lastMealMillis = toMillis(familyData.lastMeal?.timestamp);
+        if (summary.lastMealMillis && (!lastMealMillis || summary.lastMealMillis > lastMealMillis)) {
+          transaction.update(familyRef, {
+            'lastMeal.timestamp': admin.firestore.Timestamp.fromMillis(summary.lastMealMillis),
+            'lastMeal.number': summary.lastMealNumber,
+          });
+        }
+        return;
+      }
+
+      const updates = computeFamilyUpdates(familyId, familyData, summary, nowMillis);
+      if (Object.keys(updates).length > 0) {
+        transaction.update(familyRef, updates);
+      }
+    });
+  });
+
+// Reset today's meal counters after local midnight for families that had meals yesterday.
+// Runs every 30 minutes so half-hour timezones roll over on time.
+exports.rolloverDailyCounters = functions.runWith({
+  timeoutSeconds: 300
+}).pubsub
+  .schedule('every 30 minutes')
+  .timeZone('Asia/Seoul')
+  .onRun(async (context) => {
+    const nowMillis = Date.now();
+    let rolledOver = 0;
+
+    try {
+      let lastDoc = null;
+      let hasMore = true;
+
+      while (hasMore) {
+        let query = db.collection('families')
+          .where('todayMealCount', '>', 0)
+          .orderBy('todayMealCount')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(ROLLOVER_PAGE_SIZE);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const page = await query.get();
+        hasMore = page.size === ROLLOVER_PAGE_SIZE;
+        if (page.empty) {
+          break;
+        }
+        lastDoc = page.docs[page.docs.length - 1];
+
+        const results = await runWithConcurrency(page.docs, ROLLOVER_CONCURRENCY, async (familyDoc) => {
+          const familyData = familyDoc.data();
+          const today = getDateString(nowMillis, getFamilyTimeZone(familyData.settings));
+          if (familyData.todayMealDate === today) {
+            return false;
+          }
+
+          try {
+            await familyDoc.ref.update({
+              todayMealCount: 0,
+              todayMealDate: today,
+              ...(familyData.lastMeal ? { 'lastMeal.count': 0 } : {}),
+            });
+            return true;
+          } catch (error) {
+            opsLog.error('counter_rollover_failed', 'Failed to roll over daily counters', { familyId: familyDoc.id }, error);
+            return false;
+          }
+        });
+        rolledOver += results.filter(Boolean).length;
+      }
+
+      if (rolledOver > 0) {
+        opsLog.info('counter_rollover', 'Daily meal counters reset', { families: rolledOver });
+      }
+    } catch (error) {
+      opsLog.error('counter_rollover_run_failed', 'Error rolling over daily counters', {}, error);
+    }
+  });
+
+exports.parseTimestampMillis = parseTimestampMillis;
+exports.summarizeMealDay = summarizeMealDay;
+exports.normalizeAlertSettings = normalizeAlertSettings;
+exports.computeFamilyUpdates = computeFamilyUpdates;
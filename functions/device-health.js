@@ -0,0 +1,206 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { sendTemplatedNotification } = require('./notifications');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Why a parent has been inactive, decided from everything the parent phone still reports
+const INACTIVITY_CAUSES = {
+  // Device keeps sending battery or location updates, but nobody uses it
+  USER_INACTIVE: 'user_inactive',
+  // Last battery reading was nearly empty and not charging, then everything stopped
+  BATTERY_DEAD: 'battery_dead',
+  // No updates of any kind (phone off, no network, app killed)
+  DEVICE_OFFLINE: 'device_offline',
+};
+
+// Notification type (and template) sent to children for each cause
+const NOTIFICATION_TYPE_BY_CAUSE = {
+  user_inactive: 'survival_alert',
+  battery_dead: 'device_battery_dead',
+  device_offline: 'device_offline',
+};
+
+// A device that reported anything within this window is considered alive
+const DEVICE_ALIVE_WINDOW_MS = 2 * 60 * 60 * 1000;
+// Battery level at or below which a silent device is assumed to have died
+const DEAD_BATTERY_LEVEL = 10;
+
+// Defaults for settings.deviceHealth (both notifications are opt-in)
+//   lowBatteryAlerts, lowBatteryLevel, locationStaleAlerts, locationStaleHours
+const DEFAULT_LOW_BATTERY_LEVEL = 15;
+const DEFAULT_LOCATION_STALE_HOURS = 24;
+// Low battery re-arms once the level is this far above the threshold, or on charge
+const LOW_BATTERY_REARM_MARGIN = 5;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function toMillis(value) {
+  return value && typeof value.toMillis === 'function' ? value.toMillis() : null;
+}
+
+function getDeviceHealthSettings(settings) {
+  const deviceHealth = settings?.deviceHealth || {};
+  return {
+    lowBatteryAlerts: deviceHealth.lowBatteryAlerts === true,
+    lowBatteryLevel: deviceHealth.lowBatteryLevel ?? DEFAULT_LOW_BATTERY_LEVEL,
+    locationStaleAlerts: deviceHealth.locationStaleAlerts === true,
+    locationStaleHours: deviceHealth.locationStaleHours || DEFAULT_LOCATION_STALE_HOURS,
+  };
+}
+
+// Most recent location update written by either the parent app or updateLocation
+function getLastLocationMillis(familyData) {
+  const millis = Math.max(
+    toMillis(familyData.location?.timestamp) || 0,
+    toMillis(familyData.lastLocation?.updatedAt) || 0
+  );
+  return millis > 0 ? millis : null;
+}
+
+// Most recent update of any kind from the parent phone
+function getLastDeviceSignalMillis(familyData) {
+  const millis = Math.max(
+    toMillis(familyData.lastPhoneActivity) || 0,
+    toMillis(familyData.updateTimestamp) || 0,
+    toMillis(familyData.batteryTimestamp) || 0,
+    getLastLocationMillis(familyData) || 0
+  );
+  return millis > 0 ? millis : null;
+}
+
+function getNotificationTypeForCause(cause) {
+  return NOTIFICATION_TYPE_BY_CAUSE[cause] || NOTIFICATION_TYPE_BY_CAUSE.user_inactive;
+}
+
+// Classify a survival alert as user inactive, battery dead or device offline
+function classifyInactivity(familyData, nowMillis) {
+  const lastSignalMillis = getLastDeviceSignalMillis(familyData);
+  const batteryLevel = typeof familyData.batteryLevel === 'number' ? familyData.batteryLevel : null;
+  const isCharging = !!familyData.isCharging;
+
+  let cause;
+  if (lastSignalMillis && nowMillis - lastSignalMillis <= DEVICE_ALIVE_WINDOW_MS) {
+    cause = INACTIVITY_CAUSES.USER_INACTIVE;
+  } else if (batteryLevel !== null && batteryLevel <= DEAD_BATTERY_LEVEL && !isCharging) {
+    cause = INACTIVITY_CAUSES.BATTERY_DEAD;
+  } else {
+    cause = INACTIVITY_CAUSES.DEVICE_OFFLINE;
+  }
+
+  return {
+    cause,
+    notificationType: NOTIFICATION_TYPE_BY_CAUSE[cause],
+    lastSignalMillis,
+    hoursSinceLastSignal: lastSignalMillis ? Math.floor((nowMillis - lastSignalMillis) / HOUR_MS) : null,
+    batteryLevel,
+    isCharging,
+  };
+}
+
+// Notify children once when the parent's location has not been updated for too long.
+// Called from the survival scheduler; re-arms when a fresh location arrives.
+async function checkLocationStale(familyId, familyData, now) {
+  const deviceHealth = getDeviceHealthSettings(familyData.settings);
+  if (!deviceHealth.locationStaleAlerts) {
+    return;
+  }
+
+  const lastLocationMillis = getLastLocationMillis(familyData);
+  if (!lastLocationMillis) {
+    return;
+  }
+
+  const elderlyName = familyData.elderlyName || '부모님';
+  const hoursStale = (now.toMillis() - lastLocationMillis) / HOUR_MS;
+  const notifiedAt = familyData.deviceHealth?.locationStaleNotifiedAt;
+  const familyRef = db.collection('families').doc(familyId);
+
+  try {
+    if (hoursStale > deviceHealth.locationStaleHours) {
+      if (notifiedAt) {
+        return;
+      }
+
+      opsLog.info('location_stale', `Location not updated for ${hoursStale.toFixed(1)} hours, notifying`, { familyId, hoursStale });
+      await familyRef.update({ 'deviceHealth.locationStaleNotifiedAt': now });
+
+      await sendTemplatedNotification(familyId, 'location_stale', {
+        elderlyName,
+        hoursStale: Math.floor(hoursStale),
+      }, {
+        type: 'location_stale',
+        elderlyName: elderlyName,
+        hoursStale: Math.floor(hoursStale).toString(),
+        familyId: familyId,
+        timestamp: now.toDate().toISOString(),
+      });
+    } else if (notifiedAt) {
+      await familyRef.update({ 'deviceHealth.locationStaleNotifiedAt': admin.firestore.FieldValue.delete() });
+    }
+  } catch (error) {
+    opsLog.error('location_stale_check_failed', 'Failed to check location freshness', { familyId }, error);
+  }
+}
+
+// Notify children once when the parent phone's battery runs low (opt-in)
+exports.checkDeviceHealth = functions.firestore
+  .document('families/{familyId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+
+    if (toMillis(after.batteryTimestamp) === toMillis(before.batteryTimestamp)) {
+      return;
+    }
+
+    const deviceHealth = getDeviceHealthSettings(after.settings);
+    const batteryLevel = after.batteryLevel;
+    if (!deviceHealth.lowBatteryAlerts || typeof batteryLevel !== 'number') {
+      return;
+    }
+
+    const familyId = context.params.familyId;
+    const notifiedAt = after.deviceHealth?.lowBatteryNotifiedAt;
+
+    if (after.isCharging || batteryLevel > deviceHealth.lowBatteryLevel + LOW_BATTERY_REARM_MARGIN) {
+      if (notifiedAt) {
+        await change.after.ref.update({ 'deviceHealth.lowBatteryNotifiedAt': admin.firestore.FieldValue.delete() });
+      }
+      return;
+    }
+
+    if (batteryLevel > deviceHealth.lowBatteryLevel || notifiedAt) {
+      return;
+    }
+
+    const elderlyName = after.elderlyName || '부모님';
+    const now = admin.firestore.Timestamp.now();
+    opsLog.info('low_battery', `Battery at ${batteryLevel}%, notifying`, { familyId, batteryLevel });
+
+    await change.after.ref.update({ 'deviceHealth.lowBatteryNotifiedAt': now });
+
+    await sendTemplatedNotification(familyId, 'low_battery', {
+      elderlyName,
+      batteryLevel,
+    }, {
+      type: 'low_battery',
+      elderlyName: elderlyName,
+      batteryLevel: batteryLevel.toString(),
+      familyId: familyId,
+      timestamp: now.toDate().toISOString(),
+    });
+  });
+
+exports.INACTIVITY_CAUSES = INACTIVITY_CAUSES;
+exports.getDeviceHealthSettings = getDeviceHealthSettings;
+exports.getLastLocationMillis = getLastLocationMillis;
+exports.getLastDeviceSignalMillis = getLastDeviceSignalMillis;
+exports.getNotificationTypeForCause = getNotificationTypeForCause;
+exports.classifyInactivity = classifyInactivity;
+exports.checkLocationStale = checkLocationStale;
@@ -0,0 +1,401 @@
+const crypto = require('crypto');
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { normalizeLocale } = require('./notification-templates');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Token registry: families/{familyId}/members/{uid}
+//   {
+//     uid, role: 'parent' | 'child', locale (notification language, e.g. 'ko', 'en'),
+//     tokens: { <tokenKey>: { token, platform, registeredAt, lastSeenAt } },
+//     notificationPreferences, notificationCount (see notification-preferences.js),
+//     updatedAt
+//   }
+// Tokens are keyed by a hash so a token can be found and removed without a query.
+
+// Member ID used for migrated tokens whose owner is unknown (family childAppTokens)
+const LEGACY_MEMBER_ID = 'legacy_unknown';
+
+// FCM error codes meaning the token will never work again
+const INVALID_TOKEN_ERROR_CODES = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+  'messaging/invalid-argument',
+];
+
+const MIGRATION_PAGE_SIZE = 100;
+
+function tokenKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').substring(0, 32);
+}
+
+function isInvalidTokenError(error) {
+  return INVALID_TOKEN_ERROR_CODES.includes(error?.code);
+}
+
+// The parent phone's account. createdBy is the family owner and moves with transferOwnership;
+// parentUid stays with the parent phone (families created before it existed fall back to createdBy).
+function getParentUid(familyData) {
+  return familyData?.parentUid || familyData?.createdBy || null;
+}
+
+// Helper function to load a family and make sure the caller is a member
+async function getFamilyForMember(familyId, uid) {
+  const familyDoc = await db.collection('families').doc(familyId).get();
+
+  if (!familyDoc.exists) {
+    throw new functions.https.HttpsError(
+      'not-found',
+      'Family not found'
+    );
+  }
+
+  const familyData = familyDoc.data();
+
+  if (!(familyData.memberIds || []).includes(uid)) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'User is not a member of this family'
+    );
+  }
+
+  return familyData;
+}
+
+// Helper function to add a token to a member's registry entry
+async function addTokenToRegistry(familyId, uid, role, token, platform, locale) {
+  const now = admin.firestore.Timestamp.now();
+  const localeField = locale ? { locale: normalizeLocale(locale) } : {};
+
+  await db.collection('families')
+    .doc(familyId)
+    .collection('members')
+    .doc(uid)
+    .set({
+      uid,
+      role,
+      tokens: {
+        [tokenKey(token)]: {
+          token,
+          platform: platform || 'unknown',
+          registeredAt: now,
+          lastSeenAt: now,
+        },
+      },
+      ...localeField,
+      updatedAt: now,
+    }, { merge: true });
+}
+
+// All registered tokens of a family as [{ uid, role, locale, preferences, notificationCount, key, token }]
+async function getRegisteredTokens(familyId) {
+  const membersSnapshot = await db.collection('families')
+    .doc(familyId)
+    .collection('members')
+    .get();
+
+  const entries = [];
+  membersSnapshot.forEach(memberDoc => {
+    const member = memberDoc.data();
+    Object.entries(member.tokens || {}).forEach(([key, entry]) => {
+      if (entry?.token) {
+        entries.push({
+          uid: memberDoc.id,
+          role: member.role || 'child',
+          locale: member.locale || null,
+          preferences: member.notificationPreferences || null,
+          notificationCount: member.notificationCount || null,
+          key,
+          token: entry.token,
+        });
+      }
+    });
+  });
+
+  return entries;
+}
+
+// Remove a token FCM rejected from the registry and from the legacy token locations
+async function removeInvalidToken(familyId, token) {
+  const key = tokenKey(token);
+  const familyRef = db.collection('families').doc(familyId);
+
+  try {
+    const membersSnapshot = await familyRef.collection('members').get();
+    const registryRemovals = membersSnapshot.docs
+      .filter(doc => doc.data().tokens?.[key])
+      .map(doc => doc.ref.update({
+        [`tokens.${key}`]: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.Timestamp.now(),
+      }));
+
+    const [devicesSnapshot, usersSnapshot] = await Promise.all([
+      familyRef.collection('child_devices').where('fcm_token', '==', token).get(),
+      db.collection('users').where('fcmToken', '==', token).get(),
+    ]);
+
+    await Promise.all([
+      ...registryRemovals,
+      familyRef.update({
+        childAppTokens: admin.firestore.FieldValue.arrayRemove(token),
+      }),
+      ...devicesSnapshot.docs.map(doc => doc.ref.update({
+        is_active: false,
+        fcm_token: admin.firestore.FieldValue.delete(),
+      })),
+      ...usersSnapshot.docs.map(doc => doc.ref.update({
+        fcmToken: admin.firestore.FieldValue.delete(),
+      })),
+    ]);
+
+    opsLog.info('token_pruned', 'Removed invalid token', { familyId, token: `${token.substring(0, 20)}...` });
+  } catch (error) {
+    opsLog.error('token_prune_failed', 'Failed to remove invalid token', { familyId }, error);
+  }
+}
+
+// Copy the legacy token sources of one family into the registry
+async function migrateFamilyTokens(familyDoc) {
+  const familyId = familyDoc.id;
+  const familyData = familyDoc.data();
+  const parentUid = getParentUid(familyData);
+  let migrated = 0;
+
+  const roleOf = (uid) => (uid === parentUid ? 'parent' : 'child');
+
+  // Source 1: users.familyCodes
+  if (familyData.connectionCode) {
+    const usersSnapshot = await db.collection('users')
+      .where('familyCodes', 'array-contains', familyData.connectionCode)
+      .get();
+
+    for (const userDoc of usersSnapshot.docs) {
+      const fcmToken = userDoc.data().fcmToken;
+      if (fcmToken) {
+        await addTokenToRegistry(familyId, userDoc.id, roleOf(userDoc.id), fcmToken, 'legacy_users');
+        migrated++;
+      }
+    }
+  }
+
+  // Source 2: child_devices subcollection
+  const devicesSnapshot = await db.collection('families')
+    .doc(familyId)
+    .collection('child_devices')
+    .where('is_active', '==', true)
+    .get();
+
+  for (const deviceDoc of devicesSnapshot.docs) {
+    const device = deviceDoc.data();
+    if (device.fcm_token) {
+      const uid = device.user_id || LEGACY_MEMBER_ID;
+      await addTokenToRegistry(familyId, uid, 'child', device.fcm_token, 'legacy_child_devices');
+      migrated++;
+    }
+  }
+
+  // Source 3: childAppTokens on the family document
+  for (const token of familyData.childAppTokens || []) {
+    if (token) {
+      await addTokenToRegistry(familyId, LEGACY_MEMBER_ID, 'child', token, 'legacy_family_doc');
+      migrated++;
+    }
+  }
+
+  return migrated;
+}
+
+// REGISTER DEVICE - Store the caller's FCM token (and notification locale) in the family token registry
+exports.registerDevice = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, token, platform, locale } = data;
+
+  if (!familyId || !token || typeof token !== 'string') {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID and FCM token are required'
+    );
+  }
+
+  try {
+    const familyData = await getFamilyForMember(familyId, context.auth.uid);
+    const role = getParentUid(familyData) === context.auth.uid ? 'parent' : 'child';
+
+    await addTokenToRegistry(familyId, context.auth.uid, role, token, platform, locale);
+
+    opsLog.info('device_registered', 'Device registered', { familyId, uid: context.auth.uid, role });
+
+    return {
+      success: true,
+      role,
+      locale: locale ? normalizeLocale(locale) : null,
+      message: 'Device registered successfully'
+    };
+
+  } catch (error) {
+    opsLog.error('device_register_failed', 'Error registering device', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to register device'
+    );
+  }
+});
+
+// UNREGISTER DEVICE - Remove the caller's FCM token (logout, notifications turned off)
+exports.unregisterDevice = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, token } = data;
+
+  if (!familyId || !token) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID and FCM token are required'
+    );
+  }
+
+  try {
+    await getFamilyForMember(familyId, context.auth.uid);
+
+    const memberRef = db.collection('families')
+      .doc(familyId)
+      .collection('members')
+      .doc(context.auth.uid);
+    const memberDoc = await memberRef.get();
+    const key = tokenKey(token);
+
+    if (!memberDoc.exists || !memberDoc.data().tokens?.[key]) {
+      return {
+        success: true,
+        removed: false,
+        message: 'Device was not registered'
+      };
+    }
+
+    await memberRef.update({
+      [`tokens.${key}`]: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.Timestamp.now(),
+    });
+
+    opsLog.info('device_unregistered', 'Device unregistered', { familyId, uid: context.auth.uid });
+
+    return {
+      success: true,
+      removed: true,
+      message: 'Device unregistered successfully'
+    };
+
+  } catch (error) {
+    opsLog.error('device_unregister_failed', 'Error unregistering device', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to unregister device'
+    );
+  }
+});
+
+// MIGRATE DEVICE TOKENS - Admin-only one-off copy of legacy tokens into the registry.
+// Legacy sources are left in place so older child app versions keep working.
+exports.migrateDeviceTokens = functions.runWith({
+  timeoutSeconds: 540
+}).https.onCall(async (data, context) => {
+  if (!context.auth?.token?.admin) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Admin privileges required'
+    );
+  }
+
+  try {
+    let familiesProcessed = 0;
+    let tokensMigrated = 0;
+
+    if (data?.familyId) {
+      const familyDoc = await db.collection('families').doc(data.familyId).get();
+      if (!familyDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Family not found'
+        );
+      }
+      tokensMigrated = await migrateFamilyTokens(familyDoc);
+      familiesProcessed = 1;
+    } else {
+      let lastDoc = null;
+      let hasMore = true;
+      while (hasMore) {
+        let query = db.collection('families')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(MIGRATION_PAGE_SIZE);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const page = await query.get();
+        hasMore = page.size === MIGRATION_PAGE_SIZE;
+
+        for (const familyDoc of page.docs) {
+          try {
+            tokensMigrated += await migrateFamilyTokens(familyDoc);
+          } catch (error) {
+            opsLog.error('token_migration_family_failed', 'Token migration failed', { familyId: familyDoc.id }, error);
+          }
+          familiesProcessed++;
+        }
+
+        lastDoc = page.docs[page.docs.length - 1];
+      }
+    }
+
+    opsLog.info('token_migration', `Token migration finished: ${tokensMigrated} tokens from ${familiesProcessed} families`, {
+      tokensMigrated,
+      familiesProcessed,
+    });
+
+    return {
+      success: true,
+      familiesProcessed,
+      tokensMigrated
+    };
+
+  } catch (error) {
+    opsLog.error('token_migration_failed', 'Error migrating device tokens', {}, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to migrate device tokens'
+    );
+  }
+});
+
+exports.tokenKey = tokenKey;
+exports.getFamilyForMember = getFamilyForMember;
+exports.getParentUid = getParentUid;
+exports.isInvalidTokenError = isInvalidTokenError;
+exports.getRegisteredTokens = getRegisteredTokens;
+exports.removeInvalidToken = removeInvalidToken;
@@ -0,0 +1,391 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { consumeRateLimits } = require('./rate-limiter');
+const { getFamilyTimeZone, zonedTimeToMillis, getDateString } = require('./sleep-time');
+const { getActivityTimestamps, getMealTimeMillis } = require('./activity-history');
+const { redactPhoneNumber } = require('./outbound-channels');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Exports are written to exports/{familyId}/... in the default bucket and recorded in
+// families/{familyId}/data_exports. Files and records are removed by the nightly
+// retention purge once they expire.
+const EXPORT_FORMATS = ['json', 'csv'];
+const DEFAULT_EXPORT_DAYS = 30;
+const MAX_EXPORT_DAYS = 366;
+const SIGNED_URL_TTL_MS = 15 * 60 * 1000;
+const EXPORT_FILE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const EXPORT_LIMIT_PER_HOUR = 5;
+const EXPORT_RATE_WINDOW_MS = 60 * 60 * 1000;
+
+// Upper bound on rows read per section, so one export cannot read unbounded history
+const MAX_ROWS_PER_SECTION = 20000;
+const EXPORT_PAGE_SIZE = 500;
+
+// Only the family creator gets these. Everyone else gets the rest of the export.
+const SENSITIVE_SETTINGS = ['familyContact', 'additionalContacts', 'safeZones'];
+const SENSITIVE_LOCATION_FIELDS = ['latitude', 'longitude', 'address', 'accuracy', 'userId'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toMillis(value) {
+  return value && typeof value.toMillis === 'function' ? value.toMillis() : null;
+}
+
+function toIso(millis) {
+  return millis ? new Date(millis).toISOString() : null;
+}
+
+// Helper function to convert Firestore values (Timestamps, nested maps) into plain JSON
+function toPlain(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value.toMillis === 'function') {
+    return toIso(value.toMillis());
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, toPlain(v)]));
+  }
+  return value;
+}
+
+// Helper function to drop secondary contacts' phone numbers from alert event details
+// (escalation events list who was messaged). Only the last four digits are kept.
+function redactAlertDetails(details) {
+  if (!Array.isArray(details.contacts)) {
+    return details;
+  }
+  return {
+    ...details,
+    contacts: details.contacts.map(contact => ({ ...contact, to: redactPhoneNumber(contact?.to) })),
+  };
+}
+
+// Helper function to resolve { from, to } (YYYY-MM-DD, inclusive) into a millisecond range
+function resolveDateRange(data, timeZone, nowMillis) {
+  const to = data.to || getDateString(nowMillis, timeZone);
+  const from = data.from || getDateString(nowMillis - (DEFAULT_EXPORT_DAYS - 1) * DAY_MS, timeZone);
+
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || from > to) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'from and to must be YYYY-MM-DD dates with from <= to'
+    );
+  }
+
+  const [fy, fm, fd] = from.split('-').map(Number);
+  const [ty, tm, td] = to.split('-').map(Number);
+  const fromMillis = zonedTimeToMillis(fy, fm, fd, 0, 0, timeZone);
+  const toMillis = zonedTimeToMillis(ty, tm, td + 1, 0, 0, timeZone) - 1;
+
+  if (toMillis - fromMillis > MAX_EXPORT_DAYS * DAY_MS) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Export range is limited to ${MAX_EXPORT_DAYS} days`
+    );
+  }
+
+  return { from, to, fromMillis, toMillis };
+}
+
+// Helper function to read every document of a query in pages, up to MAX_ROWS_PER_SECTION
+async function readAll(query) {
+  const docs = [];
+  let lastDoc = null;
+  let hasMore = true;
+
+  while (hasMore && docs.length < MAX_ROWS_PER_SECTION) {
+    let pageQuery = query.limit(EXPORT_PAGE_SIZE);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+
+    const page = await pageQuery.get();
+    hasMore = page.size === EXPORT_PAGE_SIZE;
+    if (page.empty) {
+      break;
+    }
+    lastDoc = page.docs[page.docs.length - 1];
+    docs.push(...page.docs);
+  }
+
+  return docs;
+}
+
+// Collect everything in the export. Sensitive fields are dropped unless includeSensitive.
+async function collectFamilyExport(familyId, familyData, range, includeSensitive) {
+  const familyRef = db.collection('families').doc(familyId);
+  const timeZone = getFamilyTimeZone(familyData.settings);
+  const fromTimestamp = admin.firestore.Timestamp.fromMillis(range.fromMillis);
+  const toTimestamp = admin.firestore.Timestamp.fromMillis(range.toMillis);
+
+  const settings = { ...(familyData.settings || {}) };
+  if (!includeSensitive) {
+    SENSITIVE_SETTINGS.forEach(field => delete settings[field]);
+  }
+
+  const [mealDocs, alertDocs, locationDocs, activityTimestamps] = await Promise.all([
+    readAll(familyRef.collection('meals')
+      .where(admin.firestore.FieldPath.documentId(), '>=', range.from)
+      .where(admin.firestore.FieldPath.documentId(), '<=', range.to)
+      .orderBy(admin.firestore.FieldPath.documentId())),
+    readAll(familyRef.collection('alert_events')
+      .where('at', '>=', fromTimestamp)
+      .where('at', '<=', toTimestamp)
+      .orderBy('at')),
+    readAll(familyRef.collection('locations')
+      .where('timestamp', '>=', fromTimestamp)
+      .where('timestamp', '<=', toTimestamp)
+      .orderBy('timestamp')),
+    getActivityTimestamps(familyId, range.fromMillis, range.toMillis, timeZone),
+  ]);
+
+  const meals = mealDocs.flatMap(doc => (doc.data().meals || []).map(meal => ({
+    date: doc.id,
+    at: toIso(getMealTimeMillis(meal)),
+    mealNumber: meal.mealNumber ?? null,
+  })));
+
+  const alerts = alertDocs.map(doc => {
+    const event = doc.data();
+    return {
+      at: toIso(toMillis(event.at)),
+      alertId: event.alertId || null,
+      alertType: event.alertType || null,
+      eventType: event.eventType || null,
+      details: toPlain(includeSensitive ? event.details || {} : redactAlertDetails(event.details || {})),
+    };
+  });
+
+  const locations = locationDocs.map(doc => {
+    const location = doc.data();
+    const row = {
+      at: toIso(toMillis(location.timestamp)),
+      latitude: location.latitude ?? null,
+      longitude: location.longitude ?? null,
+      address: location.address || null,
+      accuracy: location.accuracy ?? null,
+      userId: location.userId || null,
+    };
+    if (!includeSensitive) {
+      SENSITIVE_LOCATION_FIELDS.forEach(field => delete row[field]);
+    }
+    return row;
+  });
+
+  return {
+    family: {
+      familyId,
+      elderlyName: familyData.elderlyName || null,
+      createdAt: toIso(toMillis(familyData.createdAt)),
+      timeZone,
+      settings: toPlain(settings),
+    },
+    range: { from: range.from, to: range.to },
+    sensitiveFieldsIncluded: includeSensitive,
+    meals,
+    alerts,
+    locations,
+    activity: activityTimestamps.map(ms => ({ at: toIso(ms) })),
+  };
+}
+
+// Helper function to quote a CSV cell
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Flatten an export into one CSV table; the section column tells the rows apart
+function toCsv(exportData) {
+  const columns = ['section', 'at', 'date', 'type', 'value', 'latitude', 'longitude', 'address'];
+  const rows = [];
+
+  Object.entries(exportData.family.settings || {}).forEach(([key, value]) => {
+    rows.push({ section: 'setting', type: key, value });
+  });
+  exportData.meals.forEach(meal => {
+    rows.push({ section: 'meal', at: meal.at, date: meal.date, value: meal.mealNumber });
+  });
+  exportData.alerts.forEach(alert => {
+    rows.push({ section: 'alert', at: alert.at, type: `${alert.alertType}:${alert.eventType}`, value: alert.details });
+  });
+  exportData.locations.forEach(location => {
+    rows.push({ section: 'location', at: location.at, ...location });
+  });
+  exportData.activity.forEach(activity => {
+    rows.push({ section: 'activity', at: activity.at });
+  });
+
+  return [columns.join(','), ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))]
+    .join('\n') + '\n';
+}
+
+// Delete expired export files and their records for one family. Returns the number removed.
+async function purgeExpiredExports(familyRef, nowMillis) {
+  const expired = await familyRef.collection('data_exports')
+    .where('expiresAt', '<', admin.firestore.Timestamp.fromMillis(nowMillis))
+    .limit(EXPORT_PAGE_SIZE)
+    .get();
+
+  if (expired.empty) {
+    return 0;
+  }
+
+  const bucket = admin.storage().bucket();
+  await Promise.all(expired.docs.map(doc =>
+    bucket.file(doc.data().path).delete({ ignoreNotFound: true })
+  ));
+
+  const batch = db.batch();
+  expired.docs.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+
+  return expired.size;
+}
+
+// EXPORT FAMILY DATA - Members download settings, meals, alerts, locations and activity
+// for a date range as JSON or CSV through a short-lived signed URL
+exports.exportFamilyData = functions.runWith({
+  timeoutSeconds: 300,
+  memory: '512MB'
+}).https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId } = data;
+  const format = data.format || 'json';
+
+  if (!familyId || !EXPORT_FORMATS.includes(format)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Family ID is required and format must be one of: ${EXPORT_FORMATS.join(', ')}`
+    );
+  }
+
+  try {
+    const familyDoc = await db.collection('families').doc(familyId).get();
+
+    if (!familyDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Family not found'
+      );
+    }
+
+    const familyData = familyDoc.data();
+
+    if (!(familyData.memberIds || []).includes(context.auth.uid)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'User is not a member of this family'
+      );
+    }
+
+    const nowMillis = Date.now();
+    const range = resolveDateRange(data, getFamilyTimeZone(familyData.settings), nowMillis);
+
+    const rateLimit = await consumeRateLimits([{
+      key: `exportFamilyData_${context.auth.uid}`,
+      limit: EXPORT_LIMIT_PER_HOUR,
+      windowMs: EXPORT_RATE_WINDOW_MS,
+    }]);
+    if (!rateLimit.allowed) {
+      throw new functions.https.HttpsError(
+        'resource-exhausted',
+        'Too many exports, try again later',
+        { retryAfterSeconds: rateLimit.retryAfterSeconds }
+      );
+    }
+
+    const includeSensitive = familyData.createdBy === context.auth.uid;
+    const exportData = await collectFamilyExport(familyId, familyData, range, includeSensitive);
+    exportData.exportedAt = toIso(nowMillis);
+
+    const content = format === 'csv' ? toCsv(exportData) : JSON.stringify(exportData, null, 2);
+    const path = `exports/${familyId}/${context.auth.uid}_${nowMillis}.${format}`;
+    const file = admin.storage().bucket().file(path);
+
+    await file.save(content, {
+      resumable: false,
+      contentType: format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      metadata: {
+        contentDisposition: `attachment; filename="family-export-${range.from}_${range.to}.${format}"`,
+      },
+    });
+
+    const expiresAtMillis = nowMillis + SIGNED_URL_TTL_MS;
+    const [url] = await file.getSignedUrl({ action: 'read', expires: expiresAtMillis });
+
+    const counts = {
+      meals: exportData.meals.length,
+      alerts: exportData.alerts.length,
+      locations: exportData.locations.length,
+      activity: exportData.activity.length,
+    };
+
+    await db.collection('families').doc(familyId).collection('data_exports').add({
+      requestedBy: context.auth.uid,
+      format,
+      from: range.from,
+      to: range.to,
+      path,
+      counts,
+      sensitiveFieldsIncluded: includeSensitive,
+      createdAt: admin.firestore.Timestamp.fromMillis(nowMillis),
+      expiresAt: admin.firestore.Timestamp.fromMillis(nowMillis + EXPORT_FILE_TTL_MS),
+    });
+
+    opsLog.info('family_exported', 'Family data exported', {
+      familyId,
+      uid: context.auth.uid,
+      format,
+      from: range.from,
+      to: range.to,
+      counts,
+      sensitiveFieldsIncluded: includeSensitive,
+    });
+
+    return {
+      success: true,
+      url,
+      expiresAt: toIso(expiresAtMillis),
+      format,
+      from: range.from,
+      to: range.to,
+      counts,
+      sensitiveFieldsIncluded: includeSensitive,
+    };
+
+  } catch (error) {
+    opsLog.error('family_export_failed', 'Error exporting family data', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to export family data'
+    );
+  }
+});
+
+exports.purgeExpiredExports = purgeExpiredExports;
+exports.redactAlertDetails = redactAlertDetails;
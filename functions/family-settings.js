@@ -0,0 +1,522 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { RETENTION_LIMITS } = require('./data-retention');
+const { isValidTimeZone } = require('./sleep-time');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Validated writes to the family settings map.
+//
+// updateFamilySettings merges a partial settings object into the family's settings:
+// top-level fields are replaced, object fields (sleepTimeSettings, checkIn, ...) are merged
+// one level deep and null removes a field so its default applies again. The result is
+// checked against SETTINGS_SCHEMA before anything is written.
+//
+// families/{familyId}.settingsVersion records the shape the settings were last written in
+// (missing = written directly by an older app build). Older shapes are brought forward
+// by SETTINGS_MIGRATIONS. Every change is logged in families/{familyId}/settings_changes.
+
+const CURRENT_SETTINGS_VERSION = 1;
+
+const MIGRATION_PAGE_SIZE = 100;
+
+const HOUR_FIELDS = {
+  hour: { type: 'integer', min: 0, max: 23 },
+  minute: { type: 'integer', min: 0, max: 59 },
+};
+
+const ACTIVE_DAYS = { type: 'array', items: { type: 'integer', min: 1, max: 7 }, minItems: 1, maxItems: 7, unique: true };
+
+// Helper function for windows given as start/end hour and minute fields
+function checkWindowNotEmpty(startHour, startMinute, endHour, endMinute) {
+  return (value) => (
+    value[startHour] !== undefined && value[endHour] !== undefined &&
+    value[startHour] === value[endHour] && (value[startMinute] ?? 0) === (value[endMinute] ?? 0)
+      ? 'must not start and end at the same time'
+      : null
+  );
+}
+
+// Every settings field the backend reads. Bounds match the defaults and clamps of the modules using them.
+const SETTINGS_SCHEMA = {
+  survivalSignalEnabled: { type: 'boolean' },
+  locationTrackingEnabled: { type: 'boolean' },
+  foodAlertEnabled: { type: 'boolean' },
+  mealPatternAlerts: { type: 'boolean' },
+  timeZone: { type: 'timeZone' },
+  alertHours: { type: 'number', min: 0.5, max: 72 },
+  alertMode: { type: 'enum', values: ['fixed', 'adaptive'] },
+  foodAlertHours: { type: 'number', min: 1, max: 48 },
+  familyContact: { type: 'string', maxLength: 30 },
+  additionalContacts: {
+    type: 'array',
+    maxItems: 5,
+    items: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', maxLength: 40 },
+        phone: { type: 'string', maxLength: 30, required: true },
+      },
+    },
+  },
+  sleepTimeSettings: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      sleepStartHour: HOUR_FIELDS.hour,
+      sleepStartMinute: HOUR_FIELDS.minute,
+      sleepEndHour: HOUR_FIELDS.hour,
+      sleepEndMinute: HOUR_FIELDS.minute,
+      activeDays: ACTIVE_DAYS,
+      wakeGraceMinutes: { type: 'integer', min: 0, max: 240 },
+    },
+    check: checkWindowNotEmpty('sleepStartHour', 'sleepStartMinute', 'sleepEndHour', 'sleepEndMinute'),
+  },
+  checkIn: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      responseMinutes: { type: 'integer', min: 5, max: 60 },
+    },
+  },
+  deviceHealth: {
+    type: 'object',
+    fields: {
+      lowBatteryAlerts: { type: 'boolean' },
+      lowBatteryLevel: { type: 'integer', min: 5, max: 50 },
+      locationStaleAlerts: { type: 'boolean' },
+      locationStaleHours: { type: 'number', min: 1, max: 168 },
+    },
+  },
+  escalation: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      reminderIntervalMinutes: { type: 'integer', min: 5, max: 240 },
+      maxChildReminders: { type: 'integer', min: 0, max: 10 },
+      notifySecondaryContacts: { type: 'boolean' },
+    },
+  },
+  digest: {
+    type: 'object',
+    fields: {
+      enabled: { type: 'boolean' },
+      daily: { type: 'boolean' },
+      weekly: { type: 'boolean' },
+      hour: HOUR_FIELDS.hour,
+      weeklyDay: { type: 'integer', min: 1, max: 7 },
+    },
+  },
+  retention: {
+    type: 'object',
+    fields: Object.fromEntries(Object.entries(RETENTION_LIMITS).map(([field, limits]) =>
+      [field, { type: 'integer', min: limits.min, max: limits.max }]
+    )),
+  },
+  safeZones: {
+    type: 'array',
+    maxItems: 10,
+    items: {
+      type: 'object',
+      fields: {
+        id: { type: 'string', maxLength: 64, required: true },
+        name: { type: 'string', maxLength: 40 },
+        latitude: { type: 'number', min: -90, max: 90, required: true },
+        longitude: { type: 'number', min: -180, max: 180, required: true },
+        radiusMeters: { type: 'number', min: 50, max: 5000 },
+        enabled: { type: 'boolean' },
+        notifyOnExit: { type: 'boolean' },
+        notifyOnEnter: { type: 'boolean' },
+        activeHours: {
+          type: 'object',
+          fields: {
+            startHour: HOUR_FIELDS.hour,
+            startMinute: HOUR_FIELDS.minute,
+            endHour: HOUR_FIELDS.hour,
+            endMinute: HOUR_FIELDS.minute,
+            activeDays: ACTIVE_DAYS,
+          },
+          check: checkWindowNotEmpty('startHour', 'startMinute', 'endHour', 'endMinute'),
+        },
+      },
+    },
+  },
+};
+
+// Fields kept in the settings map without being editable through updateFamilySettings
+// (alertMinutes mirrors alertHours, see derived-fields.js; retention bookkeeping is
+// written by manageRetentionPolicy)
+const SERVER_MANAGED_FIELDS = ['alertMinutes'];
+const SERVER_MANAGED_NESTED_FIELDS = { retention: ['updatedBy', 'updatedAt'] };
+
+function toNumber(value) {
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Older settings shapes, brought forward one version at a time
+const SETTINGS_MIGRATIONS = [
+  {
+    version: 1,
+    // Unversioned settings: alertHours could be missing (only alertMinutes written) or a string,
+    // foodAlertHours a string, and familyContact null
+    migrate(settings) {
+      const migrated = { ...settings };
+      const alertHours = toNumber(migrated.alertHours);
+      const alertMinutes = toNumber(migrated.alertMinutes);
+
+      if (Number.isFinite(alertHours) && alertHours > 0) {
+        migrated.alertHours = alertHours;
+      } else if (Number.isFinite(alertMinutes) && alertMinutes > 0) {
+        migrated.alertHours = alertMinutes / 60;
+      } else {
+        delete migrated.alertHours;
+      }
+
+      const foodAlertHours = toNumber(migrated.foodAlertHours);
+      if (Number.isFinite(foodAlertHours) && foodAlertHours > 0) {
+        migrated.foodAlertHours = foodAlertHours;
+      } else {
+        delete migrated.foodAlertHours;
+      }
+
+      if (migrated.familyContact === null) {
+        migrated.familyContact = '';
+      }
+      return migrated;
+    },
+  },
+];
+
+// Helper function to bring settings written at fromVersion up to CURRENT_SETTINGS_VERSION
+function migrateSettings(settings, fromVersion) {
+  return SETTINGS_MIGRATIONS
+    .filter(migration => migration.version > (fromVersion || 0))
+    .reduce((migrated, migration) => migration.migrate(migrated), { ...(settings || {}) });
+}
+
+// Keep alertMinutes in whole minutes and alertHours consistent with it (same rounding as derived-fields.js)
+function normalizeAlertHours(settings) {
+  if (!Number.isFinite(settings.alertHours)) {
+    delete settings.alertMinutes;
+    return settings;
+  }
+  settings.alertMinutes = Math.round(settings.alertHours * 60);
+  settings.alertHours = Math.round((settings.alertMinutes / 60) * 1000) / 1000;
+  return settings;
+}
+
+function invalidSetting(path, message) {
+  return new functions.https.HttpsError('invalid-argument', `${path} ${message}`, { field: path });
+}
+
+// Helper function to validate one value against its schema entry. Returns the value to store.
+function validateValue(schema, value, path) {
+  switch (schema.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw invalidSetting(path, 'must be true or false');
+      }
+      return value;
+
+    case 'string':
+      if (typeof value !== 'string' || value.length > schema.maxLength) {
+        throw invalidSetting(path, `must be text of at most ${schema.maxLength} characters`);
+      }
+      return value.trim();
+
+    case 'enum':
+      if (!schema.values.includes(value)) {
+        throw invalidSetting(path, `must be one of ${schema.values.join(', ')}`);
+      }
+      return value;
+
+    case 'timeZone':
+      if (!isValidTimeZone(value)) {
+        throw invalidSetting(path, 'must be an IANA time zone such as Asia/Seoul');
+      }
+      return value;
+
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) ||
+          (schema.type === 'integer' && !Number.isInteger(value)) ||
+          value < schema.min || value > schema.max) {
+        throw invalidSetting(path, `must be a ${schema.type === 'integer' ? 'whole number' : 'number'} between ${schema.min} and ${schema.max}`);
+      }
+      return value;
+
+    case 'array': {
+      if (!Array.isArray(value) || value.length < (schema.minItems || 0) || value.length > schema.maxItems) {
+        throw invalidSetting(path, `must be a list of ${schema.minItems || 0} to ${schema.maxItems} entries`);
+      }
+      const items = value.map((item, i) => validateValue(schema.items, item, `${path}[${i}]`));
+      if (schema.unique && new Set(items).size !== items.length) {
+        throw invalidSetting(path, 'must not contain duplicates');
+      }
+      return items;
+    }
+
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw invalidSetting(path, 'must be an object');
+      }
+      const serverManaged = SERVER_MANAGED_NESTED_FIELDS[path] || [];
+      const result = {};
+      Object.entries(value).forEach(([key, fieldValue]) => {
+        if (serverManaged.includes(key)) {
+          result[key] = fieldValue;
+          return;
+        }
+        if (!schema.fields[key]) {
+          throw invalidSetting(`${path}.${key}`, 'is not a known setting');
+        }
+        if (fieldValue !== null && fieldValue !== undefined) {
+          result[key] = validateValue(schema.fields[key], fieldValue, `${path}.${key}`);
+        }
+      });
+      Object.entries(schema.fields).forEach(([key, fieldSchema]) => {
+        if (fieldSchema.required && result[key] === undefined) {
+          throw invalidSetting(`${path}.${key}`, 'is required');
+        }
+      });
+      const problem = schema.check ? schema.check(result) : null;
+      if (problem) {
+        throw invalidSetting(path, problem);
+      }
+      return result;
+    }
+
+    default:
+      throw invalidSetting(path, 'has an unknown type');
+  }
+}
+
+// Apply a partial update to (migrated) settings. Only the fields in the patch are validated:
+// stored fields nobody touched are kept as they are.
+function applySettingsPatch(current, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new functions.https.HttpsError('invalid-argument', 'Settings must be an object');
+  }
+
+  const next = { ...current };
+  Object.entries(patch).forEach(([field, value]) => {
+    const schema = SETTINGS_SCHEMA[field];
+    if (!schema) {
+      throw invalidSetting(field, SERVER_MANAGED_FIELDS.includes(field)
+        ? 'is maintained by the server'
+        : 'is not a known setting');
+    }
+
+    if (value === null) {
+      delete next[field];
+      return;
+    }
+
+    // Object settings are merged so that clients can change one field at a time
+    const merged = schema.type === 'object' && value && typeof value === 'object' && !Array.isArray(value)
+      ? { ...(current[field] && typeof current[field] === 'object' ? current[field] : {}), ...value }
+      : value;
+    next[field] = validateValue(schema, merged, field);
+  });
+
+  return normalizeAlertHours(next);
+}
+
+// Helper function to list the top-level settings fields that differ
+function diffSettings(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null))
+    .sort()
+    .map(field => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null }));
+}
+
+// Write migrated/updated settings, the version stamp and a change log entry in one transaction.
+// update(familyData) returns the new settings; returns { settings, changes, fromVersion }.
+async function writeSettings(familyId, changedBy, source, update) {
+  const familyRef = db.collection('families').doc(familyId);
+
+  return db.runTransaction(async (transaction) => {
+    const familyDoc = await transaction.get(familyRef);
+    if (!familyDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Family not found'
+      );
+    }
+
+    const familyData = familyDoc.data();
+    const fromVersion = familyData.settingsVersion || 0;
+    const settings = update(familyData, migrateSettings(familyData.settings, fromVersion));
+    const changes = diffSettings(familyData.settings, settings);
+
+    if (changes.length === 0 && fromVersion === CURRENT_SETTINGS_VERSION) {
+      return { settings, changes, fromVersion };
+    }
+
+    const now = admin.firestore.Timestamp.now();
+    transaction.update(familyRef, {
+      settings,
+      settingsVersion: CURRENT_SETTINGS_VERSION,
+      settingsUpdatedAt: now,
+      settingsUpdatedBy: changedBy,
+    });
+    transaction.set(familyRef.collection('settings_changes').doc(), {
+      changedBy,
+      source,
+      changedAt: now,
+      fromVersion,
+      toVersion: CURRENT_SETTINGS_VERSION,
+      changes,
+    });
+
+    return { settings, changes, fromVersion };
+  });
+}
+
+// UPDATE FAMILY SETTINGS - Validate and apply a partial settings update
+exports.updateFamilySettings = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, settings: patch } = data || {};
+
+  if (!familyId || !patch) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID and settings are required'
+    );
+  }
+
+  try {
+    const uid = context.auth.uid;
+    const result = await writeSettings(familyId, uid, 'updateFamilySettings', (familyData, current) => {
+      if (!(familyData.memberIds || []).includes(uid)) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'User is not a member of this family'
+        );
+      }
+      return applySettingsPatch(current, patch);
+    });
+
+    opsLog.info('family_settings_updated', 'Family settings updated', {
+      familyId,
+      uid,
+      fields: result.changes.map(change => change.field),
+      fromVersion: result.fromVersion,
+    });
+
+    return {
+      success: true,
+      settings: result.settings,
+      settingsVersion: CURRENT_SETTINGS_VERSION,
+      changedFields: result.changes.map(change => change.field),
+    };
+
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    opsLog.error('family_settings_failed', 'Error updating family settings', { familyId }, error);
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to update family settings'
+    );
+  }
+});
+
+// MIGRATE FAMILY SETTINGS - Admin-only: bring every family's settings to the current version
+exports.migrateFamilySettings = functions.runWith({
+  timeoutSeconds: 540
+}).https.onCall(async (data, context) => {
+  if (!context.auth?.token?.admin) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Admin privileges required'
+    );
+  }
+
+  const migrateFamily = (familyId) =>
+    writeSettings(familyId, context.auth.uid, 'migrateFamilySettings', (familyData, migrated) => normalizeAlertHours(migrated));
+
+  try {
+    let familiesProcessed = 0;
+    let familiesMigrated = 0;
+
+    if (data?.familyId) {
+      const result = await migrateFamily(data.familyId);
+      familiesProcessed = 1;
+      familiesMigrated = result.fromVersion < CURRENT_SETTINGS_VERSION ? 1 : 0;
+    } else {
+      let lastDoc = null;
+      let hasMore = true;
+      while (hasMore) {
+        let query = db.collection('families')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(MIGRATION_PAGE_SIZE);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const page = await query.get();
+        hasMore = page.size === MIGRATION_PAGE_SIZE;
+
+        for (const familyDoc of page.docs) {
+          familiesProcessed++;
+          if ((familyDoc.data().settingsVersion || 0) >= CURRENT_SETTINGS_VERSION) {
+            continue;
+          }
+          try {
+            await migrateFamily(familyDoc.id);
+            familiesMigrated++;
+          } catch (error) {
+            opsLog.error('settings_migration_failed', 'Settings migration failed', { familyId: familyDoc.id }, error);
+          }
+        }
+
+        lastDoc = page.docs[page.docs.length - 1];
+      }
+    }
+
+    opsLog.info('settings_migration', `Settings migration finished: ${familiesMigrated} of ${familiesProcessed} families migrated`, {
+      familiesProcessed,
+      familiesMigrated,
+    });
+
+    return {
+      success: true,
+      settingsVersion: CURRENT_SETTINGS_VERSION,
+      familiesProcessed,
+      familiesMigrated,
+    };
+
+  } catch (error) {
+    opsLog.error('settings_migration_run_failed', 'Error migrating family settings', {}, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to migrate family settings'
+    );
+  }
+});
+
+exports.CURRENT_SETTINGS_VERSION = CURRENT_SETTINGS_VERSION;
+exports.SETTINGS_SCHEMA = SETTINGS_SCHEMA;
+exports.migrateSettings = migrateSettings;
+exports.applySettingsPatch = applySettingsPatch;
+exports.writeSettings = writeSettings;
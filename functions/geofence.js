@@ -0,0 +1,247 @@
+const admin = require('firebase-admin');
+const { sendTemplatedNotification } = require('./notifications');
+const { getFamilyTimeZone, getZonedParts } = require('./sleep-time');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Safe zones live in settings.safeZones, edited by the child app:
+//   [{ id, name, latitude, longitude, radiusMeters, enabled,
+//      notifyOnExit, notifyOnEnter,
+//      activeHours: { startHour, startMinute, endHour, endMinute, activeDays } }]
+// Per-zone state is kept in geofenceState.{zoneId} on the family document and
+// every confirmed transition is written to families/{familyId}/geofence_events
+// (zone, transition, distance and time; locations are sensitive, so never the coordinates).
+
+const MIN_RADIUS_METERS = 50;
+const MAX_RADIUS_METERS = 5000;
+const DEFAULT_RADIUS_METERS = 200;
+// Leaving requires being this far outside the radius, so GPS jitter at the edge does not flap
+const EXIT_HYSTERESIS_METERS = 50;
+// Readings less accurate than this are ignored for transitions
+const MAX_ACCURACY_METERS = 500;
+// A transition is confirmed after this many consistent readings spanning this long
+const CONFIRM_READINGS = 2;
+const CONFIRM_MINUTES = 5;
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Helper function to compute great-circle distance in meters
+function getDistanceMeters(lat1, lng1, lat2, lng2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+}
+
+// Helper function to normalize settings.safeZones, dropping malformed entries
+function getSafeZones(settings) {
+  const zones = Array.isArray(settings?.safeZones) ? settings.safeZones : [];
+
+  return zones
+    .filter(zone => zone && zone.id && zone.enabled !== false &&
+      typeof zone.latitude === 'number' && typeof zone.longitude === 'number')
+    .map(zone => ({
+      id: String(zone.id),
+      name: zone.name || '안전 구역',
+      latitude: zone.latitude,
+      longitude: zone.longitude,
+      radiusMeters: Math.min(MAX_RADIUS_METERS, Math.max(MIN_RADIUS_METERS, zone.radiusMeters || DEFAULT_RADIUS_METERS)),
+      notifyOnExit: zone.notifyOnExit !== false,
+      notifyOnEnter: zone.notifyOnEnter !== false,
+      activeHours: zone.activeHours || null,
+    }));
+}
+
+// Alerts for a zone are only sent inside its active hours (family timezone).
+// Windows may cross midnight; they belong to the day they start on, like sleep windows.
+function isZoneActive(zone, settings, millis) {
+  const hours = zone.activeHours;
+  if (!hours) {
+    return true;
+  }
+
+  const startMinutes = (hours.startHour ?? 0) * 60 + (hours.startMinute ?? 0);
+  const endMinutes = (hours.endHour ?? 24) * 60 + (hours.endMinute ?? 0);
+  const activeDays = hours.activeDays || [1, 2, 3, 4, 5, 6, 7];
+  if (startMinutes === endMinutes) {
+    return activeDays.length > 0;
+  }
+
+  const local = getZonedParts(millis, getFamilyTimeZone(settings));
+  const minutes = local.hour * 60 + local.minute;
+
+  if (startMinutes < endMinutes) {
+    return activeDays.includes(local.weekday) && minutes >= startMinutes && minutes < endMinutes;
+  }
+
+  // Overnight: the evening part belongs to today, the early part to yesterday
+  if (minutes >= startMinutes) {
+    return activeDays.includes(local.weekday);
+  }
+  const yesterday = local.weekday === 1 ? 7 : local.weekday - 1;
+  return minutes < endMinutes && activeDays.includes(yesterday);
+}
+
+// Where a reading puts the parent relative to a zone, or null when it is too ambiguous to tell
+function getReadingStatus(zone, distanceMeters, accuracy, previousStatus) {
+  if (distanceMeters <= zone.radiusMeters) {
+    return 'inside';
+  }
+  const exitDistance = zone.radiusMeters + Math.max(EXIT_HYSTERESIS_METERS, accuracy || 0);
+  if (distanceMeters > exitDistance) {
+    return 'outside';
+  }
+  // Inside the hysteresis band: keep whatever we already believed
+  return previousStatus || null;
+}
+
+// Advance one zone's debounce state with a new reading.
+// Returns { state, transition } where transition is 'enter' | 'exit' | null.
+function advanceZoneState(previous, readingStatus, nowMillis) {
+  const state = previous ? { ...previous } : {};
+
+  if (!readingStatus) {
+    return { state, transition: null };
+  }
+
+  // First reading for this zone: adopt it without alerting
+  if (!state.status) {
+    return {
+      state: { status: readingStatus, since: nowMillis, pendingStatus: null, pendingSince: null, pendingCount: 0 },
+      transition: null,
+    };
+  }
+
+  if (readingStatus === state.status) {
+    return { state: { ...state, pendingStatus: null, pendingSince: null, pendingCount: 0 }, transition: null };
+  }
+
+  const pendingCount = state.pendingStatus === readingStatus ? (state.pendingCount || 0) + 1 : 1;
+  const pendingSince = state.pendingStatus === readingStatus ? state.pendingSince : nowMillis;
+  const confirmed = pendingCount >= CONFIRM_READINGS &&
+    nowMillis - pendingSince >= CONFIRM_MINUTES * 60 * 1000;
+
+  if (!confirmed) {
+    return { state: { ...state, pendingStatus: readingStatus, pendingSince, pendingCount }, transition: null };
+  }
+
+  return {
+    state: { status: readingStatus, since: pendingSince, pendingStatus: null, pendingSince: null, pendingCount: 0 },
+    transition: readingStatus === 'inside' ? 'enter' : 'exit',
+  };
+}
+
+// Check a location update against the family's safe zones, record confirmed
+// transitions and notify children. Called from updateLocation; never throws.
+async function evaluateSafeZones(familyId, { latitude, longitude, accuracy }, now = admin.firestore.Timestamp.now()) {
+  try {
+    if (typeof accuracy === 'number' && accuracy > MAX_ACCURACY_METERS) {
+      opsLog.debug('geofence_skipped', `Skipping safe-zone check, accuracy ${accuracy}m`, { familyId, accuracy });
+      return [];
+    }
+
+    const familyRef = db.collection('families').doc(familyId);
+    const nowMillis = now.toMillis();
+
+    const transitions = await db.runTransaction(async (transaction) => {
+      const familyDoc = await transaction.get(familyRef);
+      if (!familyDoc.exists) {
+        return [];
+      }
+
+      const familyData = familyDoc.data();
+      const zones = getSafeZones(familyData.settings);
+      if (zones.length === 0) {
+        return [];
+      }
+
+      const previousState = familyData.geofenceState || {};
+      const nextState = {};
+      const confirmed = [];
+
+      zones.forEach(zone => {
+        const distanceMeters = getDistanceMeters(latitude, longitude, zone.latitude, zone.longitude);
+        const readingStatus = getReadingStatus(zone, distanceMeters, accuracy, previousState[zone.id]?.status);
+        const { state, transition } = advanceZoneState(previousState[zone.id], readingStatus, nowMillis);
+        nextState[zone.id] = state;
+
+        if (transition) {
+          confirmed.push({
+            zone,
+            transition,
+            distanceMeters: Math.round(distanceMeters),
+            active: isZoneActive(zone, familyData.settings, nowMillis),
+            elderlyName: familyData.elderlyName || '부모님',
+          });
+        }
+      });
+
+      // Zones removed from settings drop out of the state map
+      if (JSON.stringify(nextState) !== JSON.stringify(previousState)) {
+        transaction.update(familyRef, { geofenceState: nextState });
+      }
+
+      confirmed.forEach(item => {
+        const notify = item.active && (item.transition === 'exit' ? item.zone.notifyOnExit : item.zone.notifyOnEnter);
+        item.notify = notify;
+        transaction.set(familyRef.collection('geofence_events').doc(), {
+          zoneId: item.zone.id,
+          zoneName: item.zone.name,
+          transition: item.transition,
+          at: now,
+          distanceMeters: item.distanceMeters,
+          notified: notify,
+        });
+      });
+
+      return confirmed;
+    });
+
+    for (const item of transitions) {
+      opsLog.info('geofence_transition', `Safe zone ${item.transition}`, {
+        familyId,
+        transition: item.transition,
+        zoneId: item.zone.id,
+        distanceMeters: item.distanceMeters,
+        notified: item.notify,
+      });
+      if (!item.notify) {
+        continue;
+      }
+
+      const type = item.transition === 'exit' ? 'geofence_exit' : 'geofence_enter';
+      await sendTemplatedNotification(familyId, type, {
+        elderlyName: item.elderlyName,
+        zoneName: item.zone.name,
+      }, {
+        type: type,
+        elderlyName: item.elderlyName,
+        zoneId: item.zone.id,
+        zoneName: item.zone.name,
+        familyId: familyId,
+        timestamp: now.toDate().toISOString(),
+      });
+    }
+
+    return transitions;
+  } catch (error) {
+    opsLog.error('geofence_failed', 'Failed to evaluate safe zones', { familyId }, error);
+    return [];
+  }
+}
+
+module.exports = {
+  getDistanceMeters,
+  getSafeZones,
+  isZoneActive,
+  getReadingStatus,
+  advanceZoneState,
+  evaluateSafeZones,
+};
@@ -0,0 +1,223 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getFamilyRecipients, sendMessageToToken } = require('./notifications');
+const { planDelivery, recordDeliveries } = require('./notification-preferences');
+const { renderNotification } = require('./notification-templates');
+const { opsLog, incrementMetrics, sumMetrics } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Delivers notifications held during a member's quiet hours (held_notifications, written by
+// holdNotification in notification-preferences.js). A member with a single held notification
+// gets it as it was; several are summarised in one held_summary notification.
+// Preferences are checked again on release: types turned off since, or a member over their
+// daily cap, drop the notifications, and a member back in quiet hours keeps them waiting.
+// When no device of the member receives them, they are retried a few times, later each time,
+// and then dropped.
+
+const RELEASE_PAGE_SIZE = 300;
+// Release attempts before undelivered notifications are dropped; retries wait 15, 30 minutes
+const MAX_RELEASE_ATTEMPTS = 3;
+const RELEASE_RETRY_DELAY_MS = 15 * 60 * 1000;
+// Titles listed in a held_summary body, newest first
+const MAX_SUMMARY_TITLES = 5;
+
+// When a held notification should be tried again after its given failed attempt (milliseconds),
+// or null once the attempts are used up
+function getNextReleaseMillis(attempts, nowMillis) {
+  return attempts >= MAX_RELEASE_ATTEMPTS ? null : nowMillis + RELEASE_RETRY_DELAY_MS * attempts;
+}
+
+// Split a member's held notifications by the member's current preferences:
+//   send: notifications to deliver now
+//   skipped: notifications whose type was turned off or that are over the daily cap
+//   releaseAt: when the member is in quiet hours again, the moment they end (send waits until then)
+function planRelease(held, recipients, nowMillis) {
+  const plan = { send: [], skipped: [], releaseAt: null };
+
+  held.forEach(item => {
+    const delivery = planDelivery(item.type, recipients, nowMillis);
+    if (delivery.skipped.length > 0) {
+      plan.skipped.push(item);
+      return;
+    }
+    if (delivery.hold.length > 0) {
+      plan.releaseAt = delivery.hold[0].releaseAt;
+    }
+    plan.send.push(item);
+  });
+
+  return plan;
+}
+
+// Helper function to deliver one member's held notifications (oldest first).
+// Returns the release plan and the send results, one per device of the member.
+async function releaseMemberNotifications(familyId, uid, held, recipientsByFamily) {
+  const recipients = (await recipientsByFamily(familyId)).filter(r => r.uid === uid);
+
+  if (recipients.length === 0) {
+    opsLog.warn('held_release_no_tokens', 'Member has no tokens for held notifications', { familyId, uid, count: held.length });
+    return { plan: { send: held, skipped: [], releaseAt: null }, results: [] };
+  }
+
+  const nowMillis = Date.now();
+  const plan = planRelease(held, recipients, nowMillis);
+  if (plan.skipped.length > 0) {
+    opsLog.info('held_release_skipped', `${plan.skipped.length} held notification(s) no longer wanted`, {
+      familyId,
+      uid,
+      types: plan.skipped.map(h => h.type),
+    });
+  }
+  if (plan.send.length === 0 || plan.releaseAt) {
+    return { plan, results: [] };
+  }
+
+  const { send } = plan;
+  const results = await Promise.all(recipients.map(recipient => {
+    if (send.length === 1) {
+      const { type, params, data } = send[0];
+      return sendMessageToToken(familyId, recipient.token, renderNotification(type, recipient.locale, params), data);
+    }
+
+    const titles = send
+      .slice(-MAX_SUMMARY_TITLES)
+      .reverse()
+      .map(({ type, params }) => renderNotification(type, recipient.locale, params).title);
+    return sendMessageToToken(familyId, recipient.token, renderNotification('held_summary', recipient.locale, {
+      count: send.length,
+      titles,
+    }), {
+      type: 'held_summary',
+      familyId,
+      count: String(send.length),
+      types: [...new Set(send.map(h => h.type))].join(','),
+      timestamp: new Date().toISOString(),
+    });
+  }));
+
+  await recordDeliveries(familyId, recipients.filter((recipient, i) => results[i].success), nowMillis);
+  return { plan, results };
+}
+
+// Deliver notifications whose quiet hours have ended
+exports.releaseHeldNotifications = functions.runWith({
+  timeoutSeconds: 300
+}).pubsub
+  .schedule('every 15 minutes')
+  .timeZone('Asia/Seoul')
+  .onRun(async (context) => {
+    const now = admin.firestore.Timestamp.now();
+
+    try {
+      const page = await db.collection('held_notifications')
+        .where('releaseAt', '<=', now)
+        .orderBy('releaseAt')
+        .limit(RELEASE_PAGE_SIZE)
+        .get();
+
+      if (page.empty) {
+        return;
+      }
+
+      // One delivery per member, across every notification held for them
+      const groups = {};
+      page.docs.forEach(doc => {
+        const held = doc.data();
+        const key = `${held.familyId}/${held.uid}`;
+        groups[key] = groups[key] || { familyId: held.familyId, uid: held.uid, docs: [] };
+        groups[key].docs.push(doc);
+      });
+
+      const recipientCache = {};
+      const recipientsByFamily = (familyId) => {
+        recipientCache[familyId] = recipientCache[familyId] || getFamilyRecipients(familyId);
+        return recipientCache[familyId];
+      };
+
+      let delivered = 0;
+      let retried = 0;
+      let dropped = 0;
+      let skipped = 0;
+      let waiting = 0;
+      const sendMetrics = [];
+      await Promise.all(Object.values(groups).map(async ({ familyId, uid, docs }) => {
+        const held = docs.map(doc => doc.data());
+        let plan = { send: held, skipped: [], releaseAt: null };
+        let lastError = null;
+        try {
+          const release = await releaseMemberNotifications(familyId, uid, held, recipientsByFamily);
+          plan = release.plan;
+          sendMetrics.push(...release.results.map(r => r.metrics));
+          if (plan.send.length > 0 && !plan.releaseAt) {
+            if (release.results.some(r => r.success)) {
+              delivered += plan.send.length;
+            } else {
+              lastError = release.results.length > 0 ? release.results[0].error : 'no_tokens';
+            }
+          }
+        } catch (error) {
+          opsLog.error('held_release_failed', 'Failed to deliver held notifications', { familyId, uid }, error);
+          lastError = error.message;
+        }
+
+        // Delivered and no longer wanted notifications leave the queue; undelivered ones wait
+        // for another attempt, and ones back in quiet hours for the end of them
+        const batch = db.batch();
+        docs.forEach((doc, i) => {
+          if (plan.skipped.includes(held[i])) {
+            batch.delete(doc.ref);
+            skipped++;
+            return;
+          }
+          if (plan.releaseAt) {
+            batch.update(doc.ref, { releaseAt: admin.firestore.Timestamp.fromMillis(plan.releaseAt) });
+            waiting++;
+            return;
+          }
+
+          const attempts = (held[i].releaseAttempts || 0) + 1;
+          const nextReleaseMillis = lastError ? getNextReleaseMillis(attempts, now.toMillis()) : null;
+          if (nextReleaseMillis === null) {
+            batch.delete(doc.ref);
+            dropped += lastError ? 1 : 0;
+            return;
+          }
+          batch.update(doc.ref, {
+            releaseAttempts: attempts,
+            lastError,
+            releaseAt: admin.firestore.Timestamp.fromMillis(nextReleaseMillis),
+          });
+          retried++;
+        });
+        await batch.commit();
+      }));
+
+      opsLog.info('held_released', `Released ${page.size} held notifications`, {
+        members: Object.keys(groups).length,
+        held: page.size,
+        delivered,
+        retried,
+        dropped,
+        skipped,
+        waiting,
+      });
+      await incrementMetrics(sumMetrics([
+        ...sendMetrics,
+        {
+          'notifications.released': delivered,
+          'notifications.releaseDropped': dropped,
+          'notifications.releaseSkipped': skipped,
+        },
+      ]));
+    } catch (error) {
+      opsLog.error('held_release_run_failed', 'Error releasing held notifications', {}, error);
+    }
+  });
+
+exports.getNextReleaseMillis = getNextReleaseMillis;
+exports.planRelease = planRelease;
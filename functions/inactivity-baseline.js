@@ -0,0 +1,176 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getActivityTimestamps } = require('./activity-history');
+const { runWithConcurrency, MIN_ADAPTIVE_ALERT_HOURS } = require('./survival-schedule');
+const {
+  getFamilyTimeZone,
+  getZonedParts,
+  getDateString,
+  getAwakeHoursBetween,
+} = require('./sleep-time');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Each parent's normal inactivity, learned nightly from activity_days and stored on
+// the family document (readable by the child app):
+//   inactivityBaseline: {
+//     ready, computedAt, timeZone, days, gapCount, minBucketCount,
+//     overall: { p50, p90, p99, count },
+//     byHour: [24 × { p50, p90, p99, count }],      // by local hour the gap started
+//     byWeekday: [7 × { p50, p90, p99, count }],    // Monday first
+//     suggestedAlertHours,                          // overall p99, rounded up to the half hour
+//   }
+// Gaps are measured in awake hours, like the survival check itself. The baseline is
+// used when settings.alertMode is 'adaptive' (see getAlertThreshold in survival-schedule.js).
+
+const BASELINE_DAYS = 28;
+// Days with activity needed before the baseline is used
+const MIN_BASELINE_DAYS = 14;
+// Hour or weekday buckets with fewer gaps fall back to the wider buckets
+const MIN_BUCKET_COUNT = 20;
+
+const BASELINE_PAGE_SIZE = 200;
+const BASELINE_CONCURRENCY = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Helper function to summarise a list of gap lengths (hours)
+function summarizeGaps(hours) {
+  if (hours.length === 0) {
+    return { p50: null, p90: null, p99: null, count: 0 };
+  }
+
+  const sorted = [...hours].sort((a, b) => a - b);
+  // Nearest-rank percentile
+  const at = p => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+
+  return {
+    p50: round1(at(0.5)),
+    p90: round1(at(0.9)),
+    p99: round1(at(0.99)),
+    count: sorted.length,
+  };
+}
+
+// Build the baseline from sorted activity timestamps (milliseconds)
+function buildInactivityBaseline(settings, timestamps, timeZone) {
+  const activeDays = new Set(timestamps.map(ms => getDateString(ms, timeZone))).size;
+  const all = [];
+  const byHour = Array.from({ length: 24 }, () => []);
+  const byWeekday = Array.from({ length: 7 }, () => []);
+
+  for (let i = 1; i < timestamps.length; i++) {
+    const awakeHours = getAwakeHoursBetween(settings, timestamps[i - 1], timestamps[i]);
+    // Gaps spent entirely asleep say nothing about awake behaviour
+    if (awakeHours <= 0) {
+      continue;
+    }
+
+    const start = getZonedParts(timestamps[i - 1], timeZone);
+    all.push(awakeHours);
+    byHour[start.hour].push(awakeHours);
+    byWeekday[start.weekday - 1].push(awakeHours);
+  }
+
+  const overall = summarizeGaps(all);
+
+  return {
+    ready: activeDays >= MIN_BASELINE_DAYS && overall.count >= MIN_BUCKET_COUNT,
+    timeZone,
+    days: activeDays,
+    gapCount: overall.count,
+    minBucketCount: MIN_BUCKET_COUNT,
+    overall,
+    byHour: byHour.map(summarizeGaps),
+    byWeekday: byWeekday.map(summarizeGaps),
+    suggestedAlertHours: overall.p99 === null
+      ? null
+      : Math.max(MIN_ADAPTIVE_ALERT_HOURS, Math.ceil(overall.p99 * 2) / 2),
+  };
+}
+
+// Recompute one family's baseline from the last BASELINE_DAYS days of activity
+async function updateFamilyBaseline(familyDoc, nowMillis) {
+  const familyData = familyDoc.data();
+  const timeZone = getFamilyTimeZone(familyData.settings);
+
+  const timestamps = await getActivityTimestamps(
+    familyDoc.id,
+    nowMillis - BASELINE_DAYS * DAY_MS,
+    nowMillis,
+    timeZone
+  );
+
+  const baseline = buildInactivityBaseline(familyData.settings, timestamps, timeZone);
+
+  await familyDoc.ref.update({
+    inactivityBaseline: {
+      ...baseline,
+      computedAt: admin.firestore.Timestamp.fromMillis(nowMillis),
+    },
+  });
+
+  return baseline.ready;
+}
+
+// Nightly baseline of each parent's normal inactivity gaps
+exports.computeInactivityBaselines = functions.runWith({
+  timeoutSeconds: 540
+}).pubsub
+  .schedule('every day 02:00')
+  .timeZone('Asia/Seoul')
+  .onRun(async (context) => {
+    const nowMillis = Date.now();
+    let familiesScanned = 0;
+    let familiesReady = 0;
+
+    try {
+      let lastDoc = null;
+      let hasMore = true;
+
+      while (hasMore) {
+        let query = db.collection('families')
+          .where('settings.survivalSignalEnabled', '==', true)
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(BASELINE_PAGE_SIZE);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const page = await query.get();
+        hasMore = page.size === BASELINE_PAGE_SIZE;
+        if (page.empty) {
+          break;
+        }
+        lastDoc = page.docs[page.docs.length - 1];
+        familiesScanned += page.size;
+
+        const results = await runWithConcurrency(page.docs, BASELINE_CONCURRENCY, async (familyDoc) => {
+          try {
+            return await updateFamilyBaseline(familyDoc, nowMillis);
+          } catch (error) {
+            opsLog.error('inactivity_baseline_failed', 'Failed to compute inactivity baseline', { familyId: familyDoc.id }, error);
+            return false;
+          }
+        });
+        familiesReady += results.filter(Boolean).length;
+      }
+
+      opsLog.info('inactivity_baselines', `Inactivity baselines: ${familiesReady} of ${familiesScanned} families have enough history`, {
+        familiesReady,
+        familiesScanned,
+      });
+    } catch (error) {
+      opsLog.error('inactivity_baselines_run_failed', 'Error computing inactivity baselines', {}, error);
+    }
+  });
+
+exports.buildInactivityBaseline = buildInactivityBaseline;
@@ -3,122 +3,208 @@ const admin = require('firebase-admin');
 
 admin.initializeApp();
 
-// Helper function to get all child app FCM tokens for a family
-async function getFamilyMemberTokens(familyId) {
+const {
+  getFamilyRecipients,
+  deliverToRecipients,
+  sendSurvivalNotification,
+  sendFoodNotification,
+} = require('./notifications');
+const alertEscalation = require('./alert-escalation');
+const alertEvents = require('./alert-events');
+const deviceRegistry = require('./device-registry');
+const { ALERT_EVENT_TYPES, createAlertId, recordAlertEvent } = alertEvents;
+const { consumeRateLimits } = require('./rate-limiter');
+const { DEFAULT_LOCALE, renderNotification } = require('./notification-templates');
+const { getFamilyTimeZone } = require('./sleep-time');
+const survivalSchedule = require('./survival-schedule');
+const { DEFAULT_FOOD_ALERT_HOURS, runWithConcurrency } = survivalSchedule;
+const activityHistory = require('./activity-history');
+const { getLastMealMillis } = activityHistory;
+const wellbeingDigest = require('./wellbeing-digest');
+const alertDecisions = require('./alert-decisions');
+const { decideSurvival, decideFood } = alertDecisions;
+const deviceHealth = require('./device-health');
+const dataRetention = require('./data-retention');
+const familyExport = require('./family-export');
+const accountRecovery = require('./account-recovery');
+const mealPatterns = require('./meal-patterns');
+const inactivityBaseline = require('./inactivity-baseline');
+const parentCheckIn = require('./parent-checkin');
+const webhooks = require('./webhooks');
+const opsMonitoring = require('./ops-monitoring');
+const derivedFields = require('./derived-fields');
+const notificationPreferences = require('./notification-preferences');
+const heldNotifications = require('./held-notifications');
+const familySettings = require('./family-settings');
+const secureFamilyFunctions = require('./secure-family-functions');
+const { opsLog, incrementMetrics } = opsMonitoring;
+const { dispatchWebhookEvent } = webhooks;
+
+// Timezone the scheduler runs in. Each family is evaluated in its own settings.timeZone.
+const SCHEDULER_TIME_ZONE = 'Asia/Seoul';
+
+// checkFamilySurvival paging: families per query page, checks in flight, families per run
+const FAMILY_PAGE_SIZE = 100;
+const FAMILY_CHECK_CONCURRENCY = 10;
+const MAX_FAMILIES_PER_RUN = 2000;
+
+// scheduler_runs documents expire after 7 days (Firestore TTL on expiresAt)
+const SCHEDULER_RUN_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Notification types accepted by sendNotification
+const NOTIFICATION_TYPES = ['meal_recorded', 'survival_alert', 'food_alert'];
+
+// sendNotification rate limits, per family across all types and per family per type
+const RATE_LIMIT_WINDOW_MS = 60 * 60 * 1000;
+const FAMILY_RATE_LIMIT_PER_HOUR = 20;
+const TYPE_RATE_LIMITS_PER_HOUR = {
+  meal_recorded: 10,
+  survival_alert: 3,
+  food_alert: 3,
+};
+
+// Set SEND_NOTIFICATION_REQUIRE_APP_CHECK=true once every client sends App Check tokens
+const REQUIRE_APP_CHECK = process.env.SEND_NOTIFICATION_REQUIRE_APP_CHECK === 'true';
+
+// Helper function to verify the caller's Firebase ID token and App Check token.
+// Returns { uid } on success or { status, error } on failure.
+async function verifyNotificationRequest(req) {
+  const authHeader = req.get('Authorization') || '';
+  const match = authHeader.match(/^Bearer (.+)$/);
+  
+  if (!match) {
+    return { status: 401, error: 'Missing Firebase ID token' };
+  }
+  
+  let decodedToken;
   try {
-    const familyDoc = await admin.firestore()
-      .collection('families')
-      .doc(familyId)
-      .get();
-    
-    if (!familyDoc.exists) {
-      console.log('Family not found:', familyId);
-      return [];
-    }
-    
-    const familyData = familyDoc.data();
-    const connectionCode = familyData?.connectionCode;
-    
-    if (!connectionCode) {
-      console.log('No connection code found for family:', familyId);
-      return [];
-    }
-    
-    console.log('Looking for child apps with connection code:', connectionCode);
-    
-    // Method 1: Try to find tokens via users collection with familyCodes
-    const tokens = [];
-    
+    decodedToken = await admin.auth().verifyIdToken(match[1]);
+  } catch (error) {
+    opsLog.warn('auth_failed', 'Invalid ID token', { reason: 'id_token' }, error);
+    return { status: 401, error: 'Invalid Firebase ID token' };
+  }
+  
+  const appCheckToken = req.get('X-Firebase-AppCheck');
+  if (appCheckToken) {
     try {
-      const usersSnapshot = await admin.firestore()
-        .collection('users')
-        .where('familyCodes', 'array-contains', connectionCode)
-        .get();
-      
-      console.log('Found users with familyCodes:', usersSnapshot.size);
-      
-      usersSnapshot.forEach(userDoc => {
-        const userData = userDoc.data();
-        const fcmToken = userData.fcmToken;
-        if (fcmToken) {
-          tokens.push(fcmToken);
-          console.log('Added FCM token for user:', userDoc.id);
-        }
-      });
+      await admin.appCheck().verifyToken(appCheckToken);
     } catch (error) {
-      console.log('familyCodes method failed, trying alternative approach:', error.message);
-    }
-    
-    // Method 2: Check child_devices subcollection (alternative approach)
-    if (tokens.length === 0) {
-      try {
-        const devicesSnapshot = await admin.firestore()
-          .collection('families')
-          .doc(familyId)
-          .collection('child_devices')
-          .where('is_active', '==', true)
-          .get();
-        
-        console.log('Found child devices:', devicesSnapshot.size);
-        
-        devicesSnapshot.forEach(deviceDoc => {
-          const deviceData = deviceDoc.data();
-          const fcmToken = deviceData.fcm_token;
-          if (fcmToken) {
-            tokens.push(fcmToken);
-            console.log('Added FCM token from child_devices:', deviceDoc.id);
-          }
-        });
-      } catch (error) {
-        console.log('child_devices method failed:', error.message);
-      }
-    }
-    
-    // Method 3: Direct lookup in family document (if tokens stored there)
-    if (tokens.length === 0) {
-      const directTokens = familyData?.childAppTokens || [];
-      tokens.push(...directTokens);
-      console.log('Added direct tokens from family doc:', directTokens.length);
+      opsLog.warn('auth_failed', 'Invalid App Check token', { reason: 'app_check' }, error);
+      return { status: 401, error: 'Invalid App Check token' };
     }
-    
-    console.log('Total FCM tokens found:', tokens.length);
-    return tokens;
-  } catch (error) {
-    console.error('Error getting family member tokens:', error);
-    return [];
+  } else if (REQUIRE_APP_CHECK) {
+    return { status: 401, error: 'Missing App Check token' };
   }
+  
+  return { uid: decodedToken.uid };
 }
 
 // Updated sendNotification function for direct token messaging
+// Requires a Firebase ID token of a family member; elderlyName is read from the family document
 exports.sendNotification = functions.runWith({
   invoker: 'public'
 }).https.onRequest(async (req, res) => {
   // Enable CORS
   res.set('Access-Control-Allow-Origin', '*');
   res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.set('Access-Control-Allow-Headers', 'Content-Type');
+  res.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Firebase-AppCheck');
   
   if (req.method === 'OPTIONS') {
     res.status(200).send('');
     return;
   }
   
+  if (req.method !== 'POST') {
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+    return;
+  }
+  
   try {
-    console.log('🔔 FCM Function received:', req.body);
+    const caller = await verifyNotificationRequest(req);
+    if (caller.error) {
+      res.status(caller.status).json({ success: false, error: caller.error });
+      return;
+    }
+    
+    opsLog.info('send_notification_request', 'sendNotification received', {
+      familyId: req.body?.familyId || null,
+      type: req.body?.type || null,
+      uid: caller.uid,
+    });
     
-    const { type, familyId, elderlyName, timestamp, hoursInactive, hoursWithoutFood } = req.body;
+    const { type, familyId, timestamp, hoursInactive, hoursWithoutFood } = req.body;
     
-    if (!type || !familyId || !elderlyName) {
-      console.error('❌ Missing required fields');
+    if (!type || !familyId) {
+      opsLog.warn('send_notification_rejected', 'Missing required fields', { reason: 'missing_fields', uid: caller.uid });
       res.status(400).json({ success: false, error: 'Missing required fields' });
       return;
     }
     
-    // Get all child app FCM tokens for this family
-    const tokens = await getFamilyMemberTokens(familyId);
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      res.status(400).json({ success: false, error: 'Invalid notification type' });
+      return;
+    }
+    
+    const familyDoc = await admin.firestore()
+      .collection('families')
+      .doc(familyId)
+      .get();
+    
+    if (!familyDoc.exists) {
+      res.status(404).json({ success: false, error: 'Family not found' });
+      return;
+    }
+    
+    const familyData = familyDoc.data();
+    
+    if (!(familyData.memberIds || []).includes(caller.uid)) {
+      opsLog.warn('send_notification_rejected', 'Caller is not a member of this family', { familyId, reason: 'not_member', uid: caller.uid });
+      res.status(403).json({ success: false, error: 'User is not a member of this family' });
+      return;
+    }
+    
+    const elderlyName = familyData.elderlyName || '부모님';
+    
+    const rateLimit = await consumeRateLimits([
+      {
+        key: `sendNotification_${familyId}`,
+        limit: FAMILY_RATE_LIMIT_PER_HOUR,
+        windowMs: RATE_LIMIT_WINDOW_MS,
+      },
+      {
+        key: `sendNotification_${familyId}_${type}`,
+        limit: TYPE_RATE_LIMITS_PER_HOUR[type],
+        windowMs: RATE_LIMIT_WINDOW_MS,
+      },
+    ]);
+    
+    if (!rateLimit.allowed) {
+      opsLog.warn('send_notification_rate_limited', `Rate limit exceeded for ${rateLimit.key}`, { familyId, type, key: rateLimit.key });
+      res.set('Retry-After', rateLimit.retryAfterSeconds.toString());
+      res.status(429).json({
+        success: false,
+        error: 'Too many notifications, try again later',
+        retryAfterSeconds: rateLimit.retryAfterSeconds
+      });
+      return;
+    }
+    
+    // Webhooks get the event even when no child app is connected
+    const webhookPromise = dispatchWebhookEvent(familyId, type, {
+      type,
+      elderlyName,
+      familyId,
+      timestamp: timestamp || new Date().toISOString(),
+      ...(type === 'survival_alert' ? { hoursInactive: String(hoursInactive || 12) } : {}),
+      ...(type === 'food_alert' ? { hoursWithoutFood: String(hoursWithoutFood || DEFAULT_FOOD_ALERT_HOURS) } : {}),
+    });
     
-    if (tokens.length === 0) {
-      console.log('⚠️ No child app tokens found for family:', familyId);
+    // Get all child app recipients for this family
+    const recipients = await getFamilyRecipients(familyId);
+    
+    if (recipients.length === 0) {
+      opsLog.warn('no_tokens', `No child app tokens for ${type}`, { familyId, type });
+      await webhookPromise;
       res.status(200).json({ 
         success: true, 
         message: 'No child apps connected to receive notifications',
@@ -128,19 +214,13 @@ exports.sendNotification = functions.runWith({
       return;
     }
     
-    let notification, data;
+    let params, data;
     
     if (type === 'meal_recorded') {
-      const date = new Date(timestamp);
-      const timeString = date.toLocaleTimeString('ko-KR', { 
-        hour: '2-digit', 
-        minute: '2-digit',
-        hour12: false
-      });
-      
-      notification = {
-        title: `${elderlyName}님이 식사하셨어요`,
-        body: `오늘 ${timeString}에 식사했습니다`,
+      params = {
+        elderlyName: elderlyName,
+        mealTime: timestamp ? new Date(timestamp).getTime() : Date.now(),
+        timeZone: getFamilyTimeZone(familyData.settings),
       };
       
       data = {
@@ -151,11 +231,7 @@ exports.sendNotification = functions.runWith({
       };
     } else if (type === 'survival_alert') {
       const hours = hoursInactive || 12;
-      
-      notification = {
-        title: `⚠️ ${elderlyName} 안전 알림`,
-        body: `${hours}시간 이상 휴대폰 사용이 없습니다. 안부를 확인해주세요.`,
-      };
+      params = { elderlyName: elderlyName, hoursInactive: hours };
       
       data = {
         type: 'survival_alert',
@@ -165,12 +241,8 @@ exports.sendNotification = functions.runWith({
         timestamp: timestamp || new Date().toISOString(),
       };
     } else if (type === 'food_alert') {
-      const foodHours = hoursWithoutFood || 8;
-      
-      notification = {
-        title: `🍽️ ${elderlyName} 식사 알림`,
-        body: `${foodHours}시간 이상 식사하지 않았습니다. 확인해주세요.`,
-      };
+      const foodHours = hoursWithoutFood || DEFAULT_FOOD_ALERT_HOURS;
+      params = { elderlyName: elderlyName, hoursWithoutFood: foodHours };
       
       data = {
         type: 'food_alert',
@@ -179,54 +251,26 @@ exports.sendNotification = functions.runWith({
         familyId: familyId,
         timestamp: timestamp || new Date().toISOString(),
       };
-    } else {
-      res.status(400).json({ success: false, error: 'Invalid notification type' });
-      return;
     }
     
-    // Send to all child app tokens individually
-    console.log(`📤 Sending ${type} notification to ${tokens.length} child app(s)`);
-    
-    const promises = tokens.map(async (token) => {
-      try {
-        const message = {
-          token: token,
-          notification: notification,
-          data: data,
-          android: {
-            priority: 'high',
-            notification: {
-              sound: 'default',
-              channelId: 'high_importance_channel',
-            },
-          },
-        };
-        
-        const result = await admin.messaging().send(message);
-        console.log('✅ Notification sent to token:', token.substring(0, 20) + '...', 'MessageID:', result);
-        return { success: true, messageId: result, token: token.substring(0, 20) + '...' };
-      } catch (error) {
-        console.error('❌ Failed to send to token:', token.substring(0, 20) + '...', error.message);
-        return { success: false, error: error.message, token: token.substring(0, 20) + '...' };
-      }
-    });
-    
-    const results = await Promise.all(promises);
+    // Send to each child app in its recipient's language, within their notification preferences
+    const [results] = await Promise.all([
+      deliverToRecipients(familyId, type, recipients, params, data),
+      webhookPromise,
+    ]);
     const successCount = results.filter(r => r.success).length;
     
-    console.log(`✅ Notifications sent: ${successCount}/${tokens.length}`);
-    
     res.status(200).json({ 
       success: true, 
       sentTo: successCount,
-      totalTokens: tokens.length,
+      totalTokens: recipients.length,
       familyId: familyId,
       type: type,
       results: results
     });
     
   } catch (error) {
-    console.error('❌ Error:', error);
+    opsLog.error('send_notification_failed', 'sendNotification failed', { familyId: req.body?.familyId || null }, error);
     res.status(500).json({ 
       success: false, 
       error: error.message
@@ -234,225 +278,443 @@ exports.sendNotification = functions.runWith({
   }
 });
 
-// Helper function to check if current time is within sleep period
-function isCurrentlySleepTime(settings) {
-  const sleepEnabled = settings?.sleepTimeSettings?.enabled;
-
-  if (!settings || !sleepEnabled) {
-    return false;
+// Helper function to raise or clear the food alert for one family
+async function checkFoodStatus(familyId, familyData, now) {
+  const elderlyName = familyData.elderlyName || 'Unknown';
+  
+  if (familyData.settings?.foodAlertEnabled === false) {
+    return;
   }
-
-  const sleepSettings = settings.sleepTimeSettings;
-  const now = new Date();
-  const sleepStartHour = sleepSettings.sleepStartHour || 22;
-  const sleepStartMinute = sleepSettings.sleepStartMinute || 0;
-  const sleepEndHour = sleepSettings.sleepEndHour || 6;
-  const sleepEndMinute = sleepSettings.sleepEndMinute || 0;
-  const sleepActiveDays = sleepSettings.activeDays || [1, 2, 3, 4, 5, 6, 7];
-
-  // Check if today is an active sleep day
-  const dayOfWeek = now.getDay(); // 0 = Sunday, 6 = Saturday
-  const mondayBased = dayOfWeek === 0 ? 7 : dayOfWeek; // Convert to Monday=1, Sunday=7
-
-  if (!sleepActiveDays.includes(mondayBased)) {
-    return false;
+  
+  try {
+    const lastMealMillis = await getLastMealMillis(familyId, familyData, now);
+    const decision = decideFood(familyData, lastMealMillis, now.toMillis());
+    
+    if (decision.action === 'no_data') {
+      opsLog.debug('food_check', 'No meal data', { familyId, action: decision.action });
+      return;
+    }
+    
+    const { hoursWithoutFood, thresholdHours: foodAlertHours } = decision.facts;
+    
+    opsLog.debug('food_check', `${hoursWithoutFood.toFixed(1)} hours since last meal`, {
+      familyId,
+      action: decision.action,
+      hoursWithoutFood,
+      thresholdHours: foodAlertHours,
+    });
+    
+    const familyRef = admin.firestore().collection('families').doc(familyId);
+    
+    if (decision.action === 'skip_sleep') {
+      // Held until the sleep window and wake-up grace period end
+    } else if (decision.action === 'already_active') {
+      // Alert already active: avoid spam
+    } else if (decision.action === 'raise') {
+      opsLog.info('food_alert_raised', `No meal for ${hoursWithoutFood.toFixed(1)} hours`, { familyId, hoursWithoutFood });
+      
+      const alertId = createAlertId('food', now);
+      
+      await familyRef.update({
+        'foodAlert': {
+          isActive: true,
+          alertId: alertId,
+          timestamp: now,
+          elderlyName: elderlyName,
+          message: renderNotification('food_alert', DEFAULT_LOCALE, {
+            elderlyName,
+            hoursWithoutFood: Math.floor(hoursWithoutFood),
+          }).body,
+          lastMealAt: admin.firestore.Timestamp.fromMillis(lastMealMillis),
+          hoursWithoutFood: Math.floor(hoursWithoutFood)
+        }
+      });
+      await recordAlertEvent(familyId, {
+        alertId,
+        alertType: 'food',
+        eventType: ALERT_EVENT_TYPES.RAISED,
+        at: now,
+        details: { hoursWithoutFood: Math.floor(hoursWithoutFood), thresholdHours: foodAlertHours },
+      });
+      
+      const results = await sendFoodNotification(familyId, elderlyName, Math.floor(hoursWithoutFood)) || [];
+      
+      await recordAlertEvent(familyId, {
+        alertId,
+        alertType: 'food',
+        eventType: ALERT_EVENT_TYPES.NOTIFICATION_SENT,
+        details: { sentTo: results.filter(r => r.success).length, totalTokens: results.length },
+      });
+    } else if (decision.action === 'clear') {
+      opsLog.info('food_alert_cleared', 'Meal recorded, clearing food alert', { familyId, alertId: familyData.foodAlert?.alertId || null });
+      await familyRef.update({
+        'foodAlert.isActive': false,
+        'foodAlert.clearedAt': now
+      });
+      
+      await recordAlertEvent(familyId, {
+        alertId: familyData.foodAlert.alertId,
+        alertType: 'food',
+        eventType: ALERT_EVENT_TYPES.CLEARED,
+        at: now,
+        details: { reason: 'meal_recorded', hoursWithoutFood: Math.floor(hoursWithoutFood) },
+      });
+    }
+  } catch (error) {
+    opsLog.error('food_check_failed', 'Failed to check food status', { familyId }, error);
   }
+}
 
-  // Current time in minutes since midnight
-  const currentMinutes = now.getHours() * 60 + now.getMinutes();
-  const sleepStartMinutes = sleepStartHour * 60 + sleepStartMinute;
-  const sleepEndMinutes = sleepEndHour * 60 + sleepEndMinute;
+// Helper function to raise a survival alert for a 'raise' (or undeliverable 'check_in') decision
+function raiseSurvivalAlert(familyId, familyData, decision, now) {
+  const elderlyName = familyData.elderlyName || 'Unknown';
+  const { hoursInactive: diffHours, awakeHours, thresholdHours: alertHours } = decision.facts;
+  const inactivity = decision.inactivity;
+  opsLog.info('survival_alert_raised', `Inactive for ${awakeHours.toFixed(1)} awake hours`, {
+    familyId,
+    awakeHours,
+    thresholdHours: alertHours,
+    cause: inactivity.cause,
+  });
+  
+  // Update survival alert status
+  const alertId = createAlertId('survival', now);
+  return admin.firestore()
+    .collection('families')
+    .doc(familyId)
+    .update({
+      'survivalAlert': {
+        isActive: true,
+        alertId: alertId,
+        timestamp: now,
+        elderlyName: elderlyName,
+        message: renderNotification(inactivity.notificationType, DEFAULT_LOCALE, {
+          elderlyName,
+          hoursInactive: Math.floor(diffHours),
+          batteryLevel: inactivity.batteryLevel,
+        }).body,
+        cause: inactivity.cause,
+        locationData: familyData.location || null,
+        hoursInactive: Math.floor(diffHours),
+        ...alertEscalation.createEscalationState(now)
+      }
+    })
+    .then(async () => {
+      await recordAlertEvent(familyId, {
+        alertId,
+        alertType: 'survival',
+        eventType: ALERT_EVENT_TYPES.RAISED,
+        at: now,
+        details: {
+          hoursInactive: Math.floor(diffHours),
+          awakeHours: Math.floor(awakeHours),
+          thresholdHours: alertHours,
+          thresholdMode: decision.facts.thresholdMode,
+          cause: inactivity.cause,
+          batteryLevel: inactivity.batteryLevel,
+          hoursSinceLastSignal: inactivity.hoursSinceLastSignal,
+        },
+      });
+      
+      // Send FCM notification
+      const results = await sendSurvivalNotification(familyId, elderlyName, Math.floor(diffHours), inactivity) || [];
+      
+      await recordAlertEvent(familyId, {
+        alertId,
+        alertType: 'survival',
+        eventType: ALERT_EVENT_TYPES.NOTIFICATION_SENT,
+        details: { sentTo: results.filter(r => r.success).length, totalTokens: results.length },
+      });
+    })
+    .catch(error => {
+      opsLog.error('survival_alert_failed', 'Failed to raise survival alert', { familyId }, error);
+    });
+}
 
-  // Check if in sleep period
-  if (sleepStartMinutes > sleepEndMinutes) {
-    // Overnight period (e.g., 22:00 - 06:00)
-    // Use < for end time so 06:00 exactly is considered awake
-    return currentMinutes >= sleepStartMinutes || currentMinutes < sleepEndMinutes;
+// Helper function to queue the survival and food checks of one family onto promises
+function collectFamilyChecks(familyDoc, now, promises) {
+  const familyData = familyDoc.data();
+  const familyId = familyDoc.id;
+  
+  // Meal inactivity is checked server-side so alerts still go out when the parent phone is off
+  promises.push(checkFoodStatus(familyId, familyData, now));
+  
+  // Close a parent check-in whose answer window has passed
+  promises.push(parentCheckIn.expireCheckIn(familyId, familyData, now).catch(error => {
+    opsLog.error('check_in_expire_failed', 'Failed to expire check-in', { familyId }, error);
+  }));
+  
+  // Same decision simulateFamilyAlerts reports, so both always agree
+  const decision = decideSurvival(familyData, now.toMillis());
+  
+  if (decision.action === 'disabled') {
+    return;
+  }
+  
+  if (decision.action === 'no_data') {
+    opsLog.debug('survival_check', 'No lastPhoneActivity data', { familyId, action: decision.action });
+    return;
+  }
+  
+  const { hoursInactive: diffHours, awakeHours, thresholdHours: alertHours, timeZone } = decision.facts;
+  
+  // Location age is logged as an additional survival indicator
+  const lastLocationMillis = deviceHealth.getLastLocationMillis(familyData);
+  opsLog.debug('survival_check', `${diffHours.toFixed(1)} hours since last activity, ${awakeHours.toFixed(1)} awake`, {
+    familyId,
+    action: decision.action,
+    hoursInactive: diffHours,
+    awakeHours,
+    thresholdHours: alertHours,
+    thresholdMode: decision.facts.thresholdMode,
+    timeZone,
+    locationHours: lastLocationMillis ? (now.toMillis() - lastLocationMillis) / (1000 * 60 * 60) : null,
+  });
+  
+  // Opt-in notification when location stops updating
+  promises.push(deviceHealth.checkLocationStale(familyId, familyData, now));
+  
+  if (decision.action === 'skip_sleep') {
+    // Held until the sleep window and wake-up grace period end
+    return;
+  }
+  
+  if (decision.action === 'escalate') {
+    // Alert already active: move up the escalation ladder instead of re-raising
+    const escalationPromise = alertEscalation
+      .escalateSurvivalAlert(familyId, familyData, Math.floor(diffHours), now)
+      .catch(error => {
+        opsLog.error('survival_escalation_failed', 'Failed to escalate survival alert', { familyId }, error);
+      });
+    promises.push(escalationPromise);
+    return;
+  }
+  
+  if (decision.action === 'await_check_in') {
+    // Held until the parent answers or the check-in expires
+    return;
+  }
+  
+  if (decision.action === 'check_in') {
+    // Ask the parent first; without a reachable parent device alert the children right away
+    const checkInPromise = parentCheckIn
+      .startCheckIn(familyId, familyData, {
+        trigger: 'survival',
+        activityMillis: familyData.lastPhoneActivity.toMillis(),
+      }, now)
+      .then(started => started || raiseSurvivalAlert(familyId, familyData, decision, now))
+      .catch(error => {
+        opsLog.error('check_in_failed', 'Failed to start check-in, raising alert', { familyId }, error);
+        return raiseSurvivalAlert(familyId, familyData, decision, now);
+      });
+    promises.push(checkInPromise);
+    return;
+  }
+  
+  if (decision.action === 'raise') {
+    promises.push(raiseSurvivalAlert(familyId, familyData, decision, now));
   } else {
-    // Same-day period (e.g., 14:00 - 16:00)
-    return currentMinutes >= sleepStartMinutes && currentMinutes < sleepEndMinutes;
+    // Clear any existing alert if person is now active
+    if (decision.action === 'clear') {
+      opsLog.info('survival_alert_cleared', 'Activity resumed, clearing survival alert', { familyId, alertId: familyData.survivalAlert?.alertId || null });
+      const clearPromise = admin.firestore()
+        .collection('families')
+        .doc(familyId)
+        .update({
+          'survivalAlert.isActive': false,
+          'survivalAlert.clearedAt': now
+        })
+        .then(() => recordAlertEvent(familyId, {
+          alertId: familyData.survivalAlert.alertId,
+          alertType: 'survival',
+          eventType: ALERT_EVENT_TYPES.CLEARED,
+          at: now,
+          details: { reason: 'activity_resumed', hoursInactive: Math.floor(diffHours) },
+        }));
+      promises.push(clearPromise);
+    }
+  }
+}
+
+// Helper function to evaluate one due family. Returns true when the checks ran.
+async function evaluateFamily(familyDoc, now) {
+  const promises = [];
+  
+  try {
+    collectFamilyChecks(familyDoc, now, promises);
+    await Promise.all(promises);
+    
+    // Touching the family makes scheduleFamilyCheck move nextCheckAt forward
+    await familyDoc.ref.update({ lastSurvivalCheckAt: now });
+    return true;
+  } catch (error) {
+    opsLog.error('family_evaluation_failed', 'Failed to evaluate family', { familyId: familyDoc.id }, error);
+    return false;
   }
 }
 
-// Monitor all families for survival alerts - RUNS EVERY 2 MINUTES ON GOOGLE'S SERVERS (TESTING)
-exports.checkFamilySurvival = functions.pubsub
+// Evaluate the families whose nextCheckAt is due. The 2 minute schedule only bounds how late a
+// due check can run: nextCheckAt is maintained by scheduleFamilyCheck, so each run only reads
+// families that need a decision (survival, food, or both).
+exports.checkFamilySurvival = functions.runWith({
+  timeoutSeconds: 300
+}).pubsub
   .schedule('every 2 minutes')
-  .timeZone('Asia/Seoul')
+  .timeZone(SCHEDULER_TIME_ZONE)
   .onRun(async (context) => {
-    console.log('🔍 Checking family survival status every 2 minutes (TESTING)...');
+    const startedAt = Date.now();
+    const now = admin.firestore.Timestamp.now();
+    let familiesEvaluated = 0;
+    let familiesFailed = 0;
+    let pages = 0;
+    let reachedRunLimit = false;
     
     try {
-      const familiesSnapshot = await admin.firestore()
-        .collection('families')
-        .where('settings.survivalSignalEnabled', '==', true)
-        .get();
-      
-      console.log(`📊 Found ${familiesSnapshot.size} families with survival monitoring enabled`);
+      let lastDoc = null;
+      let hasMore = true;
       
-      const now = admin.firestore.Timestamp.now();
-      const promises = [];
-      
-      familiesSnapshot.forEach(familyDoc => {
-        const familyData = familyDoc.data();
-        const familyId = familyDoc.id;
-        const elderlyName = familyData.elderlyName || 'Unknown';
-        const lastPhoneActivity = familyData.lastPhoneActivity;
-        const alertHours = familyData.settings?.alertHours || 12;
-        
-        if (!lastPhoneActivity) {
-          console.log(`⚠️ Family ${familyId} (${elderlyName}) has no lastPhoneActivity data`);
-          return;
+      while (hasMore) {
+        if (familiesEvaluated + familiesFailed >= MAX_FAMILIES_PER_RUN) {
+          reachedRunLimit = true;
+          break;
         }
         
-        // Calculate hours since last phone activity
-        const diffMs = now.toMillis() - lastPhoneActivity.toMillis();
-        const diffHours = diffMs / (1000 * 60 * 60);
+        let query = admin.firestore()
+          .collection('families')
+          .where('nextCheckAt', '<=', now)
+          .orderBy('nextCheckAt')
+          .limit(FAMILY_PAGE_SIZE);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
         
-        console.log(`📱 Family ${familyId} (${elderlyName}): ${diffHours.toFixed(1)} hours since last activity (threshold: ${alertHours}h)`);
+        const page = await query.get();
+        pages++;
+        hasMore = page.size === FAMILY_PAGE_SIZE;
         
-        // Also check location data for additional survival indicators
-        const location = familyData.location;
-        let locationStatus = '';
-        if (location && location.timestamp) {
-          const locationDiffMs = now.toMillis() - location.timestamp.toMillis();
-          const locationHours = locationDiffMs / (1000 * 60 * 60);
-          locationStatus = ` | Location: ${locationHours.toFixed(1)}h ago`;
-          
-          // Could add location-based alerts here
-          if (locationHours > 24) {
-            console.log(`⚠️ ${elderlyName} location not updated for ${locationHours.toFixed(1)} hours`);
-          }
+        if (page.empty) {
+          break;
         }
+        lastDoc = page.docs[page.docs.length - 1];
         
-        console.log(`📊 ${elderlyName} status: Phone activity: ${diffHours.toFixed(1)}h ago${locationStatus}`);
+        opsLog.debug('survival_check_page', `Page ${pages}: ${page.size} families due for a check`, { page: pages, families: page.size });
         
-        if (diffHours > alertHours) {
-          console.log(`🚨 SURVIVAL ALERT: ${elderlyName} inactive for ${diffHours.toFixed(1)} hours`);
-
-          // Check if currently in sleep time
-          if (isCurrentlySleepTime(familyData.settings)) {
-            const sleepStart = familyData.settings?.sleepTimeSettings?.sleepStartHour || 22;
-            const sleepEnd = familyData.settings?.sleepTimeSettings?.sleepEndHour || 6;
-            console.log(`😴 ${elderlyName} is in sleep period (${sleepStart}:00-${sleepEnd}:00) - skipping alert`);
-            return;
-          }
-
-          // Check if alert already active to avoid spam
-          const currentAlert = familyData.survivalAlert;
-          if (currentAlert?.isActive) {
-            console.log(`📢 Alert already active for ${elderlyName}, skipping`);
-            return;
-          }
-          
-          // Update survival alert status
-          const alertPromise = admin.firestore()
-            .collection('families')
-            .doc(familyId)
-            .update({
-              'survivalAlert': {
-                isActive: true,
-                timestamp: now,
-                elderlyName: elderlyName,
-                message: `${Math.floor(diffHours)}시간 이상 휴대폰 사용이 없습니다. 안부를 확인해주세요.`,
-                locationData: familyData.location || null,
-                hoursInactive: Math.floor(diffHours)
-              }
-            })
-            .then(() => {
-              console.log(`✅ Survival alert status updated for ${elderlyName}`);
-              
-              // Send FCM notification
-              return sendSurvivalNotification(familyId, elderlyName, Math.floor(diffHours));
-            })
-            .catch(error => {
-              console.error(`❌ Failed to update survival alert for ${elderlyName}:`, error);
-            });
-          
-          promises.push(alertPromise);
-        } else {
-          console.log(`✅ ${elderlyName} is active (${diffHours.toFixed(1)}h ago)`);
-          
-          // Clear any existing alert if person is now active
-          if (familyData.survivalAlert?.isActive) {
-            console.log(`🔄 Clearing previous alert for ${elderlyName}`);
-            const clearPromise = admin.firestore()
-              .collection('families')
-              .doc(familyId)
-              .update({
-                'survivalAlert.isActive': false,
-                'survivalAlert.clearedAt': now
-              });
-            promises.push(clearPromise);
-          }
-        }
-      });
-      
-      await Promise.all(promises);
-      console.log('✅ Family survival check completed');
+        const outcomes = await runWithConcurrency(page.docs, FAMILY_CHECK_CONCURRENCY,
+          familyDoc => evaluateFamily(familyDoc, now));
+        
+        familiesEvaluated += outcomes.filter(Boolean).length;
+        familiesFailed += outcomes.filter(ok => !ok).length;
+      }
       
     } catch (error) {
-      console.error('❌ Error checking family survival:', error);
-    }
-  });
-
-// Helper function to send survival alert notifications
-async function sendSurvivalNotification(familyId, elderlyName, hoursInactive) {
-  try {
-    console.log(`📢 Sending survival notification for ${elderlyName}`);
-    
-    // Get family member tokens
-    const tokens = await getFamilyMemberTokens(familyId);
-    
-    if (tokens.length === 0) {
-      console.log(`⚠️ No child app tokens found for family: ${familyId}`);
-      return;
+      opsLog.error('survival_check_failed', 'Error checking family survival', {}, error);
     }
     
-    const notification = {
-      title: `⚠️ ${elderlyName} 안전 알림`,
-      body: `${hoursInactive}시간 이상 휴대폰 사용이 없습니다. 안부를 확인해주세요.`,
-    };
-    
-    const data = {
-      type: 'survival_alert',
-      elderlyName: elderlyName,
-      hoursInactive: hoursInactive.toString(),
-      familyId: familyId,
-      timestamp: new Date().toISOString(),
+    const metrics = {
+      familiesEvaluated,
+      familiesFailed,
+      pages,
+      reachedRunLimit,
+      durationMs: Date.now() - startedAt,
     };
     
-    const promises = tokens.map(async (token) => {
-      try {
-        const message = {
-          token: token,
-          notification: notification,
-          data: data,
-          android: {
-            priority: 'high',
-            notification: {
-              sound: 'default',
-              channelId: 'high_importance_channel',
-            },
-          },
-        };
-        
-        const result = await admin.messaging().send(message);
-        console.log('✅ Survival alert sent to token:', token.substring(0, 20) + '...', 'MessageID:', result);
-        return { success: true, messageId: result };
-      } catch (error) {
-        console.error('❌ Failed to send survival alert to token:', token.substring(0, 20) + '...', error.message);
-        return { success: false, error: error.message };
-      }
-    });
-    
-    const results = await Promise.all(promises);
-    const successCount = results.filter(r => r.success).length;
-    
-    console.log(`✅ Survival alerts sent: ${successCount}/${tokens.length}`);
-    return results;
+    // One structured line per run for log-based metrics
+    opsLog.info('survival_check_run', `Evaluated ${familiesEvaluated} families`, metrics);
+    await incrementMetrics({ schedulerRuns: 1, familiesEvaluated, familiesFailed });
     
-  } catch (error) {
-    console.error('❌ Error sending survival notification:', error);
-    throw error;
-  }
-}
\ No newline at end of file
+    try {
+      await admin.firestore().collection('scheduler_runs').add({
+        job: 'checkFamilySurvival',
+        ...metrics,
+        startedAt: now,
+        expiresAt: admin.firestore.Timestamp.fromMillis(startedAt + SCHEDULER_RUN_RETENTION_MS),
+      });
+    } catch (error) {
+      opsLog.error('scheduler_run_record_failed', 'Failed to record scheduler run metrics', {}, error);
+    }
+  });
+
+// Acknowledge an active survival alert and stop its escalation ladder
+exports.acknowledgeSurvivalAlert = alertEscalation.acknowledgeSurvivalAlert;
+
+// Paginated alert timeline from families/{familyId}/alert_events
+exports.getAlertHistory = alertEvents.getAlertHistory;
+
+// Per-member FCM token registry
+exports.registerDevice = deviceRegistry.registerDevice;
+exports.unregisterDevice = deviceRegistry.unregisterDevice;
+exports.migrateDeviceTokens = deviceRegistry.migrateDeviceTokens;
+
+// Keep nextCheckAt in sync for the due-only survival scheduler
+exports.scheduleFamilyCheck = survivalSchedule.scheduleFamilyCheck;
+exports.backfillNextCheckAt = survivalSchedule.backfillNextCheckAt;
+
+// Per-day activity and battery history used by digests and baselines
+exports.recordActivityHistory = activityHistory.recordActivityHistory;
+
+// Daily and weekly wellbeing digests for children
+exports.sendWellbeingDigests = wellbeingDigest.sendWellbeingDigests;
+
+// Low-battery notifications (location staleness is checked by checkFamilySurvival)
+exports.checkDeviceHealth = deviceHealth.checkDeviceHealth;
+
+// Per-family retention policy for location history and meal records
+exports.purgeExpiredFamilyData = dataRetention.purgeExpiredFamilyData;
+exports.manageRetentionPolicy = dataRetention.manageRetentionPolicy;
+
+// JSON/CSV export of a family's records through a signed Cloud Storage URL
+exports.exportFamilyData = familyExport.exportFamilyData;
+
+// Server-side parent account recovery after reinstall
+exports.recoverParentAccount = accountRecovery.recoverParentAccount;
+exports.confirmParentRecovery = accountRecovery.confirmParentRecovery;
+exports.setRecoverySecret = accountRecovery.setRecoverySecret;
+
+// Dry run of the survival and food decisions with a decision trace
+exports.simulateFamilyAlerts = alertDecisions.simulateFamilyAlerts;
+
+// Learned meal windows: missed usual meals and drops in daily meal count
+exports.learnMealPatterns = mealPatterns.learnMealPatterns;
+exports.checkMissedMeals = mealPatterns.checkMissedMeals;
+
+// Nightly per-family inactivity baseline for the adaptive survival threshold
+exports.computeInactivityBaselines = inactivityBaseline.computeInactivityBaselines;
+
+// "Are you OK?" check-ins on the parent's phone before survival alerts, or on request
+exports.requestCheckIn = parentCheckIn.requestCheckIn;
+exports.respondToCheckIn = parentCheckIn.respondToCheckIn;
+
+// Signed outbound webhooks for survival, food and meal events
+exports.registerWebhook = webhooks.registerWebhook;
+exports.removeWebhook = webhooks.removeWebhook;
+exports.testWebhook = webhooks.testWebhook;
+exports.retryWebhookDeliveries = webhooks.retryWebhookDeliveries;
+
+// Admin-only backend health summary (scheduler liveness, alert and FCM counters)
+exports.getBackendStatus = opsMonitoring.getBackendStatus;
+
+// Server-maintained derived fields (today's meal count, lastMeal, lastActive, alert threshold units)
+exports.maintainFamilyDerivedFields = derivedFields.maintainFamilyDerivedFields;
+exports.maintainMealDayFields = derivedFields.maintainMealDayFields;
+exports.rolloverDailyCounters = derivedFields.rolloverDailyCounters;
+
+// Per-member notification preferences (types, quiet hours, daily cap) and quiet-hours batch delivery
+exports.updateNotificationPreferences = notificationPreferences.updateNotificationPreferences;
+exports.releaseHeldNotifications = heldNotifications.releaseHeldNotifications;
+
+// Validated, versioned family settings updates with a change log
+exports.updateFamilySettings = familySettings.updateFamilySettings;
+exports.migrateFamilySettings = familySettings.migrateFamilySettings;
+
+// Family lifecycle: creation, joining and membership, location updates, deletion
+exports.createFamily = secureFamilyFunctions.createFamily;
+exports.joinFamily = secureFamilyFunctions.joinFamily;
+exports.approveJoinRequest = secureFamilyFunctions.approveJoinRequest;
+exports.rejectJoinRequest = secureFamilyFunctions.rejectJoinRequest;
+exports.updateLocation = secureFamilyFunctions.updateLocation;
+exports.cleanupExpiredConnectionCodes = secureFamilyFunctions.cleanupExpiredConnectionCodes;
+exports.leaveFamily = secureFamilyFunctions.leaveFamily;
+exports.removeMember = secureFamilyFunctions.removeMember;
+exports.transferOwnership = secureFamilyFunctions.transferOwnership;
+exports.deleteFamily = secureFamilyFunctions.deleteFamily;
+exports.cleanupDeletedUser = secureFamilyFunctions.cleanupDeletedUser;
@@ -0,0 +1,372 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { sendTemplatedNotification } = require('./notifications');
+const { ALERT_EVENT_TYPES, createAlertId, recordAlertEvent } = require('./alert-events');
+const { runWithConcurrency } = require('./survival-schedule');
+const { getMealTimeMillis } = require('./activity-history');
+const {
+  getFamilyTimeZone,
+  getZonedParts,
+  getDateString,
+  isInSleepOrGracePeriod,
+} = require('./sleep-time');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Learned meal pattern, stored on the family document so the child app can show it:
+//   mealPattern: {
+//     ready,                 // enough history to alert on
+//     learnedAt, timeZone, daysOfHistory,
+//     windows: [{ label: 'breakfast'|'lunch'|'dinner', medianMinutes, startMinutes, endMinutes, frequency }],
+//     dailyBaseline: { average, stdDev, days },
+//   }
+// Alert state (one alert per window per local day): mealPatternState.missed.{label} = 'YYYY-MM-DD'
+// Alerts can be turned off with settings.mealPatternAlerts = false.
+
+// Days of meals/{date} history the pattern is learned from
+const LEARNING_DAYS = 28;
+// Days with at least one meal record needed before anything is raised
+const MIN_HISTORY_DAYS = 14;
+// Meal times closer than this belong to the same window
+const CLUSTER_GAP_MINUTES = 90;
+// A window is "usual" when it has a meal on at least this share of days
+const MIN_WINDOW_FREQUENCY = 0.6;
+// Window edges: 10th..90th percentile of the meal times, widened by this margin
+const WINDOW_MARGIN_MINUTES = 20;
+// A meal is only reported missing this long after its window closes
+const MISSED_GRACE_MINUTES = 45;
+// Daily count drop: yesterday at or below this share of the baseline average
+const COUNT_DROP_RATIO = 0.5;
+// ... and the baseline must be at least this many meals a day
+const MIN_BASELINE_MEALS = 2;
+
+const FAMILY_PAGE_SIZE = 200;
+const FAMILY_CONCURRENCY = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to label a window by its median local time
+function getMealLabel(medianMinutes) {
+  if (medianMinutes < 10 * 60 + 30) {
+    return 'breakfast';
+  }
+  if (medianMinutes < 15 * 60) {
+    return 'lunch';
+  }
+  return 'dinner';
+}
+
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60) % 24;
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.round((sorted.length - 1) * p)));
+  return sorted[index];
+}
+
+// Learn usual meal windows and the daily meal-count baseline.
+//   days: [{ date, minutes: [local minute of day, ...] }] oldest first, only days with records
+// Pure function so it can be reused (and reasoned about) without Firestore.
+function learnMealPattern(days) {
+  const historyDays = days.length;
+  const allMinutes = days.flatMap(day => day.minutes.map(minutes => ({ minutes, date: day.date })))
+    .sort((a, b) => a.minutes - b.minutes);
+
+  // 1D clustering: split wherever two consecutive meal times are far apart
+  const clusters = [];
+  allMinutes.forEach(point => {
+    const current = clusters[clusters.length - 1];
+    if (current && point.minutes - current[current.length - 1].minutes <= CLUSTER_GAP_MINUTES) {
+      current.push(point);
+    } else {
+      clusters.push([point]);
+    }
+  });
+
+  const windows = clusters
+    .map(cluster => {
+      const minutes = cluster.map(point => point.minutes);
+      const frequency = historyDays > 0 ? new Set(cluster.map(point => point.date)).size / historyDays : 0;
+      const medianMinutes = percentile(minutes, 0.5);
+      return {
+        label: getMealLabel(medianMinutes),
+        medianMinutes,
+        startMinutes: Math.max(0, percentile(minutes, 0.1) - WINDOW_MARGIN_MINUTES),
+        endMinutes: Math.min(24 * 60 - 1, percentile(minutes, 0.9) + WINDOW_MARGIN_MINUTES),
+        frequency: Math.round(frequency * 100) / 100,
+      };
+    })
+    .filter(window => window.frequency >= MIN_WINDOW_FREQUENCY);
+
+  // Two clusters with the same label (e.g. an early and a late breakfast) keep the more regular one
+  const byLabel = {};
+  windows.forEach(window => {
+    if (!byLabel[window.label] || byLabel[window.label].frequency < window.frequency) {
+      byLabel[window.label] = window;
+    }
+  });
+
+  const counts = days.map(day => day.minutes.length);
+  const average = counts.length > 0 ? counts.reduce((a, b) => a + b, 0) / counts.length : 0;
+  const variance = counts.length > 0
+    ? counts.reduce((sum, count) => sum + (count - average) ** 2, 0) / counts.length
+    : 0;
+
+  return {
+    ready: historyDays >= MIN_HISTORY_DAYS,
+    daysOfHistory: historyDays,
+    windows: Object.values(byLabel).sort((a, b) => a.medianMinutes - b.medianMinutes),
+    dailyBaseline: {
+      average: Math.round(average * 10) / 10,
+      stdDev: Math.round(Math.sqrt(variance) * 10) / 10,
+      days: counts.length,
+    },
+  };
+}
+
+// Helper function to read meal times (local minutes) for the given local dates
+async function getMealDays(familyRef, dateStrings, timeZone) {
+  if (dateStrings.length === 0) {
+    return [];
+  }
+
+  const docs = await db.getAll(...dateStrings.map(date => familyRef.collection('meals').doc(date)));
+
+  return docs
+    .filter(doc => doc.exists && (doc.data().meals || []).length > 0)
+    .map(doc => ({
+      date: doc.id,
+      minutes: (doc.data().meals || [])
+        .map(getMealTimeMillis)
+        .filter(Boolean)
+        .map(millis => {
+          const local = getZonedParts(millis, timeZone);
+          return local.hour * 60 + local.minute;
+        }),
+    }));
+}
+
+// Helper function to record and send one meal-pattern alert
+async function raiseMealPatternAlert(familyId, familyData, type, params, details, now) {
+  const elderlyName = familyData.elderlyName || '부모님';
+  const alertId = createAlertId(type, now);
+
+  await recordAlertEvent(familyId, {
+    alertId,
+    alertType: type,
+    eventType: ALERT_EVENT_TYPES.RAISED,
+    at: now,
+    details,
+  });
+
+  const results = await sendTemplatedNotification(familyId, type, { elderlyName, ...params }, {
+    type: type,
+    elderlyName: elderlyName,
+    familyId: familyId,
+    ...Object.fromEntries(Object.entries(params).map(([key, value]) => [key, String(value)])),
+    timestamp: now.toDate().toISOString(),
+  }) || [];
+
+  await recordAlertEvent(familyId, {
+    alertId,
+    alertType: type,
+    eventType: ALERT_EVENT_TYPES.NOTIFICATION_SENT,
+    details: { sentTo: results.filter(r => r.success).length, totalTokens: results.length },
+  });
+}
+
+// Re-learn one family's pattern and check yesterday's meal count against the baseline
+async function learnFamilyPattern(familyDoc, nowMillis) {
+  const familyId = familyDoc.id;
+  const familyData = familyDoc.data();
+  const timeZone = getFamilyTimeZone(familyData.settings);
+  const now = admin.firestore.Timestamp.fromMillis(nowMillis);
+
+  // Yesterday back to LEARNING_DAYS days ago; today is still in progress
+  const dateStrings = [];
+  for (let i = LEARNING_DAYS; i >= 1; i--) {
+    dateStrings.push(getDateString(nowMillis - i * DAY_MS, timeZone));
+  }
+
+  const days = await getMealDays(familyDoc.ref, dateStrings, timeZone);
+  const yesterday = dateStrings[dateStrings.length - 1];
+  const yesterdayCount = days.find(day => day.date === yesterday)?.minutes.length || 0;
+
+  // Baseline excludes yesterday so a bad day does not hide itself
+  const baseline = learnMealPattern(days.filter(day => day.date !== yesterday));
+  const pattern = learnMealPattern(days);
+
+  await familyDoc.ref.update({
+    mealPattern: {
+      ...pattern,
+      timeZone,
+      learnedAt: now,
+    },
+  });
+
+  if (familyData.settings?.mealPatternAlerts === false || !baseline.ready) {
+    return false;
+  }
+
+  // Only compare days the parent app was in use; a day with no records at all is
+  // already covered by the food and survival alerts
+  const average = baseline.dailyBaseline.average;
+  if (average < MIN_BASELINE_MEALS || yesterdayCount === 0 || yesterdayCount > average * COUNT_DROP_RATIO) {
+    return false;
+  }
+
+  opsLog.info('meal_count_drop', `${yesterdayCount} meals on ${yesterday}, usually ${average}`, {
+    familyId,
+    date: yesterday,
+    count: yesterdayCount,
+    usualCount: average,
+  });
+  await raiseMealPatternAlert(familyId, familyData, 'meal_count_drop', {
+    count: yesterdayCount,
+    usualCount: average,
+  }, { date: yesterday, count: yesterdayCount, baselineAverage: average }, now);
+  return true;
+}
+
+// Raise "usual meal missed" alerts for one family whose pattern is ready
+async function checkFamilyMissedMeals(familyDoc, nowMillis) {
+  const familyId = familyDoc.id;
+  const familyData = familyDoc.data();
+  const pattern = familyData.mealPattern;
+
+  if (!pattern?.ready || familyData.settings?.mealPatternAlerts === false) {
+    return 0;
+  }
+
+  // Windows are in the timezone they were learned in
+  const timeZone = pattern.timeZone || getFamilyTimeZone(familyData.settings);
+  const local = getZonedParts(nowMillis, timeZone);
+  const nowMinutes = local.hour * 60 + local.minute;
+  const today = getDateString(nowMillis, timeZone);
+  const missedState = familyData.mealPatternState?.missed || {};
+
+  const dueWindows = (pattern.windows || []).filter(window =>
+    nowMinutes >= window.endMinutes + MISSED_GRACE_MINUTES && missedState[window.label] !== today
+  );
+  if (dueWindows.length === 0) {
+    return 0;
+  }
+
+  if (isInSleepOrGracePeriod(familyData.settings, nowMillis)) {
+    return 0;
+  }
+
+  const [todayMeals] = await getMealDays(familyDoc.ref, [today], timeZone);
+  const mealMinutes = todayMeals?.minutes || [];
+  const now = admin.firestore.Timestamp.fromMillis(nowMillis);
+  let raised = 0;
+
+  for (const window of dueWindows) {
+    // Late meals still count: anything from an hour before the window until now
+    const covered = mealMinutes.some(minutes => minutes >= window.startMinutes - 60 && minutes <= nowMinutes);
+
+    // Mark the window as handled for today either way, so it is evaluated once
+    await familyDoc.ref.update({ [`mealPatternState.missed.${window.label}`]: today });
+
+    if (covered) {
+      continue;
+    }
+
+    opsLog.info('meal_missed', `No ${window.label} recorded by ${formatMinutes(nowMinutes)} (usually ${formatMinutes(window.medianMinutes)})`, {
+      familyId,
+      date: today,
+      mealLabel: window.label,
+    });
+    await raiseMealPatternAlert(familyId, familyData, 'meal_missed', {
+      mealLabel: window.label,
+      usualTime: formatMinutes(window.medianMinutes),
+    }, { date: today, mealLabel: window.label, window }, now);
+    raised++;
+  }
+
+  return raised;
+}
+
+// Helper function to run fn over every family matching the query, page by page
+async function forEachFamilyPage(baseQuery, fn) {
+  let lastDoc = null;
+  let hasMore = true;
+  let total = 0;
+
+  while (hasMore) {
+    let query = baseQuery.orderBy(admin.firestore.FieldPath.documentId()).limit(FAMILY_PAGE_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const page = await query.get();
+    hasMore = page.size === FAMILY_PAGE_SIZE;
+    if (page.empty) {
+      break;
+    }
+    lastDoc = page.docs[page.docs.length - 1];
+
+    const results = await runWithConcurrency(page.docs, FAMILY_CONCURRENCY, async (familyDoc) => {
+      try {
+        return await fn(familyDoc);
+      } catch (error) {
+        opsLog.error('meal_pattern_family_failed', 'Meal pattern job failed', { familyId: familyDoc.id }, error);
+        return 0;
+      }
+    });
+    total += results.reduce((a, b) => a + Number(b), 0);
+  }
+
+  return total;
+}
+
+// Nightly: learn meal windows from the last four weeks and flag sharp drops in daily meals
+exports.learnMealPatterns = functions.runWith({
+  timeoutSeconds: 540
+}).pubsub
+  .schedule('every day 02:30')
+  .timeZone('Asia/Seoul')
+  .onRun(async (context) => {
+    const nowMillis = Date.now();
+
+    try {
+      const dropAlerts = await forEachFamilyPage(
+        db.collection('families').where('isActive', '==', true),
+        familyDoc => learnFamilyPattern(familyDoc, nowMillis)
+      );
+      opsLog.info('meal_patterns_learned', `Meal patterns learned, ${dropAlerts} meal count drop alerts`, { dropAlerts });
+    } catch (error) {
+      opsLog.error('meal_patterns_run_failed', 'Error learning meal patterns', {}, error);
+    }
+  });
+
+// Every 30 minutes: alert when a usual meal window has passed without a meal record
+exports.checkMissedMeals = functions.runWith({
+  timeoutSeconds: 300
+}).pubsub
+  .schedule('every 30 minutes')
+  .timeZone('Asia/Seoul')
+  .onRun(async (context) => {
+    const nowMillis = Date.now();
+
+    try {
+      const raised = await forEachFamilyPage(
+        db.collection('families').where('mealPattern.ready', '==', true),
+        familyDoc => checkFamilyMissedMeals(familyDoc, nowMillis)
+      );
+      opsLog.info('missed_meal_check', `Missed meal check: ${raised} alerts raised`, { raised });
+    } catch (error) {
+      opsLog.error('missed_meal_check_failed', 'Error checking missed meals', {}, error);
+    }
+  });
+
+exports.learnMealPattern = learnMealPattern;
@@ -0,0 +1,310 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getFamilyForMember, getParentUid } = require('./device-registry');
+const { hasTemplate } = require('./notification-templates');
+const {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getFamilyTimeZone,
+  getZonedParts,
+  zonedTimeToMillis,
+  getDateString,
+} = require('./sleep-time');
+const { opsLog, incrementMetrics } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Per-member notification preferences, on the member's registry entry families/{familyId}/members/{uid}:
+//   notificationPreferences: {
+//     types: { <notification type>: false },   // types the member does not want; missing = delivered
+//     quietHours: { enabled, startHour, startMinute, endHour, endMinute },
+//     timeZone,                                // IANA zone for quiet hours and the daily cap
+//     dailyCap,                                // max notifications per local day, null = no cap
+//   }
+//   notificationCount: { date, count }         // delivered today (only tracked while dailyCap is set)
+//
+// Survival alerts ignore all of it. Notifications that arrive during quiet hours are queued in
+// held_notifications/{id} (server only) and delivered as one batch when quiet hours end
+// (see held-notifications.js). Notifications over the daily cap are dropped.
+
+// Always delivered, immediately, whatever the preferences say
+const ALWAYS_DELIVERED_TYPES = [
+  'survival_alert',
+  'device_battery_dead',
+  'device_offline',
+  'survival_escalation',
+  'check_in_no_response',
+];
+
+const MAX_DAILY_CAP = 100;
+// Held notifications nobody could be delivered to are dropped after 2 days (Firestore TTL on expiresAt)
+const HELD_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to read a member's quiet hours as minutes of the day, or null when off
+function getQuietHours(preferences) {
+  const quiet = preferences?.quietHours;
+  if (!quiet?.enabled) {
+    return null;
+  }
+
+  const startMinutes = (quiet.startHour ?? 23) * 60 + (quiet.startMinute ?? 0);
+  const endMinutes = (quiet.endHour ?? 7) * 60 + (quiet.endMinute ?? 0);
+  return startMinutes === endMinutes ? null : { startMinutes, endMinutes };
+}
+
+function getPreferencesTimeZone(preferences) {
+  return isValidTimeZone(preferences?.timeZone) ? preferences.timeZone : DEFAULT_TIME_ZONE;
+}
+
+// When nowMillis falls in the member's quiet hours, the moment they end (milliseconds); otherwise null
+function getQuietHoursEnd(preferences, nowMillis) {
+  const quiet = getQuietHours(preferences);
+  if (!quiet) {
+    return null;
+  }
+
+  const timeZone = getPreferencesTimeZone(preferences);
+  const parts = getZonedParts(nowMillis, timeZone);
+  const minutes = parts.hour * 60 + parts.minute;
+  const inQuietHours = quiet.startMinutes < quiet.endMinutes
+    ? minutes >= quiet.startMinutes && minutes < quiet.endMinutes
+    : minutes >= quiet.startMinutes || minutes < quiet.endMinutes;
+
+  if (!inQuietHours) {
+    return null;
+  }
+
+  const endHour = Math.floor(quiet.endMinutes / 60);
+  const endMinute = quiet.endMinutes % 60;
+  let endMillis = zonedTimeToMillis(parts.year, parts.month, parts.day, endHour, endMinute, timeZone);
+  if (endMillis <= nowMillis) {
+    const tomorrow = getZonedParts(nowMillis + DAY_MS, timeZone);
+    endMillis = zonedTimeToMillis(tomorrow.year, tomorrow.month, tomorrow.day, endHour, endMinute, timeZone);
+  }
+  return endMillis;
+}
+
+// Helper function to count a member's notifications so far today (their local day)
+function getTodayCount(recipient, nowMillis) {
+  const today = getDateString(nowMillis, getPreferencesTimeZone(recipient.preferences));
+  return recipient.notificationCount?.date === today ? recipient.notificationCount.count || 0 : 0;
+}
+
+// Split recipients ([{ token, uid, locale, preferences, notificationCount }]) for one notification:
+//   send: recipients to deliver to now
+//   hold: [{ uid, releaseAt }] members in quiet hours, one entry per member
+//   skipped: [{ uid, reason: 'type_disabled' | 'daily_cap' }]
+// Recipients without preferences (legacy token locations) always get the notification.
+function planDelivery(type, recipients, nowMillis) {
+  const plan = { send: [], hold: [], skipped: [] };
+
+  if (ALWAYS_DELIVERED_TYPES.includes(type)) {
+    plan.send = recipients;
+    return plan;
+  }
+
+  const decisions = {};
+  recipients.forEach(recipient => {
+    const preferences = recipient.preferences;
+    if (!recipient.uid || !preferences) {
+      plan.send.push(recipient);
+      return;
+    }
+
+    if (!decisions[recipient.uid]) {
+      const releaseAt = getQuietHoursEnd(preferences, nowMillis);
+      if (preferences.types?.[type] === false) {
+        decisions[recipient.uid] = { action: 'skip', reason: 'type_disabled' };
+      } else if (preferences.dailyCap && getTodayCount(recipient, nowMillis) >= preferences.dailyCap) {
+        decisions[recipient.uid] = { action: 'skip', reason: 'daily_cap' };
+      } else if (releaseAt) {
+        decisions[recipient.uid] = { action: 'hold', releaseAt };
+      } else {
+        decisions[recipient.uid] = { action: 'send' };
+      }
+
+      const decision = decisions[recipient.uid];
+      if (decision.action === 'skip') {
+        plan.skipped.push({ uid: recipient.uid, reason: decision.reason });
+      } else if (decision.action === 'hold') {
+        plan.hold.push({ uid: recipient.uid, releaseAt });
+      }
+    }
+
+    if (decisions[recipient.uid].action === 'send') {
+      plan.send.push(recipient);
+    }
+  });
+
+  return plan;
+}
+
+// Helper function to drop undefined values, which Firestore rejects, from plain objects and arrays
+function stripUndefined(value) {
+  if (Array.isArray(value)) {
+    return value.filter(item => item !== undefined).map(stripUndefined);
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => item !== undefined)
+      .map(([key, item]) => [key, stripUndefined(item)]));
+  }
+  return value;
+}
+
+// Queue a notification for a member until their quiet hours end
+async function holdNotification(familyId, uid, type, params, data, releaseAtMillis) {
+  await db.collection('held_notifications').add({
+    familyId,
+    uid,
+    type,
+    params: stripUndefined(params || {}),
+    data: stripUndefined(data || {}),
+    heldAt: admin.firestore.Timestamp.now(),
+    releaseAt: admin.firestore.Timestamp.fromMillis(releaseAtMillis),
+    expiresAt: admin.firestore.Timestamp.fromMillis(releaseAtMillis + HELD_RETENTION_MS),
+  });
+  await incrementMetrics({ [`notifications.held.${type}`]: 1 });
+}
+
+// Count one delivered notification per member against their daily cap.
+// Never throws: a failed counter must not fail the send.
+async function recordDeliveries(familyId, recipients, nowMillis) {
+  const counted = new Set();
+  const members = db.collection('families').doc(familyId).collection('members');
+
+  await Promise.all(recipients.map(async (recipient) => {
+    if (!recipient.uid || !recipient.preferences?.dailyCap || counted.has(recipient.uid)) {
+      return;
+    }
+    counted.add(recipient.uid);
+
+    const today = getDateString(nowMillis, getPreferencesTimeZone(recipient.preferences));
+    const update = recipient.notificationCount?.date === today
+      ? { 'notificationCount.count': admin.firestore.FieldValue.increment(1) }
+      : { notificationCount: { date: today, count: 1 } };
+
+    try {
+      await members.doc(recipient.uid).update(update);
+    } catch (error) {
+      opsLog.warn('notification_count_failed', 'Failed to update daily notification count', { familyId, uid: recipient.uid }, error);
+    }
+  }));
+}
+
+function isHourMinute(hour, minute) {
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 &&
+    Number.isInteger(minute ?? 0) && (minute ?? 0) >= 0 && (minute ?? 0) <= 59;
+}
+
+// Helper function to validate preferences sent by the app. Returns the stored shape.
+function validatePreferences(input, familyTimeZone) {
+  const invalid = (message) => new functions.https.HttpsError('invalid-argument', message);
+
+  if (!input || typeof input !== 'object') {
+    throw invalid('Preferences are required');
+  }
+
+  const types = {};
+  Object.entries(input.types || {}).forEach(([type, enabled]) => {
+    if (!hasTemplate(type) || typeof enabled !== 'boolean') {
+      throw invalid(`Invalid notification type setting: ${type}`);
+    }
+    if (ALWAYS_DELIVERED_TYPES.includes(type) && !enabled) {
+      throw invalid(`${type} notifications cannot be turned off`);
+    }
+    if (!enabled) {
+      types[type] = false;
+    }
+  });
+
+  let quietHours = { enabled: false };
+  if (input.quietHours?.enabled) {
+    const { startHour, startMinute = 0, endHour, endMinute = 0 } = input.quietHours;
+    if (!isHourMinute(startHour, startMinute) || !isHourMinute(endHour, endMinute)) {
+      throw invalid('Quiet hours need a valid start and end time');
+    }
+    if (startHour === endHour && startMinute === endMinute) {
+      throw invalid('Quiet hours must not start and end at the same time');
+    }
+    quietHours = { enabled: true, startHour, startMinute, endHour, endMinute };
+  }
+
+  const timeZone = input.timeZone ?? familyTimeZone;
+  if (!isValidTimeZone(timeZone)) {
+    throw invalid('Invalid time zone');
+  }
+
+  const dailyCap = input.dailyCap ?? null;
+  if (dailyCap !== null && (!Number.isInteger(dailyCap) || dailyCap < 1 || dailyCap > MAX_DAILY_CAP)) {
+    throw invalid(`Daily cap must be between 1 and ${MAX_DAILY_CAP}`);
+  }
+
+  return { types, quietHours, timeZone, dailyCap };
+}
+
+// UPDATE NOTIFICATION PREFERENCES - Which notifications the caller gets, quiet hours and daily cap
+exports.updateNotificationPreferences = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, preferences } = data || {};
+
+  if (!familyId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID is required'
+    );
+  }
+
+  try {
+    const uid = context.auth.uid;
+    const familyData = await getFamilyForMember(familyId, uid);
+    const validated = validatePreferences(preferences, getFamilyTimeZone(familyData.settings));
+
+    await db.collection('families')
+      .doc(familyId)
+      .collection('members')
+      .doc(uid)
+      .set({
+        uid,
+        role: getParentUid(familyData) === uid ? 'parent' : 'child',
+        notificationPreferences: validated,
+        updatedAt: admin.firestore.Timestamp.now(),
+      }, { merge: true });
+
+    opsLog.info('notification_preferences_updated', 'Notification preferences updated', { familyId, uid });
+
+    return {
+      success: true,
+      preferences: validated,
+      alwaysDelivered: ALWAYS_DELIVERED_TYPES,
+    };
+
+  } catch (error) {
+    opsLog.error('notification_preferences_failed', 'Error updating notification preferences', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to update notification preferences'
+    );
+  }
+});
+
+exports.ALWAYS_DELIVERED_TYPES = ALWAYS_DELIVERED_TYPES;
+exports.getQuietHoursEnd = getQuietHoursEnd;
+exports.planDelivery = planDelivery;
+exports.stripUndefined = stripUndefined;
+exports.holdNotification = holdNotification;
+exports.recordDeliveries = recordDeliveries;
@@ -0,0 +1,232 @@
+// Notification copy for every alert type, per locale.
+//
+// Each template receives the params passed to renderNotification() plus a
+// formatter bound to the recipient locale, and returns { title, body }.
+// To add an alert type, add an entry to every locale (at least 'ko', which is
+// the fallback for locales and types that have no translation).
+
+const DEFAULT_LOCALE = 'ko';
+
+// Meal windows learned in meal-patterns.js
+const KO_MEAL_LABELS = { breakfast: '아침', lunch: '점심', dinner: '저녁' };
+
+// Helper functions for numbers and times in one locale
+function createFormatter(locale) {
+  return {
+    // "12시간" / "1 hour" / "12 hours"
+    hours(value) {
+      const hours = Math.floor(Number(value) || 0);
+      if (locale === 'en') {
+        return `${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+      }
+      return `${hours}시간`;
+    },
+    // 24-hour "HH:MM" in the family timezone
+    time(millis, timeZone) {
+      return new Date(millis).toLocaleTimeString(locale === 'en' ? 'en-GB' : 'ko-KR', {
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false,
+        timeZone: timeZone,
+      });
+    },
+  };
+}
+
+const TEMPLATES = {
+  ko: {
+    meal_recorded: ({ elderlyName, mealTime, timeZone }, f) => ({
+      title: `${elderlyName}님이 식사하셨어요`,
+      body: `오늘 ${f.time(mealTime, timeZone)}에 식사했습니다`,
+    }),
+    survival_alert: ({ elderlyName, hoursInactive }, f) => ({
+      title: `⚠️ ${elderlyName} 안전 알림`,
+      body: `${f.hours(hoursInactive)} 이상 휴대폰 사용이 없습니다. 안부를 확인해주세요.`,
+    }),
+    device_battery_dead: ({ elderlyName, hoursInactive, batteryLevel }, f) => ({
+      title: `🔋 ${elderlyName} 휴대폰 배터리 방전 추정`,
+      body: `마지막 배터리 ${batteryLevel}% 이후 ${f.hours(hoursInactive)} 이상 소식이 없습니다. 휴대폰이 꺼졌을 수 있어요. 안부를 확인해주세요.`,
+    }),
+    device_offline: ({ elderlyName, hoursInactive }, f) => ({
+      title: `📵 ${elderlyName} 휴대폰 연결 끊김`,
+      body: `${f.hours(hoursInactive)} 이상 휴대폰에서 아무 신호가 없습니다. 전원이나 인터넷 연결을 확인해주세요.`,
+    }),
+    low_battery: ({ elderlyName, batteryLevel }) => ({
+      title: `🪫 ${elderlyName} 휴대폰 배터리 부족`,
+      body: `배터리가 ${batteryLevel}% 남았습니다. 충전을 부탁드려 주세요.`,
+    }),
+    location_stale: ({ elderlyName, hoursStale }, f) => ({
+      title: `📍 ${elderlyName} 위치 업데이트 없음`,
+      body: `${f.hours(hoursStale)} 이상 위치가 업데이트되지 않았습니다.`,
+    }),
+    join_request: ({ childName, elderlyName }) => ({
+      title: `👋 가족 참여 요청`,
+      body: `${childName}님이 ${elderlyName}님 가족에 참여를 요청했습니다. 앱에서 승인하거나 거절해주세요.`,
+    }),
+    parent_recovery_request: ({ elderlyName }) => ({
+      title: `🔐 ${elderlyName}님 계정 복구 요청`,
+      body: `${elderlyName}님 휴대폰 앱이 다시 설치되어 계정 복구를 요청했습니다. 본인이 맞다면 앱에서 확인해주세요.`,
+    }),
+    geofence_exit: ({ elderlyName, zoneName }) => ({
+      title: `🚶 ${elderlyName}님이 ${zoneName}을(를) 벗어났습니다`,
+      body: `${zoneName} 밖으로 이동하셨습니다. 필요하면 연락해보세요.`,
+    }),
+    geofence_enter: ({ elderlyName, zoneName }) => ({
+      title: `🏠 ${elderlyName}님이 ${zoneName}에 도착했습니다`,
+      body: `${zoneName}에 도착하셨습니다.`,
+    }),
+    meal_missed: ({ elderlyName, mealLabel, usualTime }) => ({
+      title: `🍽️ ${elderlyName}님 ${KO_MEAL_LABELS[mealLabel] || '식사'} 식사 기록이 없습니다`,
+      body: `평소 ${usualTime}쯤 드시던 ${KO_MEAL_LABELS[mealLabel] || '식사'} 식사 기록이 오늘은 없습니다. 안부를 확인해보세요.`,
+    }),
+    meal_count_drop: ({ elderlyName, count, usualCount }) => ({
+      title: `📉 ${elderlyName}님 식사 횟수가 줄었습니다`,
+      body: `어제 식사 기록이 ${count}회로 평소(하루 ${usualCount}회)보다 크게 적었습니다.`,
+    }),
+    check_in_prompt: () => ({
+      title: '💬 괜찮으신가요?',
+      body: '가족이 안부를 궁금해합니다. 이 알림을 눌러 괜찮다고 알려주세요.',
+    }),
+    check_in_answered: ({ elderlyName }) => ({
+      title: `✅ ${elderlyName}님이 괜찮다고 응답했습니다`,
+      body: `${elderlyName}님이 안부 확인에 응답하셨습니다.`,
+    }),
+    check_in_no_response: ({ elderlyName, minutes }) => ({
+      title: `⏰ ${elderlyName}님이 안부 확인에 응답하지 않았습니다`,
+      body: `${minutes}분 동안 응답이 없었습니다. 직접 연락해보세요.`,
+    }),
+    held_summary: ({ count, titles }) => ({
+      title: `🌙 방해 금지 시간 동안 알림 ${count}개가 있었어요`,
+      body: titles.join('\n'),
+    }),
+    survival_escalation: ({ elderlyName, hoursInactive }, f) => ({
+      title: `⚠️ ${elderlyName} 안전 알림`,
+      body: `[${elderlyName}] ${f.hours(hoursInactive)} 이상 휴대폰 사용이 없고 가족의 응답이 없습니다. 안부를 확인해주세요.`,
+    }),
+    food_alert: ({ elderlyName, hoursWithoutFood }, f) => ({
+      title: `🍽️ ${elderlyName} 식사 알림`,
+      body: `${f.hours(hoursWithoutFood)} 이상 식사하지 않았습니다. 확인해주세요.`,
+    }),
+    daily_digest: ({ elderlyName, totalMeals, longestInactivityHours, alertsRaised }, f) => ({
+      title: `📋 ${elderlyName} 오늘의 안부`,
+      body: `식사 ${totalMeals}회 · 최장 미사용 ${f.hours(longestInactivityHours)} · 알림 ${alertsRaised}건`,
+    }),
+    weekly_digest: ({ elderlyName, averageMealsPerDay, longestInactivityHours, alertsRaised }, f) => ({
+      title: `📋 ${elderlyName} 이번 주 안부`,
+      body: `하루 평균 식사 ${averageMealsPerDay}회 · 최장 미사용 ${f.hours(longestInactivityHours)} · 알림 ${alertsRaised}건`,
+    }),
+  },
+  en: {
+    meal_recorded: ({ elderlyName, mealTime, timeZone }, f) => ({
+      title: `${elderlyName} had a meal`,
+      body: `Ate today at ${f.time(mealTime, timeZone)}`,
+    }),
+    survival_alert: ({ elderlyName, hoursInactive }, f) => ({
+      title: `⚠️ Safety alert for ${elderlyName}`,
+      body: `No phone use for over ${f.hours(hoursInactive)}. Please check in on them.`,
+    }),
+    device_battery_dead: ({ elderlyName, hoursInactive, batteryLevel }, f) => ({
+      title: `🔋 ${elderlyName}'s phone may have run out of battery`,
+      body: `Nothing heard for over ${f.hours(hoursInactive)} since the battery was at ${batteryLevel}%. The phone may be off. Please check in on them.`,
+    }),
+    device_offline: ({ elderlyName, hoursInactive }, f) => ({
+      title: `📵 ${elderlyName}'s phone is offline`,
+      body: `No signal from the phone for over ${f.hours(hoursInactive)}. Please check its power or internet connection.`,
+    }),
+    low_battery: ({ elderlyName, batteryLevel }) => ({
+      title: `🪫 ${elderlyName}'s phone battery is low`,
+      body: `Battery at ${batteryLevel}%. Please remind them to charge it.`,
+    }),
+    location_stale: ({ elderlyName, hoursStale }, f) => ({
+      title: `📍 No location update from ${elderlyName}`,
+      body: `Location has not been updated for over ${f.hours(hoursStale)}.`,
+    }),
+    join_request: ({ childName, elderlyName }) => ({
+      title: `👋 New family join request`,
+      body: `${childName} asked to join ${elderlyName}'s family. Approve or reject it in the app.`,
+    }),
+    parent_recovery_request: ({ elderlyName }) => ({
+      title: `🔐 Account recovery for ${elderlyName}`,
+      body: `${elderlyName}'s app was reinstalled and is asking to recover the account. Confirm in the app if this is really them.`,
+    }),
+    geofence_exit: ({ elderlyName, zoneName }) => ({
+      title: `🚶 ${elderlyName} left ${zoneName}`,
+      body: `${elderlyName} has moved outside ${zoneName}. Give them a call if needed.`,
+    }),
+    geofence_enter: ({ elderlyName, zoneName }) => ({
+      title: `🏠 ${elderlyName} arrived at ${zoneName}`,
+      body: `${elderlyName} is now at ${zoneName}.`,
+    }),
+    meal_missed: ({ elderlyName, mealLabel, usualTime }) => ({
+      title: `🍽️ No ${mealLabel || 'meal'} recorded for ${elderlyName}`,
+      body: `${elderlyName} usually has ${mealLabel || 'a meal'} around ${usualTime}, but nothing has been recorded today. Consider checking in.`,
+    }),
+    meal_count_drop: ({ elderlyName, count, usualCount }) => ({
+      title: `📉 ${elderlyName} ate less often yesterday`,
+      body: `Only ${count} meal(s) were recorded yesterday, well below the usual ${usualCount} a day.`,
+    }),
+    check_in_prompt: () => ({
+      title: '💬 Are you OK?',
+      body: 'Your family would like to know how you are. Tap this notification to let them know you are OK.',
+    }),
+    check_in_answered: ({ elderlyName }) => ({
+      title: `✅ ${elderlyName} says they are OK`,
+      body: `${elderlyName} answered the check-in.`,
+    }),
+    check_in_no_response: ({ elderlyName, minutes }) => ({
+      title: `⏰ ${elderlyName} did not answer the check-in`,
+      body: `No answer for ${minutes} minutes. Please try contacting them directly.`,
+    }),
+    held_summary: ({ count, titles }) => ({
+      title: `🌙 ${count} notifications during your quiet hours`,
+      body: titles.join('\n'),
+    }),
+    survival_escalation: ({ elderlyName, hoursInactive }, f) => ({
+      title: `⚠️ Safety alert for ${elderlyName}`,
+      body: `[${elderlyName}] No phone use for over ${f.hours(hoursInactive)} and no family member has responded. Please check in on them.`,
+    }),
+    food_alert: ({ elderlyName, hoursWithoutFood }, f) => ({
+      title: `🍽️ Meal alert for ${elderlyName}`,
+      body: `No meal recorded for over ${f.hours(hoursWithoutFood)}. Please check in.`,
+    }),
+    daily_digest: ({ elderlyName, totalMeals, longestInactivityHours, alertsRaised }, f) => ({
+      title: `📋 ${elderlyName}'s day`,
+      body: `${totalMeals} ${totalMeals === 1 ? 'meal' : 'meals'} · longest inactivity ${f.hours(longestInactivityHours)} · ${alertsRaised} ${alertsRaised === 1 ? 'alert' : 'alerts'}`,
+    }),
+    weekly_digest: ({ elderlyName, averageMealsPerDay, longestInactivityHours, alertsRaised }, f) => ({
+      title: `📋 ${elderlyName}'s week`,
+      body: `${averageMealsPerDay} meals a day on average · longest inactivity ${f.hours(longestInactivityHours)} · ${alertsRaised} ${alertsRaised === 1 ? 'alert' : 'alerts'}`,
+    }),
+  },
+};
+
+// 'en-US', 'en_GB' -> 'en'; unknown or missing locales -> DEFAULT_LOCALE
+function normalizeLocale(locale) {
+  const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+  return TEMPLATES[language] ? language : DEFAULT_LOCALE;
+}
+
+// Render { title, body } for an alert type in the recipient's locale
+function renderNotification(type, locale, params) {
+  const normalized = normalizeLocale(locale);
+  const template = TEMPLATES[normalized][type] || TEMPLATES[DEFAULT_LOCALE][type];
+
+  if (!template) {
+    throw new Error(`No notification template for type: ${type}`);
+  }
+
+  const usedLocale = TEMPLATES[normalized][type] ? normalized : DEFAULT_LOCALE;
+  return template(params, createFormatter(usedLocale));
+}
+
+function hasTemplate(type) {
+  return !!TEMPLATES[DEFAULT_LOCALE][type];
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES: Object.keys(TEMPLATES),
+  normalizeLocale,
+  renderNotification,
+  hasTemplate,
+};
@@ -0,0 +1,318 @@
+const admin = require('firebase-admin');
+const {
+  getRegisteredTokens,
+  isInvalidTokenError,
+  removeInvalidToken,
+} = require('./device-registry');
+const { renderNotification } = require('./notification-templates');
+const { dispatchWebhookEvent } = require('./webhooks');
+const { planDelivery, holdNotification, recordDeliveries } = require('./notification-preferences');
+const { opsLog, metricKey, incrementMetrics, sumMetrics } = require('./ops-monitoring');
+
+// Helper function to get all child app recipients of a family as
+// [{ token, uid, locale, preferences, notificationCount }] (preferences only for registry entries)
+async function getFamilyRecipients(familyId) {
+  try {
+    // Token registry (registerDevice) is the source of truth once a family has entries
+    const registered = await getRegisteredTokens(familyId);
+    const recipients = [];
+    const seen = new Set();
+    registered
+      .filter(entry => entry.role !== 'parent')
+      .forEach(entry => {
+        if (!seen.has(entry.token)) {
+          seen.add(entry.token);
+          recipients.push({
+            token: entry.token,
+            uid: entry.uid,
+            locale: entry.locale || null,
+            preferences: entry.preferences,
+            notificationCount: entry.notificationCount,
+          });
+        }
+      });
+    
+    if (recipients.length > 0) {
+      opsLog.debug('recipients_resolved', `${recipients.length} child app token(s) found in registry`, { familyId, source: 'registry', tokenCount: recipients.length });
+      return recipients;
+    }
+    
+    // Fall back to the legacy token locations for families not migrated yet
+    const familyDoc = await admin.firestore()
+      .collection('families')
+      .doc(familyId)
+      .get();
+    
+    if (!familyDoc.exists) {
+      opsLog.warn('family_not_found', 'Family not found while resolving recipients', { familyId });
+      return [];
+    }
+    
+    const familyData = familyDoc.data();
+    const connectionCode = familyData?.connectionCode;
+    
+    if (!connectionCode) {
+      opsLog.warn('recipients_no_connection_code', 'No connection code found for family', { familyId });
+      await incrementMetrics({ familiesWithoutTokens: 1 });
+      return [];
+    }
+    
+    // Method 1: Try to find tokens via users collection with familyCodes
+    const tokens = [];
+    
+    try {
+      const usersSnapshot = await admin.firestore()
+        .collection('users')
+        .where('familyCodes', 'array-contains', connectionCode)
+        .get();
+      
+      usersSnapshot.forEach(userDoc => {
+        const userData = userDoc.data();
+        const fcmToken = userData.fcmToken;
+        if (fcmToken) {
+          tokens.push({ token: fcmToken, uid: userDoc.id, locale: userData.locale || null });
+        }
+      });
+    } catch (error) {
+      opsLog.warn('recipients_lookup_failed', 'familyCodes lookup failed, trying child_devices', { familyId, source: 'users' }, error);
+    }
+    
+    // Method 2: Check child_devices subcollection (alternative approach)
+    if (tokens.length === 0) {
+      try {
+        const devicesSnapshot = await admin.firestore()
+          .collection('families')
+          .doc(familyId)
+          .collection('child_devices')
+          .where('is_active', '==', true)
+          .get();
+        
+        devicesSnapshot.forEach(deviceDoc => {
+          const deviceData = deviceDoc.data();
+          const fcmToken = deviceData.fcm_token;
+          if (fcmToken) {
+            tokens.push({ token: fcmToken, uid: deviceData.user_id || null, locale: null });
+          }
+        });
+      } catch (error) {
+        opsLog.warn('recipients_lookup_failed', 'child_devices lookup failed', { familyId, source: 'child_devices' }, error);
+      }
+    }
+    
+    // Method 3: Direct lookup in family document (if tokens stored there)
+    if (tokens.length === 0) {
+      const directTokens = familyData?.childAppTokens || [];
+      tokens.push(...directTokens.map(token => ({ token, uid: null, locale: null })));
+    }
+    
+    opsLog.debug('recipients_resolved', `${tokens.length} child app token(s) found in legacy locations`, { familyId, source: 'legacy', tokenCount: tokens.length });
+    if (tokens.length === 0) {
+      await incrementMetrics({ familiesWithoutTokens: 1 });
+    }
+    return tokens;
+  } catch (error) {
+    opsLog.error('recipients_failed', 'Error getting family member tokens', { familyId }, error);
+    return [];
+  }
+}
+
+// Helper function to get all child app FCM tokens for a family
+async function getFamilyMemberTokens(familyId) {
+  const recipients = await getFamilyRecipients(familyId);
+  return recipients.map(r => r.token);
+}
+
+// Helper function to send one message to one token.
+// Tokens FCM reports as unregistered or invalid are removed from the family.
+// The result carries its fcm.* metrics; callers write them once per batch.
+async function sendMessageToToken(familyId, token, notification, data) {
+  const tokenPreview = token.substring(0, 20) + '...';
+  
+  try {
+    const message = {
+      token: token,
+      notification: notification,
+      data: data,
+      android: {
+        priority: 'high',
+        notification: {
+          sound: 'default',
+          channelId: 'high_importance_channel',
+        },
+      },
+    };
+    
+    const result = await admin.messaging().send(message);
+    opsLog.info('fcm_sent', `${data.type} sent`, { familyId, type: data.type, token: tokenPreview, messageId: result });
+    return { success: true, messageId: result, token: tokenPreview, metrics: { 'fcm.sent': 1 } };
+  } catch (error) {
+    opsLog.warn('fcm_failed', `Failed to send ${data.type}`, { familyId, type: data.type, token: tokenPreview, errorCode: error.code || null }, error);
+    
+    const pruned = isInvalidTokenError(error);
+    if (pruned) {
+      await removeInvalidToken(familyId, token);
+    }
+    
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || null,
+      pruned,
+      token: tokenPreview,
+      metrics: { [`fcm.failed.${metricKey(error.code)}`]: 1 },
+    };
+  }
+}
+
+// Helper function to send one notification type to child app recipients, honoring each
+// member's notification preferences: turned-off types and notifications over the daily cap
+// are skipped, and notifications during quiet hours are held for later delivery.
+// Returns the send results of the recipients that were sent to now.
+async function deliverToRecipients(familyId, type, recipients, params, data) {
+  const nowMillis = Date.now();
+  const plan = planDelivery(type, recipients, nowMillis);
+  
+  await Promise.all(plan.hold.map(({ uid, releaseAt }) =>
+    holdNotification(familyId, uid, type, params, data, releaseAt)
+  ));
+  
+  const results = await Promise.all(plan.send.map(recipient =>
+    sendMessageToToken(familyId, recipient.token, renderNotification(type, recipient.locale, params), data)
+  ));
+  await recordDeliveries(familyId, plan.send.filter((recipient, i) => results[i].success), nowMillis);
+  
+  const successCount = results.filter(r => r.success).length;
+  opsLog.info('notifications_sent', `${type} notifications sent: ${successCount}/${recipients.length}`, {
+    familyId,
+    type,
+    sentTo: successCount,
+    totalTokens: recipients.length,
+    heldFor: plan.hold.map(h => h.uid),
+    skipped: plan.skipped,
+  });
+  await incrementMetrics(sumMetrics([
+    ...results.map(r => r.metrics),
+    { [`notifications.skipped.${type}`]: plan.skipped.length },
+  ]));
+  return results;
+}
+
+// Helper function to send one notification type to every child app of a family,
+// rendered in each recipient's locale. Alert types also go to the family's webhooks.
+async function sendTemplatedNotification(familyId, type, params, data) {
+  // Started first and awaited last, so slow webhook endpoints never delay the FCM sends
+  const webhookPromise = dispatchWebhookEvent(familyId, type, data);
+  const recipients = await getFamilyRecipients(familyId);
+  
+  if (recipients.length === 0) {
+    opsLog.warn('no_tokens', `No child app tokens for ${type}`, { familyId, type });
+    await webhookPromise;
+    return [];
+  }
+  
+  const [results] = await Promise.all([
+    deliverToRecipients(familyId, type, recipients, params, data),
+    webhookPromise,
+  ]);
+  return results;
+}
+
+// Helper function to get the parent app recipients of a family as [{ token, uid, locale }].
+// Only the token registry knows parent devices (registerDevice called by the family creator).
+async function getParentRecipients(familyId) {
+  const registered = await getRegisteredTokens(familyId);
+  const seen = new Set();
+  
+  return registered
+    .filter(entry => entry.role === 'parent' && !seen.has(entry.token) && seen.add(entry.token))
+    .map(entry => ({ token: entry.token, uid: entry.uid, locale: entry.locale || null }));
+}
+
+// Helper function to send one notification type to the parent's own devices
+async function sendParentNotification(familyId, type, params, data) {
+  const recipients = await getParentRecipients(familyId);
+  
+  if (recipients.length === 0) {
+    opsLog.warn('no_parent_tokens', `No parent app tokens for ${type}`, { familyId, type });
+    return [];
+  }
+  
+  const results = await Promise.all(recipients.map(recipient =>
+    sendMessageToToken(familyId, recipient.token, renderNotification(type, recipient.locale, params), data)
+  ));
+  
+  opsLog.info('parent_notifications_sent', `${type} sent to parent devices: ${results.filter(r => r.success).length}/${recipients.length}`, {
+    familyId,
+    type,
+    sentTo: results.filter(r => r.success).length,
+    totalTokens: recipients.length,
+  });
+  await incrementMetrics(sumMetrics(results.map(r => r.metrics)));
+  return results;
+}
+
+// Helper function to send survival alert notifications.
+// inactivity comes from classifyInactivity() and picks the alert type and message
+// (user inactive, battery dead or device offline).
+async function sendSurvivalNotification(familyId, elderlyName, hoursInactive, inactivity = {}) {
+  try {
+    const type = inactivity.notificationType || 'survival_alert';
+    opsLog.info('survival_notification', `Sending ${type} notification`, { familyId, type, cause: inactivity.cause || 'user_inactive' });
+    
+    const data = {
+      type: type,
+      alertCategory: 'survival',
+      cause: inactivity.cause || 'user_inactive',
+      elderlyName: elderlyName,
+      hoursInactive: hoursInactive.toString(),
+      familyId: familyId,
+      timestamp: new Date().toISOString(),
+    };
+    if (typeof inactivity.batteryLevel === 'number') {
+      data.batteryLevel = inactivity.batteryLevel.toString();
+    }
+    
+    return await sendTemplatedNotification(familyId, type, {
+      elderlyName,
+      hoursInactive,
+      batteryLevel: inactivity.batteryLevel,
+    }, data);
+    
+  } catch (error) {
+    opsLog.error('survival_notification_failed', 'Error sending survival notification', { familyId }, error);
+    throw error;
+  }
+}
+
+// Helper function to send food alert notifications
+async function sendFoodNotification(familyId, elderlyName, hoursWithoutFood) {
+  try {
+    opsLog.info('food_notification', 'Sending food notification', { familyId, type: 'food_alert' });
+    
+    const data = {
+      type: 'food_alert',
+      elderlyName: elderlyName,
+      hoursWithoutFood: hoursWithoutFood.toString(),
+      familyId: familyId,
+      timestamp: new Date().toISOString(),
+    };
+    
+    return await sendTemplatedNotification(familyId, 'food_alert', { elderlyName, hoursWithoutFood }, data);
+    
+  } catch (error) {
+    opsLog.error('food_notification_failed', 'Error sending food notification', { familyId }, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getFamilyRecipients,
+  getFamilyMemberTokens,
+  getParentRecipients,
+  sendMessageToToken,
+  deliverToRecipients,
+  sendParentNotification,
+  sendTemplatedNotification,
+  sendSurvivalNotification,
+  sendFoodNotification,
+};
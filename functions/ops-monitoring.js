@@ -0,0 +1,237 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Operational visibility for the backend:
+//   - opsLog: structured JSON log entries { severity, event, familyId, message, ... }
+//     that Cloud Logging can filter and turn into log-based metrics
+//   - incrementMetrics: hourly counters in ops_metrics/{YYYY-MM-DDTHH}_{shard}
+//       { hour, counters: { familiesEvaluated, alertsRaised: { survival, ... }, fcm: { sent, failed: { <code> } }, ... } }
+//     Counters are spread over a few shard documents per hour to keep writes per document low.
+//   - getBackendStatus: admin-only summary of the last 24 hours
+
+const METRIC_SHARDS = 5;
+// ops_metrics documents expire after 30 days (Firestore TTL on expiresAt)
+const METRIC_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const STATUS_WINDOW_MS = 24 * 60 * 60 * 1000;
+// checkFamilySurvival runs every 2 minutes; this long without a run means it has stopped
+const SCHEDULER_STALE_MS = 10 * 60 * 1000;
+// Share of failed FCM sends in the window that marks the backend as degraded
+const FCM_FAILURE_RATE_WARNING = 0.2;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function writeLog(severity, event, message, fields = {}, error = null) {
+  const entry = {
+    severity,
+    event,
+    familyId: fields.familyId || null,
+    message,
+    ...fields,
+  };
+  if (error) {
+    entry.error = { message: error.message, code: error.code || null, stack: error.stack || null };
+  }
+  functions.logger.write(entry);
+}
+
+// Structured logger. Every entry carries a severity, an event name and the family ID (or null).
+const opsLog = {
+  debug: (event, message, fields) => writeLog('DEBUG', event, message, fields),
+  info: (event, message, fields) => writeLog('INFO', event, message, fields),
+  warn: (event, message, fields, error) => writeLog('WARNING', event, message, fields, error),
+  error: (event, message, fields, error) => writeLog('ERROR', event, message, fields, error),
+};
+
+// Field names must not contain dots; FCM error codes look like 'messaging/invalid-argument'
+function metricKey(value) {
+  return String(value || 'unknown').replace(/[./]/g, '_');
+}
+
+// Helper function to turn { 'fcm.failed.x': 1 } into nested FieldValue.increment() maps
+function toIncrements(counts) {
+  const nested = {};
+  Object.entries(counts).forEach(([path, amount]) => {
+    if (!amount) {
+      return;
+    }
+    const keys = path.split('.');
+    let node = nested;
+    keys.slice(0, -1).forEach(key => {
+      node[key] = node[key] || {};
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = admin.firestore.FieldValue.increment(amount);
+  });
+  return nested;
+}
+
+// Add to this hour's counters, e.g. incrementMetrics({ 'alertsRaised.survival': 1 }).
+// Never throws so that metrics can never block an alert.
+async function incrementMetrics(counts) {
+  const counters = toIncrements(counts);
+  if (Object.keys(counters).length === 0) {
+    return;
+  }
+
+  const hourMillis = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+  const hourKey = new Date(hourMillis).toISOString().substring(0, 13);
+  const shard = Math.floor(Math.random() * METRIC_SHARDS);
+
+  try {
+    await db.collection('ops_metrics').doc(`${hourKey}_${shard}`).set({
+      hour: admin.firestore.Timestamp.fromMillis(hourMillis),
+      counters,
+      expiresAt: admin.firestore.Timestamp.fromMillis(hourMillis + METRIC_RETENTION_MS),
+    }, { merge: true });
+  } catch (error) {
+    opsLog.warn('metrics_write_failed', 'Failed to write ops metrics', {}, error);
+  }
+}
+
+// Helper function to add flat metric counts together, e.g. the metrics of a batch of FCM
+// sends, so the batch is written with a single incrementMetrics() call
+function sumMetrics(countsList) {
+  const total = {};
+  countsList.forEach(counts => {
+    Object.entries(counts || {}).forEach(([path, amount]) => {
+      total[path] = (total[path] || 0) + amount;
+    });
+  });
+  return total;
+}
+
+// Helper function to add nested counter maps together
+function addCounters(total, counters) {
+  Object.entries(counters || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') {
+      total[key] = (total[key] || 0) + value;
+    } else if (value && typeof value === 'object') {
+      total[key] = addCounters(total[key] || {}, value);
+    }
+  });
+  return total;
+}
+
+function sumValues(counters) {
+  return Object.values(counters || {}).reduce((sum, value) =>
+    sum + (typeof value === 'number' ? value : sumValues(value)), 0);
+}
+
+// Build the status summary for the window ending at nowMillis
+async function buildBackendStatus(nowMillis) {
+  const from = admin.firestore.Timestamp.fromMillis(nowMillis - STATUS_WINDOW_MS);
+
+  const [metricsSnapshot, runsSnapshot] = await Promise.all([
+    db.collection('ops_metrics').where('hour', '>=', from).get(),
+    db.collection('scheduler_runs').where('startedAt', '>=', from).orderBy('startedAt', 'desc').get(),
+  ]);
+
+  const counters = {};
+  metricsSnapshot.forEach(doc => addCounters(counters, doc.data().counters));
+
+  const runs = runsSnapshot.docs.map(doc => doc.data()).filter(run => run.job === 'checkFamilySurvival');
+  const lastRunMillis = runs.length > 0 ? runs[0].startedAt.toMillis() : null;
+  const scheduler = {
+    lastRunAt: lastRunMillis ? new Date(lastRunMillis).toISOString() : null,
+    minutesSinceLastRun: lastRunMillis ? Math.round((nowMillis - lastRunMillis) / 60000) : null,
+    runs: runs.length,
+    familiesEvaluated: runs.reduce((sum, run) => sum + (run.familiesEvaluated || 0), 0),
+    familiesFailed: runs.reduce((sum, run) => sum + (run.familiesFailed || 0), 0),
+    runsHittingLimit: runs.filter(run => run.reachedRunLimit).length,
+    averageDurationMs: runs.length > 0
+      ? Math.round(runs.reduce((sum, run) => sum + (run.durationMs || 0), 0) / runs.length)
+      : null,
+  };
+
+  const alerts = [];
+  if (!lastRunMillis || nowMillis - lastRunMillis > SCHEDULER_STALE_MS) {
+    alerts.push({
+      severity: 'critical',
+      code: 'scheduler_stalled',
+      message: lastRunMillis
+        ? `checkFamilySurvival has not run for ${scheduler.minutesSinceLastRun} minutes`
+        : 'checkFamilySurvival has not run in the last 24 hours',
+    });
+  }
+
+  const fcmSent = counters.fcm?.sent || 0;
+  const fcmFailed = sumValues(counters.fcm?.failed);
+  if (fcmSent + fcmFailed > 0 && fcmFailed / (fcmSent + fcmFailed) > FCM_FAILURE_RATE_WARNING) {
+    alerts.push({
+      severity: 'warning',
+      code: 'fcm_failure_rate',
+      message: `${fcmFailed} of ${fcmSent + fcmFailed} FCM sends failed`,
+    });
+  }
+  if (scheduler.familiesFailed > 0) {
+    alerts.push({
+      severity: 'warning',
+      code: 'family_evaluations_failed',
+      message: `${scheduler.familiesFailed} family evaluations failed`,
+    });
+  }
+
+  return {
+    status: alerts.some(a => a.severity === 'critical') ? 'down' : alerts.length > 0 ? 'degraded' : 'ok',
+    generatedAt: new Date(nowMillis).toISOString(),
+    window: { from: from.toDate().toISOString(), to: new Date(nowMillis).toISOString() },
+    scheduler,
+    counters,
+    fcm: { sent: fcmSent, failed: fcmFailed, failedByCode: counters.fcm?.failed || {} },
+    alerts,
+  };
+}
+
+// BACKEND STATUS - Admin-only summary of the last 24 hours.
+// Responds 503 while the scheduler is stalled so uptime checks can alert on it.
+exports.getBackendStatus = functions.https.onRequest(async (req, res) => {
+  if (req.method !== 'GET') {
+    res.status(405).json({ success: false, error: 'Method not allowed' });
+    return;
+  }
+
+  const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+  if (!match) {
+    res.status(401).json({ success: false, error: 'Missing Firebase ID token' });
+    return;
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(match[1]);
+  } catch (error) {
+    res.status(401).json({ success: false, error: 'Invalid Firebase ID token' });
+    return;
+  }
+
+  if (!decodedToken.admin) {
+    res.status(403).json({ success: false, error: 'Admin privileges required' });
+    return;
+  }
+
+  try {
+    const status = await buildBackendStatus(Date.now());
+
+    status.alerts.forEach(alert => {
+      const log = alert.severity === 'critical' ? opsLog.error : opsLog.warn;
+      log(alert.code, alert.message, { source: 'getBackendStatus' });
+    });
+
+    res.status(status.status === 'down' ? 503 : 200).json({ success: true, ...status });
+  } catch (error) {
+    opsLog.error('backend_status_failed', 'Failed to build backend status', {}, error);
+    res.status(500).json({ success: false, error: 'Failed to build backend status' });
+  }
+});
+
+exports.opsLog = opsLog;
+exports.metricKey = metricKey;
+exports.incrementMetrics = incrementMetrics;
+exports.sumMetrics = sumMetrics;
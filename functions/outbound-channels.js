@@ -0,0 +1,81 @@
+const { opsLog } = require('./ops-monitoring');
+
+// Outbound channels deliver alert messages outside the app (SMS, voice call, ...)
+// to secondary contacts who do not have the child app installed.
+//
+// A channel is a plain object:
+//   {
+//     name: 'sms',
+//     async send({ to, message, familyId, type }) -> { success, id, error }
+//   }
+//
+// The default channel sends nothing and reports every message as not delivered, so alert
+// history never claims a contact was told before a real provider is plugged in with
+// setOutboundChannel(). Tests can swap in their own stub the same way.
+
+// '+82 10-1234-5678' -> '***5678': phone numbers never go to the logs in full
+function redactPhoneNumber(to) {
+  const digits = String(to || '').replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+}
+
+const logOnlyChannel = {
+  name: 'log',
+  async send({ to, familyId, type }) {
+    opsLog.warn('outbound_not_configured', 'No outbound channel configured, message not sent', {
+      familyId,
+      type,
+      to: redactPhoneNumber(to),
+    });
+    return { success: false, id: null, error: 'not_configured' };
+  },
+};
+
+let activeChannel = logOnlyChannel;
+
+// Replace the channel used for secondary contacts
+function setOutboundChannel(channel) {
+  if (!channel || typeof channel.send !== 'function') {
+    throw new Error('Outbound channel must implement send()');
+  }
+  activeChannel = channel;
+}
+
+// Restore the default log-only channel
+function resetOutboundChannel() {
+  activeChannel = logOnlyChannel;
+}
+
+function getOutboundChannel() {
+  return activeChannel;
+}
+
+// Helper function to send one message through the active channel without throwing
+async function sendOutboundMessage(payload) {
+  const channel = activeChannel;
+  try {
+    const result = await channel.send(payload);
+    return {
+      channel: channel.name || 'unknown',
+      success: !!result?.success,
+      id: result?.id || null,
+      error: result?.error || null,
+    };
+  } catch (error) {
+    opsLog.error('outbound_failed', `Outbound ${channel.name || 'unknown'} message failed`, {
+      familyId: payload.familyId,
+      type: payload.type,
+      to: redactPhoneNumber(payload.to),
+    }, error);
+    return { channel: channel.name || 'unknown', success: false, id: null, error: error.message };
+  }
+}
+
+module.exports = {
+  logOnlyChannel,
+  redactPhoneNumber,
+  setOutboundChannel,
+  resetOutboundChannel,
+  getOutboundChannel,
+  sendOutboundMessage,
+};
@@ -0,0 +1,382 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { sendParentNotification, sendTemplatedNotification } = require('./notifications');
+const { createAlertId } = require('./alert-events');
+const { consumeRateLimits } = require('./rate-limiter');
+const { getParentUid } = require('./device-registry');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// "Are you OK?" check-ins pushed to the parent's own phone. The parent app registers
+// its token with registerDevice (role 'parent') and answers with respondToCheckIn.
+// The parent is the family's parentUid, not createdBy, which moves with transferOwnership.
+//
+// Before a survival alert is raised the parent is asked first; the alert only goes
+// to the children when the check-in is not answered within settings.checkIn.responseMinutes.
+// Children can also start a check-in themselves with requestCheckIn.
+//
+// Current check-in on the family document:
+//   checkIn: { id, trigger: 'survival'|'child', requestedBy, activityMillis,
+//              status: 'pending'|'answered'|'answered_late'|'expired', sentAt, expiresAt, respondedAt }
+// Every check-in is also kept in families/{familyId}/check_ins/{id} with its result.
+
+const CHECK_IN_STATUS = {
+  PENDING: 'pending',
+  ANSWERED: 'answered',
+  ANSWERED_LATE: 'answered_late',
+  EXPIRED: 'expired',
+};
+
+const DEFAULT_RESPONSE_MINUTES = 15;
+const MIN_RESPONSE_MINUTES = 5;
+const MAX_RESPONSE_MINUTES = 60;
+
+// Child-requested check-ins per child per hour
+const CHILD_CHECK_INS_PER_HOUR = 5;
+const CHECK_IN_RATE_WINDOW_MS = 60 * 60 * 1000;
+
+function toMillis(value) {
+  return value && typeof value.toMillis === 'function' ? value.toMillis() : null;
+}
+
+// Helper function to read settings.checkIn, filling in defaults
+function getCheckInSettings(settings) {
+  const checkIn = settings?.checkIn || {};
+  const minutes = checkIn.responseMinutes;
+
+  return {
+    enabled: checkIn.enabled !== false,
+    responseMinutes: Number.isFinite(minutes)
+      ? Math.min(MAX_RESPONSE_MINUTES, Math.max(MIN_RESPONSE_MINUTES, minutes))
+      : DEFAULT_RESPONSE_MINUTES,
+  };
+}
+
+function isPendingAt(checkIn, nowMillis) {
+  return checkIn?.status === CHECK_IN_STATUS.PENDING && toMillis(checkIn.expiresAt) > nowMillis;
+}
+
+// Decide whether a survival alert should first ask the parent. step is one of
+//   'send'    - no check-in yet for this stretch of inactivity: ask the parent
+//   'wait'    - a check-in is pending: hold the alert until it is answered or expires
+//   'proceed' - check-ins disabled or already unanswered: raise the alert
+function decideCheckIn(familyData, lastActivityMillis, nowMillis) {
+  const settings = getCheckInSettings(familyData.settings);
+  const checkIn = familyData.checkIn;
+
+  if (!settings.enabled) {
+    return { step: 'proceed', reason: 'parent check-in disabled' };
+  }
+
+  if (isPendingAt(checkIn, nowMillis)) {
+    return {
+      step: 'wait',
+      reason: `waiting for the parent to answer check-in until ${new Date(toMillis(checkIn.expiresAt)).toISOString()}`,
+    };
+  }
+
+  // Answering updates lastPhoneActivity, so a check-in sent during this stretch of
+  // inactivity that is still on the document was not answered
+  if (checkIn && toMillis(checkIn.sentAt) >= lastActivityMillis) {
+    return { step: 'proceed', reason: 'parent did not answer the check-in' };
+  }
+
+  return { step: 'send', reason: `ask the parent first (${settings.responseMinutes} min to answer)` };
+}
+
+// Push a check-in to the parent's devices and store it as the family's current check-in.
+// Returns { checkInId, expiresAt, delivered } or null when no parent device received it.
+async function startCheckIn(familyId, familyData, { trigger, requestedBy, activityMillis }, now) {
+  const { responseMinutes } = getCheckInSettings(familyData.settings);
+  const checkInId = createAlertId('check_in', now);
+  const expiresAt = admin.firestore.Timestamp.fromMillis(now.toMillis() + responseMinutes * 60 * 1000);
+  const elderlyName = familyData.elderlyName || '부모님';
+
+  const results = await sendParentNotification(familyId, 'check_in_prompt', { elderlyName }, {
+    type: 'check_in',
+    checkInId,
+    familyId,
+    trigger,
+    expiresAt: expiresAt.toDate().toISOString(),
+  });
+  const delivered = results.filter(r => r.success).length;
+
+  if (delivered === 0) {
+    opsLog.warn('check_in_undelivered', 'Check-in could not be delivered to a parent device', { familyId, trigger });
+    return null;
+  }
+
+  const checkIn = {
+    id: checkInId,
+    trigger,
+    requestedBy: requestedBy || 'system',
+    activityMillis: activityMillis || null,
+    status: CHECK_IN_STATUS.PENDING,
+    sentAt: now,
+    expiresAt,
+    respondedAt: null,
+  };
+
+  const familyRef = db.collection('families').doc(familyId);
+  const batch = db.batch();
+  batch.update(familyRef, { checkIn });
+  batch.set(familyRef.collection('check_ins').doc(checkInId), { ...checkIn, delivered });
+  await batch.commit();
+
+  opsLog.info('check_in_sent', `Check-in sent to ${delivered} parent device(s)`, { familyId, checkInId, trigger, delivered });
+  return { checkInId, expiresAt, delivered };
+}
+
+// Mark the family's check-in as expired once its window has passed.
+// Children who asked for it are told there was no answer. Returns true when expired.
+async function expireCheckIn(familyId, familyData, now) {
+  const checkIn = familyData.checkIn;
+  if (checkIn?.status !== CHECK_IN_STATUS.PENDING || toMillis(checkIn.expiresAt) > now.toMillis()) {
+    return false;
+  }
+
+  const familyRef = db.collection('families').doc(familyId);
+  const expired = await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(familyRef)).data()?.checkIn;
+    if (current?.id !== checkIn.id || current.status !== CHECK_IN_STATUS.PENDING) {
+      return false;
+    }
+
+    transaction.update(familyRef, { 'checkIn.status': CHECK_IN_STATUS.EXPIRED });
+    transaction.update(familyRef.collection('check_ins').doc(checkIn.id), {
+      status: CHECK_IN_STATUS.EXPIRED,
+      expiredAt: now,
+    });
+    return true;
+  });
+
+  if (!expired) {
+    return false;
+  }
+
+  opsLog.info('check_in_expired', 'Check-in was not answered', { familyId, checkInId: checkIn.id });
+
+  // Survival check-ins continue as a survival alert instead
+  if (checkIn.trigger === 'child') {
+    const elderlyName = familyData.elderlyName || '부모님';
+    const { responseMinutes } = getCheckInSettings(familyData.settings);
+    await sendTemplatedNotification(familyId, 'check_in_no_response', { elderlyName, minutes: responseMinutes }, {
+      type: 'check_in_no_response',
+      checkInId: checkIn.id,
+      elderlyName,
+      familyId,
+      timestamp: now.toDate().toISOString(),
+    });
+  }
+
+  return true;
+}
+
+// REQUEST CHECK-IN - A child asks the parent "are you OK?" right away
+exports.requestCheckIn = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId } = data;
+  const uid = context.auth.uid;
+
+  if (!familyId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID is required'
+    );
+  }
+
+  try {
+    const familyDoc = await db.collection('families').doc(familyId).get();
+
+    if (!familyDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Family not found'
+      );
+    }
+
+    const familyData = familyDoc.data();
+
+    if (!(familyData.memberIds || []).includes(uid) || getParentUid(familyData) === uid) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Only child members can request a check-in'
+      );
+    }
+
+    const now = admin.firestore.Timestamp.now();
+
+    // One check-in at a time: a second request returns the pending one
+    if (isPendingAt(familyData.checkIn, now.toMillis())) {
+      return {
+        success: true,
+        alreadyPending: true,
+        checkInId: familyData.checkIn.id,
+        expiresAt: familyData.checkIn.expiresAt.toDate().toISOString(),
+      };
+    }
+
+    const rateLimit = await consumeRateLimits([{
+      key: `requestCheckIn_${uid}`,
+      limit: CHILD_CHECK_INS_PER_HOUR,
+      windowMs: CHECK_IN_RATE_WINDOW_MS,
+    }]);
+    if (!rateLimit.allowed) {
+      throw new functions.https.HttpsError(
+        'resource-exhausted',
+        `Too many check-ins, try again in ${rateLimit.retryAfterSeconds} seconds`
+      );
+    }
+
+    // Families without survival monitoring are not swept by the scheduler
+    await expireCheckIn(familyId, familyData, now);
+
+    const started = await startCheckIn(familyId, familyData, { trigger: 'child', requestedBy: uid }, now);
+    if (!started) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'The parent device is not registered for check-ins'
+      );
+    }
+
+    return {
+      success: true,
+      alreadyPending: false,
+      checkInId: started.checkInId,
+      expiresAt: started.expiresAt.toDate().toISOString(),
+    };
+
+  } catch (error) {
+    opsLog.error('check_in_request_failed', 'Error requesting check-in', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to request check-in'
+    );
+  }
+});
+
+// RESPOND TO CHECK-IN - The parent answers "I'm OK". Counts as phone activity, so
+// a held survival alert is cancelled and an already raised one is cleared.
+exports.respondToCheckIn = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, checkInId } = data;
+
+  if (!familyId || !checkInId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID and check-in ID are required'
+    );
+  }
+
+  try {
+    const familyRef = db.collection('families').doc(familyId);
+    const now = admin.firestore.Timestamp.now();
+
+    const result = await db.runTransaction(async (transaction) => {
+      const familyDoc = await transaction.get(familyRef);
+
+      if (!familyDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Family not found'
+        );
+      }
+
+      const familyData = familyDoc.data();
+
+      if (getParentUid(familyData) !== context.auth.uid) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Only the parent can answer a check-in'
+        );
+      }
+
+      const checkIn = familyData.checkIn;
+      if (!checkIn || checkIn.id !== checkInId) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          'Check-in not found or already replaced'
+        );
+      }
+
+      if (checkIn.status === CHECK_IN_STATUS.ANSWERED || checkIn.status === CHECK_IN_STATUS.ANSWERED_LATE) {
+        return { status: checkIn.status, alreadyAnswered: true, familyData };
+      }
+
+      // Late answers still count as a sign of life
+      const status = toMillis(checkIn.expiresAt) > now.toMillis()
+        ? CHECK_IN_STATUS.ANSWERED
+        : CHECK_IN_STATUS.ANSWERED_LATE;
+
+      transaction.update(familyRef, {
+        'checkIn.status': status,
+        'checkIn.respondedAt': now,
+        lastPhoneActivity: now,
+      });
+      transaction.update(familyRef.collection('check_ins').doc(checkInId), {
+        status,
+        respondedAt: now,
+        responseSeconds: Math.round((now.toMillis() - toMillis(checkIn.sentAt)) / 1000),
+      });
+
+      return { status, alreadyAnswered: false, familyData };
+    });
+
+    const { status, alreadyAnswered, familyData } = result;
+    opsLog.info('check_in_answered', `Check-in ${status}`, { familyId, checkInId, status, alreadyAnswered });
+
+    // Children only hear about check-ins they asked for, or ones answered after they were alerted
+    if (!alreadyAnswered && (familyData.checkIn.trigger === 'child' || status === CHECK_IN_STATUS.ANSWERED_LATE)) {
+      const elderlyName = familyData.elderlyName || '부모님';
+      await sendTemplatedNotification(familyId, 'check_in_answered', { elderlyName }, {
+        type: 'check_in_answered',
+        checkInId,
+        elderlyName,
+        familyId,
+        timestamp: now.toDate().toISOString(),
+      });
+    }
+
+    return {
+      success: true,
+      status,
+      alreadyAnswered,
+    };
+
+  } catch (error) {
+    opsLog.error('check_in_response_failed', 'Error responding to check-in', { familyId, checkInId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to respond to check-in'
+    );
+  }
+});
+
+exports.CHECK_IN_STATUS = CHECK_IN_STATUS;
+exports.getCheckInSettings = getCheckInSettings;
+exports.decideCheckIn = decideCheckIn;
+exports.startCheckIn = startCheckIn;
+exports.expireCheckIn = expireCheckIn;
@@ -0,0 +1,99 @@
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Fixed-window counters stored in rate_limits/{key}.
+// expiresAt can be used as a Firestore TTL field so old windows are removed automatically.
+
+// Helper function to pair each limit with its current window: [{ ...limit, windowStartMs, count }].
+// A window that has run out starts again at nowMs with a count of 0.
+function getCurrentWindows(limits, counters, nowMs) {
+  return limits.map((l, i) => {
+    const current = counters[i] || {};
+    let windowStartMs = current.windowStart ? current.windowStart.toMillis() : 0;
+    let count = current.count || 0;
+
+    if (nowMs - windowStartMs >= l.windowMs) {
+      windowStartMs = nowMs;
+      count = 0;
+    }
+
+    return { ...l, windowStartMs, count };
+  });
+}
+
+// Helper function to build the rejection for the first window that is used up, or null
+function findExceededWindow(windows, nowMs) {
+  const exceeded = windows.find(w => w.count >= w.limit);
+  if (!exceeded) {
+    return null;
+  }
+  return {
+    allowed: false,
+    key: exceeded.key,
+    retryAfterSeconds: Math.max(1, Math.ceil((exceeded.windowStartMs + exceeded.windowMs - nowMs) / 1000)),
+  };
+}
+
+// Consume one unit from every limit in a single transaction.
+// Either all counters are incremented or none are, so a request rejected by
+// one limit does not use up another.
+//   limits: [{ key, limit, windowMs }]
+// Returns { allowed: true } or { allowed: false, key, retryAfterSeconds }
+async function consumeRateLimits(limits) {
+  return db.runTransaction(async (transaction) => {
+    const refs = limits.map(l => db.collection('rate_limits').doc(l.key));
+    const docs = await Promise.all(refs.map(ref => transaction.get(ref)));
+    const nowMs = Date.now();
+
+    const windows = getCurrentWindows(limits, docs.map(doc => (doc.exists ? doc.data() : null)), nowMs);
+    const exceeded = findExceededWindow(windows, nowMs);
+    if (exceeded) {
+      return exceeded;
+    }
+
+    windows.forEach((w, i) => {
+      transaction.set(refs[i], {
+        key: w.key,
+        count: w.count + 1,
+        limit: w.limit,
+        windowStart: admin.firestore.Timestamp.fromMillis(w.windowStartMs),
+        expiresAt: admin.firestore.Timestamp.fromMillis(w.windowStartMs + w.windowMs),
+      });
+    });
+
+    return { allowed: true };
+  });
+}
+
+// Check every limit without consuming anything. Used for lockouts where only
+// failures are counted: check first, then consumeRateLimits() after a failure.
+// Returns the same shape as consumeRateLimits().
+async function checkRateLimits(limits) {
+  const docs = await Promise.all(limits.map(l => db.collection('rate_limits').doc(l.key).get()));
+  const nowMs = Date.now();
+
+  const windows = getCurrentWindows(limits, docs.map(doc => (doc.exists ? doc.data() : null)), nowMs);
+  return findExceededWindow(windows, nowMs) || { allowed: true };
+}
+
+// Helper function to identify the caller's IP address for per-IP limits in callables.
+// Clients can prepend anything to X-Forwarded-For (and rawRequest.ip is its first entry
+// when Express trusts the proxy), so only the last hop, appended by Google's front end, is used.
+function getCallerIp(context) {
+  const forwarded = context.rawRequest?.headers?.['x-forwarded-for'];
+  const lastHop = forwarded ? String(forwarded).split(',').pop().trim() : '';
+  return lastHop || context.rawRequest?.ip || 'unknown';
+}
+
+module.exports = {
+  getCurrentWindows,
+  findExceededWindow,
+  consumeRateLimits,
+  checkRateLimits,
+  getCallerIp,
+};
@@ -1,5 +1,11 @@
+const crypto = require('crypto');
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { evaluateSafeZones } = require('./geofence');
+const { consumeRateLimits, checkRateLimits, getCallerIp } = require('./rate-limiter');
+const { sendTemplatedNotification } = require('./notifications');
+const { getParentUid } = require('./device-registry');
+const { opsLog } = require('./ops-monitoring');
 
 // Initialize Firebase Admin
 if (!admin.apps.length) {
@@ -8,6 +14,35 @@ if (!admin.apps.length) {
 
 const db = admin.firestore();
 
+// Connection codes expire 24 hours after the family is created
+const CONNECTION_CODE_TTL_MS = 24 * 60 * 60 * 1000;
+const CONNECTION_CODE_MAX_ATTEMPTS = 10;
+
+// Families keep their code for good, so new codes have 6 digits to leave room for
+// every family. Families created before keep their 4-digit code.
+const CONNECTION_CODE_MIN = 100000;
+const CONNECTION_CODE_MAX = 1000000;
+
+// Failed joinFamily attempts (unknown or expired code) before the caller is locked out.
+// The lockout lasts until the window that counted the failures ends.
+const JOIN_FAILURES_PER_USER = 5;
+const JOIN_FAILURE_USER_WINDOW_MS = 15 * 60 * 1000;
+const JOIN_FAILURES_PER_IP = 20;
+const JOIN_FAILURE_IP_WINDOW_MS = 60 * 60 * 1000;
+
+// Pending join requests must be decided within this time
+const JOIN_REQUEST_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const CLEANUP_PAGE_SIZE = 400;
+
+// Subcollections removed together with a family in deleteFamily
+const FAMILY_SUBCOLLECTIONS = [
+  'meals', 'locations', 'child_devices', 'recordings',
+  'members', 'join_requests', 'alert_events', 'activity_days', 'reports', 'geofence_events',
+  'data_exports', 'recovery_requests', 'recovery_events', 'check_ins',
+  'webhooks', 'webhook_dead_letters', 'settings_changes',
+];
+
 // 1. CREATE FAMILY - Secure server-side family creation
 exports.createFamily = functions.https.onCall(async (data, context) => {
   // Verify authentication
@@ -28,18 +63,19 @@ exports.createFamily = functions.https.onCall(async (data, context) => {
   }
 
   try {
-    // Generate secure 4-digit code
-    const connectionCode = await generateUniqueConnectionCode();
-    
     // Create unique family ID
     const familyId = `family_${context.auth.uid}_${Date.now()}`;
     
+    // Generate secure code and create the connection code lookup for the child app
+    const connectionCode = await generateUniqueConnectionCode(familyId, context.auth.uid);
+    
     // Create family document with server timestamp
     const familyData = {
       familyId,
       connectionCode,
       elderlyName: elderlyName.trim(),
       createdBy: context.auth.uid,
+      parentUid: context.auth.uid, // The parent phone; stays put when ownership is transferred
       memberIds: [context.auth.uid], // Creator is first member
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       isActive: true,
@@ -54,15 +90,7 @@ exports.createFamily = functions.https.onCall(async (data, context) => {
     // Write to Firestore
     await db.collection('families').doc(familyId).set(familyData);
 
-    // Create connection code lookup for child app
-    await db.collection('connection_codes').doc(connectionCode).set({
-      familyId,
-      createdBy: context.auth.uid,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      expiresAt: new Date(Date.now() + (24 * 60 * 60 * 1000)), // 24 hour expiry
-    });
-
-    console.log(`Family created: ${familyId} with code: ${connectionCode}`);
+    opsLog.info('family_created', 'Family created', { familyId, uid: context.auth.uid });
     
     return {
       success: true,
@@ -72,7 +100,7 @@ exports.createFamily = functions.https.onCall(async (data, context) => {
     };
 
   } catch (error) {
-    console.error('Error creating family:', error);
+    opsLog.error('family_create_failed', 'Error creating family', { uid: context.auth.uid }, error);
     throw new functions.https.HttpsError(
       'internal', 
       'Failed to create family'
@@ -80,7 +108,44 @@ exports.createFamily = functions.https.onCall(async (data, context) => {
   }
 });
 
-// 2. JOIN FAMILY - Child app joins using 4-digit code
+// Helper function to build the failed-join limits for a caller
+function getJoinFailureLimits(uid, ip) {
+  return [
+    {
+      key: `joinFamilyFailure_user_${uid}`,
+      limit: JOIN_FAILURES_PER_USER,
+      windowMs: JOIN_FAILURE_USER_WINDOW_MS,
+    },
+    {
+      key: `joinFamilyFailure_ip_${ip.replace(/[^0-9a-zA-Z]/g, '_')}`,
+      limit: JOIN_FAILURES_PER_IP,
+      windowMs: JOIN_FAILURE_IP_WINDOW_MS,
+    },
+  ];
+}
+
+function isConnectionCode(code) {
+  return typeof code === 'string' && /^(\d{4}|\d{6})$/.test(code);
+}
+
+// Helper function to look up a connection code. createFamily keys the document by the code;
+// codes the parent app still creates itself have a random ID and carry the code as a field.
+async function findConnectionCode(connectionCode) {
+  const codeDoc = await db.collection('connection_codes').doc(connectionCode).get();
+  if (codeDoc.exists) {
+    return codeDoc.data();
+  }
+
+  const clientCodes = await db.collection('connection_codes')
+    .where('code', '==', connectionCode)
+    .where('isActive', '==', true)
+    .limit(1)
+    .get();
+  return clientCodes.empty ? null : clientCodes.docs[0].data();
+}
+
+// 2. JOIN FAMILY - Child app requests to join using its connection code.
+// Creates a pending join request that an existing member approves or rejects.
 exports.joinFamily = functions.https.onCall(async (data, context) => {
   if (!context.auth) {
     throw new functions.https.HttpsError(
@@ -91,56 +156,115 @@ exports.joinFamily = functions.https.onCall(async (data, context) => {
 
   const { connectionCode, childName } = data;
   
-  if (!connectionCode || connectionCode.length !== 4) {
+  if (!isConnectionCode(connectionCode)) {
     throw new functions.https.HttpsError(
       'invalid-argument', 
-      'Valid 4-digit connection code is required'
+      'Valid connection code is required'
     );
   }
 
+  const uid = context.auth.uid;
+  const failureLimits = getJoinFailureLimits(uid, getCallerIp(context));
+
   try {
-    // Find family by connection code
-    const codeDoc = await db.collection('connection_codes').doc(connectionCode).get();
-    
-    if (!codeDoc.exists) {
+    const lockout = await checkRateLimits(failureLimits);
+    if (!lockout.allowed) {
+      opsLog.warn('join_locked', 'Join attempts locked', { key: lockout.key, uid });
       throw new functions.https.HttpsError(
-        'not-found', 
-        'Invalid connection code'
+        'resource-exhausted',
+        'Too many failed attempts, try again later',
+        { retryAfterSeconds: lockout.retryAfterSeconds }
       );
     }
 
-    const codeData = codeDoc.data();
+    // Find family by connection code
+    const codeData = await findConnectionCode(connectionCode);
+    const expired = codeData?.expiresAt && codeData.expiresAt.toDate() < new Date();
     
-    // Check if code is expired
-    if (codeData.expiresAt && codeData.expiresAt.toDate() < new Date()) {
+    if (!codeData || expired) {
+      await consumeRateLimits(failureLimits);
       throw new functions.https.HttpsError(
-        'deadline-exceeded', 
-        'Connection code has expired'
+        expired ? 'deadline-exceeded' : 'not-found',
+        expired ? 'Connection code has expired' : 'Invalid connection code'
       );
     }
 
     const familyId = codeData.familyId;
-    
-    // Add child to family members
-    await db.collection('families').doc(familyId).update({
-      memberIds: admin.firestore.FieldValue.arrayUnion(context.auth.uid),
-      [`childInfo.${context.auth.uid}`]: {
-        name: childName || 'Child User',
-        joinedAt: admin.firestore.FieldValue.serverTimestamp(),
-        role: 'child'
+    const familyRef = db.collection('families').doc(familyId);
+    const requestRef = familyRef.collection('join_requests').doc(uid);
+    const now = admin.firestore.Timestamp.now();
+
+    const result = await db.runTransaction(async (transaction) => {
+      const [familyDoc, requestDoc] = await Promise.all([
+        transaction.get(familyRef),
+        transaction.get(requestRef),
+      ]);
+
+      if (!familyDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found', 
+          'Family not found'
+        );
+      }
+
+      const familyData = familyDoc.data();
+      if ((familyData.memberIds || []).includes(uid)) {
+        return { status: 'member', elderlyName: familyData.elderlyName };
+      }
+
+      const existing = requestDoc.exists ? requestDoc.data() : null;
+      if (existing?.status === 'pending' && existing.expiresAt.toMillis() > now.toMillis()) {
+        return { status: 'pending', elderlyName: familyData.elderlyName, created: false };
       }
+
+      transaction.set(requestRef, {
+        uid,
+        childName: (childName || 'Child User').toString().trim().slice(0, 50),
+        status: 'pending',
+        connectionCode,
+        requestedAt: now,
+        expiresAt: admin.firestore.Timestamp.fromMillis(now.toMillis() + JOIN_REQUEST_TTL_MS),
+      });
+
+      return { status: 'pending', elderlyName: familyData.elderlyName, created: true };
     });
 
-    console.log(`User ${context.auth.uid} joined family: ${familyId}`);
+    if (result.status === 'member') {
+      return {
+        success: true,
+        familyId,
+        status: 'approved',
+        message: 'Already a member of this family'
+      };
+    }
+
+    if (result.created) {
+      opsLog.info('join_requested', 'Join request created', { familyId, uid });
+      const name = (childName || 'Child User').toString().trim().slice(0, 50);
+      await sendTemplatedNotification(familyId, 'join_request', {
+        childName: name,
+        elderlyName: result.elderlyName || '부모님',
+      }, {
+        type: 'join_request',
+        requestUid: uid,
+        childName: name,
+        familyId: familyId,
+        timestamp: now.toDate().toISOString(),
+      }).catch(error => {
+        opsLog.error('join_notify_failed', 'Failed to notify family of join request', { familyId }, error);
+      });
+    }
     
     return {
       success: true,
       familyId,
-      message: 'Successfully joined family'
+      status: 'pending',
+      requestId: uid,
+      message: 'Join request sent, waiting for approval'
     };
 
   } catch (error) {
-    console.error('Error joining family:', error);
+    opsLog.error('join_failed', 'Error joining family', { uid }, error);
     if (error instanceof functions.https.HttpsError) {
       throw error;
     }
@@ -151,6 +275,136 @@ exports.joinFamily = functions.https.onCall(async (data, context) => {
   }
 });
 
+// Helper function to approve or reject a pending join request as an existing member
+async function decideJoinRequest(data, context, approve) {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, requestUid } = data;
+  
+  if (!familyId || !requestUid) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      'Family ID and request UID are required'
+    );
+  }
+
+  const familyRef = db.collection('families').doc(familyId);
+  const requestRef = familyRef.collection('join_requests').doc(requestUid);
+  const now = admin.firestore.Timestamp.now();
+
+  const decided = await db.runTransaction(async (transaction) => {
+    const [familyDoc, requestDoc] = await Promise.all([
+      transaction.get(familyRef),
+      transaction.get(requestRef),
+    ]);
+
+    if (!familyDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found', 
+        'Family not found'
+      );
+    }
+
+    if (!(familyDoc.data().memberIds || []).includes(context.auth.uid)) {
+      throw new functions.https.HttpsError(
+        'permission-denied', 
+        'User is not a member of this family'
+      );
+    }
+
+    if (!requestDoc.exists || requestDoc.data().status !== 'pending') {
+      throw new functions.https.HttpsError(
+        'not-found', 
+        'No pending join request'
+      );
+    }
+
+    // Commit the expiry before reporting it: throwing here would roll the write back
+    const request = requestDoc.data();
+    if (request.expiresAt.toMillis() <= now.toMillis()) {
+      transaction.update(requestRef, { status: 'expired' });
+      return false;
+    }
+
+    transaction.update(requestRef, {
+      status: approve ? 'approved' : 'rejected',
+      decidedBy: context.auth.uid,
+      decidedAt: now,
+    });
+
+    if (approve) {
+      transaction.update(familyRef, {
+        memberIds: admin.firestore.FieldValue.arrayUnion(requestUid),
+        [`childInfo.${requestUid}`]: {
+          name: request.childName,
+          joinedAt: now,
+          role: 'child',
+          approvedBy: context.auth.uid
+        }
+      });
+    }
+    return true;
+  });
+
+  if (!decided) {
+    throw new functions.https.HttpsError(
+      'deadline-exceeded', 
+      'Join request has expired'
+    );
+  }
+}
+
+// 2A. APPROVE JOIN REQUEST - Existing member lets a pending child into the family
+exports.approveJoinRequest = functions.https.onCall(async (data, context) => {
+  try {
+    await decideJoinRequest(data, context, true);
+    opsLog.info('join_approved', 'Join request approved', { familyId: data.familyId, requestUid: data.requestUid });
+    
+    return {
+      success: true,
+      message: 'Join request approved'
+    };
+
+  } catch (error) {
+    opsLog.error('join_approve_failed', 'Error approving join request', { familyId: data?.familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to approve join request'
+    );
+  }
+});
+
+// 2B. REJECT JOIN REQUEST - Existing member turns down a pending child
+exports.rejectJoinRequest = functions.https.onCall(async (data, context) => {
+  try {
+    await decideJoinRequest(data, context, false);
+    opsLog.info('join_rejected', 'Join request rejected', { familyId: data.familyId, requestUid: data.requestUid });
+    
+    return {
+      success: true,
+      message: 'Join request rejected'
+    };
+
+  } catch (error) {
+    opsLog.error('join_reject_failed', 'Error rejecting join request', { familyId: data?.familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to reject join request'
+    );
+  }
+});
+
 // 3. UPDATE LOCATION - Secure GPS data storage
 exports.updateLocation = functions.https.onCall(async (data, context) => {
   if (!context.auth) {
@@ -214,13 +468,24 @@ exports.updateLocation = functions.https.onCall(async (data, context) => {
       }
     });
 
+    // Check safe zones (debounced enter/leave alerts to children)
+    const transitions = await evaluateSafeZones(familyId, {
+      latitude,
+      longitude,
+      accuracy: data.accuracy || null
+    });
+
     return {
       success: true,
-      message: 'Location updated successfully'
+      message: 'Location updated successfully',
+      transitions: transitions.map(item => ({
+        zoneId: item.zone.id,
+        transition: item.transition
+      }))
     };
 
   } catch (error) {
-    console.error('Error updating location:', error);
+    opsLog.error('location_update_failed', 'Error updating location', { familyId }, error);
     if (error instanceof functions.https.HttpsError) {
       throw error;
     }
@@ -231,24 +496,429 @@ exports.updateLocation = functions.https.onCall(async (data, context) => {
   }
 });
 
-// Helper function to generate unique 4-digit code
-async function generateUniqueConnectionCode() {
-  let attempts = 0;
-  const maxAttempts = 50;
+// 4. CLEANUP EXPIRED CONNECTION CODES - Daily removal of codes past expiresAt
+exports.cleanupExpiredConnectionCodes = functions.pubsub
+  .schedule('every day 03:30')
+  .timeZone('Asia/Seoul')
+  .onRun(async (context) => {
+    const deleted = await deleteCollection(
+      db.collection('connection_codes').where('expiresAt', '<', admin.firestore.Timestamp.now())
+    );
+
+    opsLog.info('connection_codes_cleaned', `Removed ${deleted} expired connection codes`, { deleted });
+    return null;
+  });
+
+// Helper function to load a family and check the caller is a member (and optionally the creator)
+async function getFamilyForCaller(familyId, uid, { creatorOnly = false } = {}) {
+  const familyDoc = await db.collection('families').doc(familyId).get();
   
-  while (attempts < maxAttempts) {
-    // Generate cryptographically secure 4-digit code
-    const code = Math.floor(1000 + Math.random() * 9000).toString();
+  if (!familyDoc.exists) {
+    throw new functions.https.HttpsError(
+      'not-found', 
+      'Family not found'
+    );
+  }
+
+  const familyData = familyDoc.data();
+
+  if (!(familyData.memberIds || []).includes(uid)) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      'User is not a member of this family'
+    );
+  }
+
+  if (creatorOnly && familyData.createdBy !== uid) {
+    throw new functions.https.HttpsError(
+      'permission-denied', 
+      'Only the family creator can do this'
+    );
+  }
+
+  return familyData;
+}
+
+// Helper function to delete every document of a collection (or query) in batches
+async function deleteCollection(collectionRef) {
+  let deleted = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const page = await collectionRef.limit(CLEANUP_PAGE_SIZE).get();
+    if (page.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    page.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+
+    deleted += page.size;
+    hasMore = page.size === CLEANUP_PAGE_SIZE;
+  }
+
+  return deleted;
+}
+
+// Helper function to take a user out of a family: membership, child info,
+// registry tokens, legacy tokens and any open join request
+async function removeMemberFromFamily(familyId, familyData, uid) {
+  const familyRef = db.collection('families').doc(familyId);
+  const memberRef = familyRef.collection('members').doc(uid);
+
+  const [memberDoc, userDoc, devicesSnapshot] = await Promise.all([
+    memberRef.get(),
+    db.collection('users').doc(uid).get(),
+    familyRef.collection('child_devices').where('user_id', '==', uid).get(),
+  ]);
+
+  // Tokens this user registered anywhere, so they can be dropped from childAppTokens too
+  const tokens = new Set();
+  Object.values(memberDoc.exists ? memberDoc.data().tokens || {} : {}).forEach(entry => tokens.add(entry.token));
+  devicesSnapshot.docs.forEach(doc => doc.data().fcm_token && tokens.add(doc.data().fcm_token));
+  if (userDoc.exists && userDoc.data().fcmToken) {
+    tokens.add(userDoc.data().fcmToken);
+  }
+
+  const familyUpdate = {
+    memberIds: admin.firestore.FieldValue.arrayRemove(uid),
+    [`childInfo.${uid}`]: admin.firestore.FieldValue.delete(),
+  };
+  if (tokens.size > 0) {
+    familyUpdate.childAppTokens = admin.firestore.FieldValue.arrayRemove(...tokens);
+  }
+  if (familyData.childAppUserId === uid) {
+    familyUpdate.childAppUserId = admin.firestore.FieldValue.delete();
+  }
+
+  const batch = db.batch();
+  batch.update(familyRef, familyUpdate);
+  batch.delete(memberRef);
+  batch.delete(familyRef.collection('join_requests').doc(uid));
+  devicesSnapshot.docs.forEach(doc => batch.delete(doc.ref));
+  if (userDoc.exists && familyData.connectionCode) {
+    batch.update(userDoc.ref, {
+      familyCodes: admin.firestore.FieldValue.arrayRemove(familyData.connectionCode),
+    });
+  }
+  await batch.commit();
+}
+
+// 5. LEAVE FAMILY - Member removes themselves. The creator must transfer ownership
+// or delete the family instead.
+exports.leaveFamily = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId } = data;
+  
+  if (!familyId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      'Family ID is required'
+    );
+  }
+
+  try {
+    const familyData = await getFamilyForCaller(familyId, context.auth.uid);
+
+    if (familyData.createdBy === context.auth.uid) {
+      throw new functions.https.HttpsError(
+        'failed-precondition', 
+        'Family creator must transfer ownership or delete the family'
+      );
+    }
+
+    await removeMemberFromFamily(familyId, familyData, context.auth.uid);
+
+    opsLog.info('member_left', 'Member left family', { familyId, uid: context.auth.uid });
     
-    // Check if code already exists
-    const existingCode = await db.collection('connection_codes').doc(code).get();
+    return {
+      success: true,
+      message: 'Left family successfully'
+    };
+
+  } catch (error) {
+    opsLog.error('leave_family_failed', 'Error leaving family', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to leave family'
+    );
+  }
+});
+
+// 6. REMOVE MEMBER - Creator removes another member (lost phone, revoked access)
+exports.removeMember = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, memberUid } = data;
+  
+  if (!familyId || !memberUid) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      'Family ID and member UID are required'
+    );
+  }
+
+  try {
+    const familyData = await getFamilyForCaller(familyId, context.auth.uid, { creatorOnly: true });
+
+    if (memberUid === context.auth.uid) {
+      throw new functions.https.HttpsError(
+        'invalid-argument', 
+        'Creator cannot remove themselves'
+      );
+    }
+
+    if (!(familyData.memberIds || []).includes(memberUid)) {
+      throw new functions.https.HttpsError(
+        'not-found', 
+        'User is not a member of this family'
+      );
+    }
+
+    await removeMemberFromFamily(familyId, familyData, memberUid);
+
+    opsLog.info('member_removed', 'Member removed from family', { familyId, memberUid, uid: context.auth.uid });
     
-    if (!existingCode.exists) {
-      return code;
+    return {
+      success: true,
+      message: 'Member removed successfully'
+    };
+
+  } catch (error) {
+    opsLog.error('remove_member_failed', 'Error removing member', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
     }
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to remove member'
+    );
+  }
+});
+
+// 7. TRANSFER OWNERSHIP - Creator hands createdBy to another member.
+// Registry roles and parentUid are left alone: they describe which device is the parent phone.
+exports.transferOwnership = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, newOwnerUid } = data;
+  
+  if (!familyId || !newOwnerUid) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      'Family ID and new owner UID are required'
+    );
+  }
+
+  try {
+    const familyRef = db.collection('families').doc(familyId);
+
+    await db.runTransaction(async (transaction) => {
+      const familyDoc = await transaction.get(familyRef);
+      
+      if (!familyDoc.exists) {
+        throw new functions.https.HttpsError(
+          'not-found', 
+          'Family not found'
+        );
+      }
+
+      const familyData = familyDoc.data();
+
+      if (familyData.createdBy !== context.auth.uid) {
+        throw new functions.https.HttpsError(
+          'permission-denied', 
+          'Only the family creator can do this'
+        );
+      }
+
+      if (newOwnerUid === context.auth.uid || !(familyData.memberIds || []).includes(newOwnerUid)) {
+        throw new functions.https.HttpsError(
+          'invalid-argument', 
+          'New owner must be another member of this family'
+        );
+      }
+
+      transaction.update(familyRef, {
+        createdBy: newOwnerUid,
+        // Families created before parentUid existed: pin the parent phone before createdBy moves
+        parentUid: getParentUid(familyData),
+        ownershipTransferredAt: admin.firestore.FieldValue.serverTimestamp(),
+        ownershipTransferredFrom: context.auth.uid,
+      });
+    });
+
+    opsLog.info('ownership_transferred', 'Family ownership transferred', { familyId, fromUid: context.auth.uid, toUid: newOwnerUid });
     
-    attempts++;
+    return {
+      success: true,
+      message: 'Ownership transferred successfully'
+    };
+
+  } catch (error) {
+    opsLog.error('transfer_ownership_failed', 'Error transferring ownership', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to transfer ownership'
+    );
+  }
+});
+
+// 8. DELETE FAMILY - Creator deletes the family, its subcollections and its connection codes
+exports.deleteFamily = functions.runWith({
+  timeoutSeconds: 300,
+}).https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated', 
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId } = data;
+  
+  if (!familyId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument', 
+      'Family ID is required'
+    );
+  }
+
+  try {
+    const familyData = await getFamilyForCaller(familyId, context.auth.uid, { creatorOnly: true });
+    const familyRef = db.collection('families').doc(familyId);
+
+    const counts = {};
+    for (const name of FAMILY_SUBCOLLECTIONS) {
+      counts[name] = await deleteCollection(familyRef.collection(name));
+    }
+
+    // Export files written by exportFamilyData
+    await admin.storage().bucket().deleteFiles({ prefix: `exports/${familyId}/` });
+
+    counts.connection_codes = await deleteCollection(
+      db.collection('connection_codes').where('familyId', '==', familyId)
+    );
+
+    // Drop the family's code from members' users documents
+    if (familyData.connectionCode) {
+      const usersSnapshot = await db.collection('users')
+        .where('familyCodes', 'array-contains', familyData.connectionCode)
+        .get();
+      await Promise.all(usersSnapshot.docs.map(doc => doc.ref.update({
+        familyCodes: admin.firestore.FieldValue.arrayRemove(familyData.connectionCode),
+      })));
+    }
+
+    await db.collection('family_secrets').doc(familyId).delete();
+    await familyRef.delete();
+
+    opsLog.info('family_deleted', 'Family deleted', { familyId, uid: context.auth.uid, counts });
+    
+    return {
+      success: true,
+      deleted: counts,
+      message: 'Family deleted successfully'
+    };
+
+  } catch (error) {
+    opsLog.error('family_delete_failed', 'Error deleting family', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal', 
+      'Failed to delete family'
+    );
+  }
+});
+
+// 9. AUTH USER DELETED - Remove the deleted user from every family and drop their tokens.
+// Families the user created are kept so the parent can recover them on a new account.
+exports.cleanupDeletedUser = functions.auth.user().onDelete(async (user) => {
+  const uid = user.uid;
+
+  try {
+    const familiesSnapshot = await db.collection('families')
+      .where('memberIds', 'array-contains', uid)
+      .get();
+
+    for (const familyDoc of familiesSnapshot.docs) {
+      await removeMemberFromFamily(familyDoc.id, familyDoc.data(), uid);
+      opsLog.info('deleted_user_removed', 'Removed deleted user from family', { familyId: familyDoc.id, uid });
+    }
+
+    await db.collection('users').doc(uid).delete();
+
+    opsLog.info('deleted_user_cleaned', `Cleaned up deleted user (${familiesSnapshot.size} families)`, { uid, families: familiesSnapshot.size });
+  } catch (error) {
+    opsLog.error('deleted_user_cleanup_failed', 'Failed to clean up deleted user', { uid }, error);
+  }
+});
+
+// Helper function to claim a unique 6-digit code from a CSPRNG.
+// The code document is created in a transaction so two families never share a code.
+// An expired code is only reused once no family holds it as connectionCode any more:
+// users.familyCodes and the legacy token lookups still key on it.
+async function generateUniqueConnectionCode(familyId, createdBy) {
+  for (let attempt = 0; attempt < CONNECTION_CODE_MAX_ATTEMPTS; attempt++) {
+    const code = crypto.randomInt(CONNECTION_CODE_MIN, CONNECTION_CODE_MAX).toString();
+    const codeRef = db.collection('connection_codes').doc(code);
+    const holdersQuery = db.collection('families').where('connectionCode', '==', code).limit(1);
+
+    const claimed = await db.runTransaction(async (transaction) => {
+      const [existing, holders] = await Promise.all([
+        transaction.get(codeRef),
+        transaction.get(holdersQuery),
+      ]);
+      const expiresAt = existing.exists ? existing.data().expiresAt : null;
+      if (existing.exists && (!expiresAt || expiresAt.toMillis() > Date.now())) {
+        return false;
+      }
+      if (!holders.empty) {
+        return false;
+      }
+
+      transaction.set(codeRef, {
+        familyId,
+        createdBy,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + CONNECTION_CODE_TTL_MS),
+      });
+      return true;
+    });
+
+    if (claimed) {
+      return code;
+    }
   }
   
   throw new Error('Failed to generate unique connection code');
-}
\ No newline at end of file
+}
+
+exports.getJoinFailureLimits = getJoinFailureLimits;
+exports.isConnectionCode = isConnectionCode;
+exports.FAMILY_SUBCOLLECTIONS = FAMILY_SUBCOLLECTIONS;
@@ -0,0 +1,206 @@
+// Sleep window helpers evaluated in each family's own timezone.
+//
+// settings.timeZone is an IANA zone name (e.g. 'Asia/Seoul', 'America/Los_Angeles').
+// settings.sleepTimeSettings:
+//   enabled, sleepStartHour, sleepStartMinute, sleepEndHour, sleepEndMinute,
+//   activeDays (1 = Monday ... 7 = Sunday, the day the window STARTS on),
+//   wakeGraceMinutes (alerts stay suppressed this long after the window ends)
+
+const DEFAULT_TIME_ZONE = 'Asia/Seoul';
+const DEFAULT_WAKE_GRACE_MINUTES = 60;
+
+// Sleep windows older than this are not walked when excluding sleep from inactivity
+const MAX_SLEEP_LOOKBACK_DAYS = 31;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+const formatterCache = {};
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper function to read the family timezone, falling back to Korea
+function getFamilyTimeZone(settings) {
+  const timeZone = settings?.timeZone;
+  return isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIME_ZONE;
+}
+
+function getFormatter(timeZone) {
+  if (!formatterCache[timeZone]) {
+    formatterCache[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+    });
+  }
+  return formatterCache[timeZone];
+}
+
+// Wall-clock parts of a moment in a timezone. weekday is Monday-based (1-7).
+function getZonedParts(millis, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(millis)).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+// Offset of the timezone from UTC at the given moment, in milliseconds
+function getTimeZoneOffsetMs(millis, timeZone) {
+  const p = getZonedParts(millis, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(millis / 1000) * 1000;
+}
+
+// Epoch milliseconds of a wall-clock time in a timezone (month is 1-based, day may overflow)
+function zonedTimeToMillis(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstPass = guess - getTimeZoneOffsetMs(guess, timeZone);
+  // Second pass corrects guesses that landed on the other side of a DST change
+  return guess - getTimeZoneOffsetMs(firstPass, timeZone);
+}
+
+// Helper function to normalize sleepTimeSettings. Uses ?? so that 0 (midnight) is kept.
+function getSleepSettings(settings) {
+  const sleep = settings?.sleepTimeSettings;
+  if (!sleep?.enabled) {
+    return null;
+  }
+
+  return {
+    startMinutes: (sleep.sleepStartHour ?? 22) * 60 + (sleep.sleepStartMinute ?? 0),
+    endMinutes: (sleep.sleepEndHour ?? 6) * 60 + (sleep.sleepEndMinute ?? 0),
+    activeDays: sleep.activeDays || [1, 2, 3, 4, 5, 6, 7],
+    wakeGraceMinutes: sleep.wakeGraceMinutes ?? DEFAULT_WAKE_GRACE_MINUTES,
+  };
+}
+
+// All sleep windows [startMs, endMs) that start on local days between the two moments
+function getSleepWindows(settings, fromMillis, toMillis) {
+  const sleep = getSleepSettings(settings);
+  if (!sleep || sleep.startMinutes === sleep.endMinutes) {
+    return [];
+  }
+
+  const timeZone = getFamilyTimeZone(settings);
+  const overnight = sleep.startMinutes > sleep.endMinutes;
+  const windows = [];
+
+  // Start one day early so a window that began yesterday evening is included
+  const first = getZonedParts(fromMillis - DAY_MS, timeZone);
+  const last = getZonedParts(toMillis, timeZone);
+  const lastDayIndex = Date.UTC(last.year, last.month - 1, last.day) / DAY_MS;
+
+  for (let offset = 0; offset <= MAX_SLEEP_LOOKBACK_DAYS + 1; offset++) {
+    const dayUtc = Date.UTC(first.year, first.month - 1, first.day + offset);
+    if (dayUtc / DAY_MS > lastDayIndex) {
+      break;
+    }
+
+    const day = new Date(dayUtc);
+    const weekday = day.getUTCDay() === 0 ? 7 : day.getUTCDay();
+    if (!sleep.activeDays.includes(weekday)) {
+      continue;
+    }
+
+    const y = day.getUTCFullYear();
+    const m = day.getUTCMonth() + 1;
+    const d = day.getUTCDate();
+    const startMs = zonedTimeToMillis(y, m, d, Math.floor(sleep.startMinutes / 60), sleep.startMinutes % 60, timeZone);
+    const endMs = zonedTimeToMillis(y, m, overnight ? d + 1 : d, Math.floor(sleep.endMinutes / 60), sleep.endMinutes % 60, timeZone);
+
+    windows.push({ startMs, endMs, graceEndMs: endMs + sleep.wakeGraceMinutes * MINUTE_MS });
+  }
+
+  return windows;
+}
+
+// Check if the moment is inside a sleep window.
+// An overnight window belongs to the day it starts on, so Friday 22:00-06:00
+// still covers Saturday 03:00 even when Saturday is not an active day.
+function isCurrentlySleepTime(settings, millis = Date.now()) {
+  return getSleepWindows(settings, millis, millis)
+    .some(w => millis >= w.startMs && millis < w.endMs);
+}
+
+// Check if the moment is inside a sleep window or its post-wake grace period
+function isInSleepOrGracePeriod(settings, millis = Date.now()) {
+  return getSleepWindows(settings, millis, millis)
+    .some(w => millis >= w.startMs && millis < w.graceEndMs);
+}
+
+// End of the post-wake grace period covering the moment, or null when awake
+function getSleepOrGraceEnd(settings, millis = Date.now()) {
+  const window = getSleepWindows(settings, millis, millis)
+    .find(w => millis >= w.startMs && millis < w.graceEndMs);
+  return window ? window.graceEndMs : null;
+}
+
+// Milliseconds between the two moments that fall inside sleep windows
+function getSleepOverlapMs(settings, fromMillis, toMillis) {
+  if (toMillis <= fromMillis) {
+    return 0;
+  }
+
+  const earliest = Math.max(fromMillis, toMillis - MAX_SLEEP_LOOKBACK_DAYS * DAY_MS);
+
+  return getSleepWindows(settings, earliest, toMillis).reduce((total, w) => {
+    const overlap = Math.min(w.endMs, toMillis) - Math.max(w.startMs, earliest);
+    return total + Math.max(0, overlap);
+  }, 0);
+}
+
+// Hours between the two moments with time spent asleep left out
+function getAwakeHoursBetween(settings, fromMillis, toMillis) {
+  const awakeMs = (toMillis - fromMillis) - getSleepOverlapMs(settings, fromMillis, toMillis);
+  return Math.max(0, awakeMs) / (60 * MINUTE_MS);
+}
+
+// Helper function to format a moment as YYYY-MM-DD (meals/{date} document ID) in a timezone
+function getDateString(millis, timeZone) {
+  const p = getZonedParts(millis, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  getFamilyTimeZone,
+  getZonedParts,
+  zonedTimeToMillis,
+  getSleepSettings,
+  getSleepWindows,
+  isCurrentlySleepTime,
+  isInSleepOrGracePeriod,
+  getSleepOrGraceEnd,
+  getSleepOverlapMs,
+  getAwakeHoursBetween,
+  getDateString,
+};
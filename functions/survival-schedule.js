@@ -0,0 +1,310 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getEscalationSettings } = require('./alert-escalation');
+const { getAwakeHoursBetween, getSleepOrGraceEnd, getZonedParts, getFamilyTimeZone } = require('./sleep-time');
+const { getDeviceHealthSettings, getLastLocationMillis } = require('./device-health');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Defaults used when settings do not set a threshold
+const DEFAULT_ALERT_HOURS = 12;
+// Same default as FoodTrackingService on the parent app
+const DEFAULT_FOOD_ALERT_HOURS = 8;
+// Adaptive thresholds (settings.alertMode = 'adaptive') never go below this
+const MIN_ADAPTIVE_ALERT_HOURS = 2;
+
+// Every monitored family is re-checked at least this often, even when nothing is due
+const MAX_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// nextCheckAt changes smaller than this are not written (avoids trigger write loops)
+const NEXT_CHECK_TOLERANCE_MS = 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const BACKFILL_PAGE_SIZE = 200;
+
+// Fields whose change can move a family's next check
+const SCHEDULE_FIELDS = [
+  'lastPhoneActivity', 'lastMeal', 'settings', 'survivalAlert', 'foodAlert', 'lastSurvivalCheckAt',
+  'location', 'lastLocation', 'deviceHealth', 'inactivityBaseline', 'checkIn',
+];
+
+function toMillis(value) {
+  return value && typeof value.toMillis === 'function' ? value.toMillis() : null;
+}
+
+// Inactivity threshold in hours for a gap that started at lastActivityMillis.
+// In adaptive mode the family's own 99th percentile gap for that hour of day and
+// day of week is used (see inactivity-baseline.js), capped by the fixed alertHours.
+// Returns { thresholdHours, mode: 'fixed'|'adaptive', source }
+function getAlertThreshold(familyData, lastActivityMillis) {
+  const settings = familyData?.settings || {};
+  const fixedHours = settings.alertHours || DEFAULT_ALERT_HOURS;
+  const baseline = familyData?.inactivityBaseline;
+
+  if (settings.alertMode !== 'adaptive') {
+    return { thresholdHours: fixedHours, mode: 'fixed', source: 'alertHours' };
+  }
+  if (!baseline?.ready || !lastActivityMillis) {
+    return { thresholdHours: fixedHours, mode: 'fixed', source: 'baseline not ready' };
+  }
+
+  const local = getZonedParts(lastActivityMillis, baseline.timeZone || getFamilyTimeZone(settings));
+  const buckets = [
+    { bucket: baseline.byHour?.[local.hour], source: `hour ${local.hour}` },
+    { bucket: baseline.byWeekday?.[local.weekday - 1], source: `weekday ${local.weekday}` },
+  ].filter(({ bucket }) => bucket?.p99 && bucket.count >= baseline.minBucketCount);
+
+  // Take the more forgiving of the two so an unusual slot does not raise false alarms
+  const best = buckets.reduce((a, b) => (!a || b.bucket.p99 > a.bucket.p99 ? b : a), null)
+    || { bucket: baseline.overall, source: 'overall' };
+  if (!best.bucket?.p99) {
+    return { thresholdHours: fixedHours, mode: 'fixed', source: 'baseline empty' };
+  }
+
+  const adaptiveHours = Math.max(MIN_ADAPTIVE_ALERT_HOURS, best.bucket.p99);
+  if (adaptiveHours >= fixedHours) {
+    return { thresholdHours: fixedHours, mode: 'fixed', source: `alertHours cap (p99 ${best.source} ${best.bucket.p99}h)` };
+  }
+
+  return { thresholdHours: adaptiveHours, mode: 'adaptive', source: `p99 ${best.source}` };
+}
+
+// Earliest moment awake inactivity since fromMillis can exceed the threshold.
+// Awake time never grows faster than real time, so now + remaining is a safe lower bound.
+function getThresholdDeadline(settings, fromMillis, thresholdHours, nowMillis) {
+  const remainingHours = thresholdHours - getAwakeHoursBetween(settings, fromMillis, nowMillis);
+  return remainingHours <= 0 ? nowMillis : nowMillis + remainingHours * HOUR_MS;
+}
+
+// Alerts are held back during sleep and the wake-up grace period
+function skipSleep(settings, millis) {
+  return getSleepOrGraceEnd(settings, millis) || millis;
+}
+
+// Compute when checkFamilySurvival next needs to look at a family (epoch milliseconds).
+// Mirrors the decisions made in checkFamilySurvival: threshold crossings, alert clears,
+// escalation steps and sleep windows. Survival (settings.survivalSignalEnabled) and food
+// (settings.foodAlertEnabled, on unless false) are scheduled independently.
+// Returns null when neither is monitored.
+function computeNextCheckAt(familyData, nowMillis) {
+  const settings = familyData?.settings || {};
+  const survivalMonitored = !!settings.survivalSignalEnabled;
+  const lastMealMillis = toMillis(familyData?.lastMeal?.timestamp);
+  const foodMonitored = settings.foodAlertEnabled !== false &&
+    (!!lastMealMillis || !!familyData?.foodAlert?.isActive);
+
+  if (!survivalMonitored && !foodMonitored) {
+    return null;
+  }
+
+  const candidates = [nowMillis + MAX_CHECK_INTERVAL_MS];
+
+  if (survivalMonitored) {
+    addSurvivalCandidates(familyData, settings, nowMillis, candidates);
+  }
+
+  // Food (meal inactivity)
+  if (foodMonitored && lastMealMillis) {
+    const foodAlertHours = settings.foodAlertHours || DEFAULT_FOOD_ALERT_HOURS;
+    const deadline = lastMealMillis + foodAlertHours * HOUR_MS;
+
+    if (!familyData.foodAlert?.isActive) {
+      candidates.push(skipSleep(settings, Math.max(deadline, nowMillis)));
+    } else if (deadline > nowMillis) {
+      // Meal recorded: clear the alert now
+      candidates.push(nowMillis);
+    }
+  }
+
+  return Math.max(nowMillis, Math.min(...candidates));
+}
+
+// Helper function to add the survival, check-in and location-staleness check times to candidates
+function addSurvivalCandidates(familyData, settings, nowMillis, candidates) {
+  // Parent check-in: expire it when the answer window closes. A survival alert is held until then.
+  const checkIn = familyData.checkIn;
+  const checkInExpiresMillis = checkIn?.status === 'pending' ? toMillis(checkIn.expiresAt) : null;
+  if (checkInExpiresMillis) {
+    candidates.push(Math.max(checkInExpiresMillis, nowMillis));
+  }
+
+  // Survival (phone inactivity)
+  const lastActivityMillis = toMillis(familyData.lastPhoneActivity);
+  if (lastActivityMillis) {
+    const { thresholdHours } = getAlertThreshold(familyData, lastActivityMillis);
+    const deadline = getThresholdDeadline(settings, lastActivityMillis, thresholdHours, nowMillis);
+    const alert = familyData.survivalAlert;
+
+    if (!alert?.isActive) {
+      candidates.push(skipSleep(settings, Math.max(deadline, checkInExpiresMillis || 0)));
+    } else if (deadline > nowMillis) {
+      // Activity resumed: clear the alert now
+      candidates.push(nowMillis);
+    } else if (!alert.acknowledged) {
+      const escalation = getEscalationSettings(settings);
+      const level = alert.escalationLevel || 0;
+      const stepsLeft = escalation.enabled && (
+        level < escalation.maxChildReminders ||
+        (level === escalation.maxChildReminders && escalation.notifySecondaryContacts)
+      );
+
+      if (stepsLeft) {
+        const lastNotifiedMillis = toMillis(alert.lastNotifiedAt) || toMillis(alert.timestamp) || nowMillis;
+        const due = lastNotifiedMillis + escalation.reminderIntervalMinutes * 60 * 1000;
+        candidates.push(skipSleep(settings, Math.max(due, nowMillis)));
+      }
+    }
+  }
+
+  // Location staleness (opt-in device-health notification)
+  const deviceHealth = getDeviceHealthSettings(settings);
+  const lastLocationMillis = getLastLocationMillis(familyData);
+  if (deviceHealth.locationStaleAlerts && lastLocationMillis) {
+    const deadline = lastLocationMillis + deviceHealth.locationStaleHours * HOUR_MS;
+    const notified = !!familyData.deviceHealth?.locationStaleNotifiedAt;
+
+    if (!notified || deadline > nowMillis) {
+      // Not yet notified: wait for the deadline. Notified but fresh again: re-arm now
+      candidates.push(notified ? nowMillis : Math.max(deadline, nowMillis));
+    }
+  }
+}
+
+// Helper function to run an async function over items with at most `limit` in flight
+async function runWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+// Recompute nextCheckAt whenever activity, meals, settings or alert state change
+exports.scheduleFamilyCheck = functions.firestore
+  .document('families/{familyId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) {
+      return;
+    }
+
+    const before = change.before.exists ? change.before.data() : {};
+    const after = change.after.data();
+
+    const relevantChange = !change.before.exists || SCHEDULE_FIELDS.some(field =>
+      JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+    );
+    if (!relevantChange) {
+      return;
+    }
+
+    const nowMillis = Date.now();
+    const nextCheckMillis = computeNextCheckAt(after, nowMillis);
+    const currentMillis = toMillis(after.nextCheckAt);
+
+    if (nextCheckMillis === null) {
+      if (after.nextCheckAt) {
+        await change.after.ref.update({ nextCheckAt: admin.firestore.FieldValue.delete() });
+      }
+      return;
+    }
+
+    // Already due and still due: leave it for the scheduler
+    if (currentMillis !== null && currentMillis <= nowMillis && nextCheckMillis <= nowMillis) {
+      return;
+    }
+
+    if (currentMillis !== null && Math.abs(currentMillis - nextCheckMillis) < NEXT_CHECK_TOLERANCE_MS) {
+      return;
+    }
+
+    await change.after.ref.update({
+      nextCheckAt: admin.firestore.Timestamp.fromMillis(nextCheckMillis),
+    });
+    opsLog.debug('next_check_scheduled', 'Next survival check scheduled', {
+      familyId: context.params.familyId,
+      nextCheckAt: new Date(nextCheckMillis).toISOString(),
+    });
+  });
+
+// Daily sweep that gives monitored families without nextCheckAt (written before the
+// trigger existed, or whose parent phone has stopped writing) a first check
+exports.backfillNextCheckAt = functions.runWith({
+  timeoutSeconds: 540
+}).pubsub
+  .schedule('every day 04:00')
+  .timeZone('Asia/Seoul')
+  .onRun(async (context) => {
+    const nowMillis = Date.now();
+    let familiesScanned = 0;
+    let familiesScheduled = 0;
+
+    try {
+      let lastDoc = null;
+      let hasMore = true;
+
+      while (hasMore) {
+        // Food alerts are on by default, so every family is a candidate
+        let query = db.collection('families')
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(BACKFILL_PAGE_SIZE);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const page = await query.get();
+        hasMore = page.size === BACKFILL_PAGE_SIZE;
+        if (page.empty) {
+          break;
+        }
+        lastDoc = page.docs[page.docs.length - 1];
+        familiesScanned += page.size;
+
+        const batch = db.batch();
+        let batchSize = 0;
+        page.docs.forEach(familyDoc => {
+          const familyData = familyDoc.data();
+          if (familyData.nextCheckAt) {
+            return;
+          }
+          const nextCheckMillis = computeNextCheckAt(familyData, nowMillis);
+          if (nextCheckMillis !== null) {
+            batch.update(familyDoc.ref, {
+              nextCheckAt: admin.firestore.Timestamp.fromMillis(nextCheckMillis),
+            });
+            batchSize++;
+          }
+        });
+
+        if (batchSize > 0) {
+          await batch.commit();
+          familiesScheduled += batchSize;
+        }
+      }
+
+      opsLog.info('next_check_backfill', `nextCheckAt backfill: ${familiesScheduled} of ${familiesScanned} families scheduled`, {
+        familiesScheduled,
+        familiesScanned,
+      });
+    } catch (error) {
+      opsLog.error('next_check_backfill_failed', 'Error backfilling nextCheckAt', {}, error);
+    }
+  });
+
+exports.DEFAULT_ALERT_HOURS = DEFAULT_ALERT_HOURS;
+exports.DEFAULT_FOOD_ALERT_HOURS = DEFAULT_FOOD_ALERT_HOURS;
+exports.MIN_ADAPTIVE_ALERT_HOURS = MIN_ADAPTIVE_ALERT_HOURS;
+exports.getAlertThreshold = getAlertThreshold;
+exports.computeNextCheckAt = computeNextCheckAt;
+exports.runWithConcurrency = runWithConcurrency;
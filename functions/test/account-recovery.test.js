@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeName, namesMatch, getRecoveryFailureLimits, swapParentUid } = require('../account-recovery');
+
+// Records the writes a transaction would make
+function fakeTransaction() {
+  const writes = [];
+  return {
+    writes,
+    update: (ref, data) => writes.push({ op: 'update', path: ref.path, data }),
+    set: (ref, data) => writes.push({ op: 'set', path: ref.path, data }),
+    delete: (ref) => writes.push({ op: 'delete', path: ref.path }),
+  };
+}
+
+function fakeFamilyRef() {
+  let nextId = 0;
+  const ref = (path) => ({
+    path,
+    collection: (name) => ({
+      doc: (id = `auto_${nextId++}`) => ref(`${path}/${name}/${id}`),
+    }),
+  });
+  return ref('families/family_1');
+}
+
+test('normalizeName ignores spacing, punctuation and a trailing honorific', () => {
+  assert.strictEqual(normalizeName(' 김 영희 할머니 '), '김영희');
+  assert.strictEqual(normalizeName('Kim, Young-Hee'), 'kimyounghee');
+  assert.strictEqual(namesMatch('김영희님', '김영희'), true);
+  assert.strictEqual(namesMatch('', ''), false);
+});
+
+test('getRecoveryFailureLimits counts failures on a code per caller IP', () => {
+  const limits = getRecoveryFailureLimits('uid_1', '1234', '203.0.113.7');
+  assert.deepStrictEqual(limits.map(l => l.key), [
+    'recoverParentFailure_user_uid_1',
+    'recoverParentFailure_code_1234_ip_203_0_113_7',
+    'recoverParentFailure_ip_203_0_113_7',
+  ]);
+  assert.notStrictEqual(
+    getRecoveryFailureLimits('uid_2', '1234', '198.51.100.2')[1].key,
+    limits[1].key
+  );
+});
+
+test('swapParentUid replaces the parent phone and keeps a transferred owner', () => {
+  const transaction = fakeTransaction();
+  const oldUid = swapParentUid(transaction, fakeFamilyRef(), {
+    createdBy: 'child_1',
+    parentUid: 'parent_old',
+    memberIds: ['parent_old', 'child_1'],
+  }, 'parent_new', { method: 'recovery_secret' }, 'now');
+
+  assert.strictEqual(oldUid, 'parent_old');
+  const familyUpdate = transaction.writes.find(w => w.op === 'update').data;
+  assert.deepStrictEqual(familyUpdate.memberIds, ['parent_new', 'child_1']);
+  assert.strictEqual(familyUpdate.parentUid, 'parent_new');
+  assert.strictEqual('createdBy' in familyUpdate, false);
+  assert.ok(transaction.writes.some(w => w.op === 'delete' && w.path === 'families/family_1/members/parent_old'));
+});
+
+test('swapParentUid moves ownership when the parent still held it', () => {
+  const transaction = fakeTransaction();
+  const oldUid = swapParentUid(transaction, fakeFamilyRef(), {
+    createdBy: 'parent_old',
+    memberIds: ['parent_old', 'child_1'],
+  }, 'parent_new', { method: 'child_confirmation' }, 'now');
+
+  assert.strictEqual(oldUid, 'parent_old');
+  const familyUpdate = transaction.writes.find(w => w.op === 'update').data;
+  assert.strictEqual(familyUpdate.createdBy, 'parent_new');
+  assert.strictEqual(familyUpdate.parentUid, 'parent_new');
+  const event = transaction.writes.find(w => w.op === 'set').data;
+  assert.deepStrictEqual(event, { oldUid: 'parent_old', newUid: 'parent_new', at: 'now', method: 'child_confirmation' });
+});
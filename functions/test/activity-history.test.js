@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getLongestGap, getMealTimeMillis } = require('../activity-history');
+
+test('getLongestGap includes the edges of the period', () => {
+  assert.deepStrictEqual(getLongestGap([30, 40], 0, 100), { startMs: 40, endMs: 100, durationMs: 60 });
+  assert.deepStrictEqual(getLongestGap([], 0, 100), { startMs: 0, endMs: 100, durationMs: 100 });
+});
+
+test('getMealTimeMillis prefers the epoch milliseconds in mealId', () => {
+  const millis = Date.parse('2026-03-10T03:00:00Z');
+  assert.strictEqual(getMealTimeMillis({ mealId: `${millis}_2`, timestamp: '2026-03-09T00:00:00Z' }), millis);
+});
+
+test('getMealTimeMillis falls back to the timestamp and rejects garbage', () => {
+  assert.strictEqual(getMealTimeMillis({ timestamp: '2026-03-10T03:00:00Z' }), Date.parse('2026-03-10T03:00:00Z'));
+  assert.strictEqual(getMealTimeMillis({ mealId: 'abc', timestamp: 'not a date' }), null);
+  assert.strictEqual(getMealTimeMillis(null), null);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { decideSurvival, decideFood, applyOverrides } = require('../alert-decisions');
+
+const HOUR_MS = 60 * 60 * 1000;
+// 2026-03-10 14:00 in Asia/Seoul, outside the default sleep window
+const NOW = Date.parse('2026-03-10T05:00:00Z');
+
+const at = (millis) => admin.firestore.Timestamp.fromMillis(millis);
+
+// Parent phone 13 hours quiet while still reporting battery, survival threshold 12 hours
+function survivalFamily(overrides = {}) {
+  return {
+    lastPhoneActivity: at(NOW - 13 * HOUR_MS),
+    batteryTimestamp: at(NOW - 30 * 60 * 1000),
+    batteryLevel: 80,
+    ...overrides,
+    settings: { timeZone: 'Asia/Seoul', survivalSignalEnabled: true, alertHours: 12, ...overrides.settings },
+  };
+}
+
+function family(overrides = {}) {
+  return {
+    settings: { timeZone: 'Asia/Seoul', foodAlertHours: 8, ...overrides.settings },
+    foodAlert: overrides.foodAlert,
+  };
+}
+
+test('decideFood skips families with food alerts disabled', () => {
+  const decision = decideFood(family({ settings: { foodAlertEnabled: false } }), NOW - 20 * HOUR_MS, NOW);
+  assert.strictEqual(decision.action, 'disabled');
+});
+
+test('decideFood skips families without any meal', () => {
+  assert.strictEqual(decideFood(family(), null, NOW).action, 'no_data');
+});
+
+test('decideFood raises once the threshold has passed', () => {
+  const decision = decideFood(family(), NOW - 9 * HOUR_MS, NOW);
+  assert.strictEqual(decision.action, 'raise');
+  assert.strictEqual(decision.facts.thresholdHours, 8);
+});
+
+test('decideFood does not raise an alert that is already active', () => {
+  const decision = decideFood(family({ foodAlert: { isActive: true } }), NOW - 9 * HOUR_MS, NOW);
+  assert.strictEqual(decision.action, 'already_active');
+});
+
+test('decideFood clears an active alert after a meal', () => {
+  const decision = decideFood(family({ foodAlert: { isActive: true } }), NOW - HOUR_MS, NOW);
+  assert.strictEqual(decision.action, 'clear');
+});
+
+test('decideFood waits until the sleep window is over', () => {
+  const decision = decideFood(family({
+    settings: { sleepTimeSettings: { enabled: true, sleepStartHour: 13, sleepEndHour: 16 } },
+  }), NOW - 9 * HOUR_MS, NOW);
+  assert.strictEqual(decision.action, 'skip_sleep');
+});
+
+test('decideSurvival skips families with the survival signal off', () => {
+  const decision = decideSurvival(survivalFamily({ settings: { survivalSignalEnabled: false } }), NOW);
+  assert.strictEqual(decision.action, 'disabled');
+});
+
+test('decideSurvival does nothing below the threshold', () => {
+  const decision = decideSurvival(survivalFamily({ lastPhoneActivity: at(NOW - 2 * HOUR_MS) }), NOW);
+  assert.strictEqual(decision.action, 'none');
+  assert.strictEqual(decision.facts.thresholdHours, 12);
+});
+
+test('decideSurvival asks the parent before raising an alert', () => {
+  assert.strictEqual(decideSurvival(survivalFamily(), NOW).action, 'check_in');
+});
+
+test('decideSurvival raises right away with check-ins turned off', () => {
+  const decision = decideSurvival(survivalFamily({ settings: { checkIn: { enabled: false } } }), NOW);
+  assert.strictEqual(decision.action, 'raise');
+  assert.strictEqual(decision.inactivity.cause, 'user_inactive');
+});
+
+test('decideSurvival holds the alert while a check-in is pending', () => {
+  const decision = decideSurvival(survivalFamily({
+    checkIn: { status: 'pending', sentAt: at(NOW - 5 * 60 * 1000), expiresAt: at(NOW + 10 * 60 * 1000) },
+  }), NOW);
+  assert.strictEqual(decision.action, 'await_check_in');
+});
+
+test('decideSurvival raises once a check-in went unanswered', () => {
+  const decision = decideSurvival(survivalFamily({
+    checkIn: { status: 'expired', sentAt: at(NOW - 20 * 60 * 1000), expiresAt: at(NOW - 5 * 60 * 1000) },
+  }), NOW);
+  assert.strictEqual(decision.action, 'raise');
+});
+
+test('decideSurvival skips the check-in when the phone itself went quiet', () => {
+  const decision = decideSurvival(survivalFamily({ batteryTimestamp: null, batteryLevel: 5 }), NOW);
+  assert.strictEqual(decision.action, 'raise');
+  assert.strictEqual(decision.inactivity.cause, 'battery_dead');
+});
+
+test('decideSurvival escalates an alert that is already active', () => {
+  const decision = decideSurvival(survivalFamily({
+    survivalAlert: { isActive: true, timestamp: at(NOW - HOUR_MS), escalationLevel: 0 },
+  }), NOW);
+  assert.strictEqual(decision.action, 'escalate');
+});
+
+test('decideSurvival clears an active alert once the parent is active again', () => {
+  const decision = decideSurvival(survivalFamily({
+    lastPhoneActivity: at(NOW - HOUR_MS),
+    survivalAlert: { isActive: true },
+  }), NOW);
+  assert.strictEqual(decision.action, 'clear');
+});
+
+test('applyOverrides converts timestamps and merges settings without touching the original', () => {
+  const original = survivalFamily();
+  const simulated = applyOverrides(original, {
+    lastPhoneActivity: '2026-03-10T04:00:00Z',
+    batteryTimestamp: null,
+    survivalAlert: { isActive: true, timestamp: NOW - HOUR_MS },
+    settings: { alertHours: 6 },
+  });
+
+  assert.strictEqual(simulated.lastPhoneActivity.toMillis(), Date.parse('2026-03-10T04:00:00Z'));
+  assert.strictEqual(simulated.batteryTimestamp, null);
+  assert.strictEqual(simulated.survivalAlert.timestamp.toMillis(), NOW - HOUR_MS);
+  assert.strictEqual(simulated.settings.alertHours, 6);
+  assert.strictEqual(simulated.settings.survivalSignalEnabled, true);
+  assert.strictEqual(original.settings.alertHours, 12);
+});
+
+test('applyOverrides rejects unparsable dates', () => {
+  assert.throws(() => applyOverrides(survivalFamily(), { lastPhoneActivity: 'yesterday' }), /lastPhoneActivity must be/);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { decideEscalation, getSecondaryContacts } = require('../alert-escalation');
+
+const MINUTE_MS = 60 * 1000;
+const NOW = Date.parse('2026-03-10T05:00:00Z');
+
+function familyWithAlert(alert, settings = {}) {
+  return {
+    settings: { familyContact: '010-1111-2222', ...settings },
+    survivalAlert: {
+      isActive: true,
+      lastNotifiedAt: admin.firestore.Timestamp.fromMillis(NOW - 31 * MINUTE_MS),
+      escalationLevel: 0,
+      ...alert,
+    },
+  };
+}
+
+test('decideEscalation waits for the reminder interval', () => {
+  const decision = decideEscalation(familyWithAlert({
+    lastNotifiedAt: admin.firestore.Timestamp.fromMillis(NOW - 10 * MINUTE_MS),
+  }), NOW);
+  assert.strictEqual(decision.step, 'wait');
+});
+
+test('decideEscalation reminds children before secondary contacts', () => {
+  assert.strictEqual(decideEscalation(familyWithAlert({ escalationLevel: 0 }), NOW).step, 'child_reminder');
+  assert.strictEqual(decideEscalation(familyWithAlert({ escalationLevel: 1 }), NOW).step, 'child_reminder');
+  assert.strictEqual(decideEscalation(familyWithAlert({ escalationLevel: 2 }), NOW).step, 'secondary_contacts');
+  assert.strictEqual(decideEscalation(familyWithAlert({ escalationLevel: 3 }), NOW).step, 'finished');
+});
+
+test('decideEscalation stops once the alert is acknowledged', () => {
+  const decision = decideEscalation(familyWithAlert({ acknowledged: true, acknowledgedBy: 'child_1' }), NOW);
+  assert.strictEqual(decision.step, 'acknowledged');
+});
+
+test('getSecondaryContacts merges and dedupes contacts', () => {
+  const contacts = getSecondaryContacts({
+    familyContact: '010-1111-2222',
+    additionalContacts: ['010-1111-2222', { name: 'Aunt', phone: ' 010-3333-4444 ' }, { name: 'Empty' }],
+  });
+  assert.deepStrictEqual(contacts, [
+    { to: '010-1111-2222', name: null },
+    { to: '010-3333-4444', name: 'Aunt' },
+  ]);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { ALERT_EVENT_TYPES, createAlertId, summarizeAlert } = require('../alert-events');
+
+const { Timestamp } = admin.firestore;
+const RAISED_AT = Date.parse('2026-03-10T05:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+function event(eventType, minutesAfter, extra = {}) {
+  return {
+    alertId: 'survival_1',
+    alertType: 'survival',
+    eventType,
+    at: Timestamp.fromMillis(RAISED_AT + minutesAfter * MINUTE_MS),
+    actor: 'system',
+    ...extra,
+  };
+}
+
+test('createAlertId combines the alert type and raise time', () => {
+  assert.strictEqual(createAlertId('food', Timestamp.fromMillis(1234)), 'food_1234');
+});
+
+test('summarizeAlert builds a timeline with response and duration', () => {
+  const raised = event(ALERT_EVENT_TYPES.RAISED, 0, { details: { hoursInactive: 13 } });
+  const summary = summarizeAlert({ data: () => raised }, [
+    event(ALERT_EVENT_TYPES.CLEARED, 90, { actor: 'parent' }),
+    raised,
+    event(ALERT_EVENT_TYPES.NOTIFICATION_SENT, 0),
+    event(ALERT_EVENT_TYPES.ESCALATED, 30),
+    event(ALERT_EVENT_TYPES.ACKNOWLEDGED, 45, { actor: 'child_1' }),
+  ]);
+
+  assert.strictEqual(summary.isOpen, false);
+  assert.strictEqual(summary.durationMinutes, 90);
+  assert.strictEqual(summary.clearedBy, 'parent');
+  assert.strictEqual(summary.responseMinutes, 45);
+  assert.strictEqual(summary.acknowledgedBy, 'child_1');
+  assert.strictEqual(summary.notificationsSent, 1);
+  assert.strictEqual(summary.escalations, 1);
+  assert.deepStrictEqual(summary.events.map(e => e.eventType), [
+    'raised', 'notification_sent', 'escalated', 'acknowledged', 'cleared',
+  ]);
+});
+
+test('summarizeAlert keeps uncleared alerts open', () => {
+  const raised = event(ALERT_EVENT_TYPES.RAISED, 0);
+  const summary = summarizeAlert({ data: () => raised }, [raised]);
+  assert.strictEqual(summary.isOpen, true);
+  assert.strictEqual(summary.durationMinutes, null);
+  assert.strictEqual(summary.responseMinutes, null);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getRetentionPolicy } = require('../data-retention');
+
+test('getRetentionPolicy defaults to 30 days of locations and a year of meals', () => {
+  assert.deepStrictEqual(getRetentionPolicy(undefined), { locationDays: 30, mealDays: 365 });
+});
+
+test('getRetentionPolicy keeps values inside the limits', () => {
+  assert.deepStrictEqual(getRetentionPolicy({ retention: { locationDays: 7, mealDays: 30 } }), {
+    locationDays: 7,
+    mealDays: 30,
+  });
+});
+
+test('getRetentionPolicy falls back to defaults for out-of-range or non-integer values', () => {
+  assert.deepStrictEqual(getRetentionPolicy({ retention: { locationDays: 0, mealDays: 10 } }), {
+    locationDays: 30,
+    mealDays: 365,
+  });
+  assert.deepStrictEqual(getRetentionPolicy({ retention: { locationDays: 7.5, mealDays: '90' } }), {
+    locationDays: 30,
+    mealDays: 365,
+  });
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const functions = require('firebase-functions');
+const { parseTimestampMillis, summarizeMealDay, normalizeAlertSettings, computeFamilyUpdates } = require('../derived-fields');
+
+const HOUR_MS = 60 * 60 * 1000;
+// 2026-03-10 14:00 in Asia/Seoul
+const NOW = Date.parse('2026-03-10T05:00:00Z');
+const TODAY = '2026-03-10';
+
+const at = (millis) => admin.firestore.Timestamp.fromMillis(millis);
+
+function family(overrides = {}) {
+  return {
+    todayMealCount: 0,
+    todayMealDate: TODAY,
+    ...overrides,
+    settings: { timeZone: 'Asia/Seoul', alertHours: 12, alertMinutes: 720, ...overrides.settings },
+  };
+}
+
+test('parseTimestampMillis reads Timestamps, epoch milliseconds and ISO strings', () => {
+  assert.strictEqual(parseTimestampMillis(at(NOW), 'Asia/Seoul'), NOW);
+  assert.strictEqual(parseTimestampMillis(NOW, 'Asia/Seoul'), NOW);
+  assert.strictEqual(parseTimestampMillis('2026-03-10T05:00:00Z', 'Asia/Seoul'), NOW);
+  assert.strictEqual(parseTimestampMillis('2026-03-10T14:00:00+09:00', 'Asia/Seoul'), NOW);
+});
+
+test('parseTimestampMillis reads ISO strings without an offset in the family timezone', () => {
+  assert.strictEqual(parseTimestampMillis('2026-03-10T14:00:00.000', 'Asia/Seoul'), NOW);
+  assert.strictEqual(parseTimestampMillis('2026-03-10T14:00:30.250', 'Asia/Seoul'), NOW + 30250);
+  assert.strictEqual(parseTimestampMillis('2026-03-10T14:00', 'America/New_York'), Date.parse('2026-03-10T18:00:00Z'));
+});
+
+test('parseTimestampMillis returns null for values it cannot read', () => {
+  assert.strictEqual(parseTimestampMillis(null, 'Asia/Seoul'), null);
+  assert.strictEqual(parseTimestampMillis('yesterday', 'Asia/Seoul'), null);
+  assert.strictEqual(parseTimestampMillis(-5, 'Asia/Seoul'), null);
+  assert.strictEqual(parseTimestampMillis(NaN, 'Asia/Seoul'), null);
+  assert.strictEqual(parseTimestampMillis({ seconds: 1 }, 'Asia/Seoul'), null);
+});
+
+test('summarizeMealDay counts distinct meals and finds the latest one', () => {
+  const summary = summarizeMealDay({
+    meals: [
+      { mealId: `${NOW - 6 * HOUR_MS}_1`, mealNumber: 1 },
+      { mealId: `${NOW - HOUR_MS}_2`, mealNumber: 2 },
+      // Retried write of the first meal
+      { mealId: `${NOW - 6 * HOUR_MS}_1`, mealNumber: 1 },
+    ],
+  });
+  assert.deepStrictEqual(summary, { count: 2, lastMealMillis: NOW - HOUR_MS, lastMealNumber: 2 });
+});
+
+test('summarizeMealDay handles a missing document', () => {
+  assert.deepStrictEqual(summarizeMealDay(null), { count: 0, lastMealMillis: null, lastMealNumber: null });
+});
+
+test('computeFamilyUpdates converts string and number timestamps to Timestamps', () => {
+  const updates = computeFamilyUpdates('family_1', family({
+    lastPhoneActivity: '2026-03-10T13:00:00',
+    batteryTimestamp: NOW - 2 * HOUR_MS,
+  }), null, NOW);
+  assert.strictEqual(updates.lastPhoneActivity.toMillis(), NOW - HOUR_MS);
+  assert.strictEqual(updates.batteryTimestamp.toMillis(), NOW - 2 * HOUR_MS);
+  assert.strictEqual(updates.lastActive.toMillis(), NOW - HOUR_MS);
+});
+
+test('computeFamilyUpdates leaves unparsable timestamps alone and logs them', (t) => {
+  const entries = [];
+  t.mock.method(functions.logger, 'write', entry => entries.push(entry));
+
+  const updates = computeFamilyUpdates('family_1', family({ batteryTimestamp: 'not a date' }), null, NOW);
+
+  assert.ok(!('batteryTimestamp' in updates));
+  assert.strictEqual(entries.length, 1);
+  assert.strictEqual(entries[0].event, 'derived_timestamp_unparsable');
+  assert.strictEqual(entries[0].field, 'batteryTimestamp');
+  assert.strictEqual(entries[0].familyId, 'family_1');
+});
+
+test('computeFamilyUpdates rolls the meal counter over after local midnight', () => {
+  const updates = computeFamilyUpdates('family_1', family({
+    todayMealCount: 3,
+    todayMealDate: '2026-03-09',
+    lastMeal: { timestamp: at(NOW - 20 * HOUR_MS), count: 3, number: 3 },
+  }), null, NOW);
+  assert.strictEqual(updates.todayMealCount, 0);
+  assert.strictEqual(updates.todayMealDate, TODAY);
+  assert.strictEqual(updates.lastMeal.count, 0);
+  assert.strictEqual(updates.lastMeal.timestamp.toMillis(), NOW - 20 * HOUR_MS);
+});
+
+test('computeFamilyUpdates takes today\'s count and latest meal from the meals document', () => {
+  const updates = computeFamilyUpdates('family_1', family({
+    lastMeal: { timestamp: at(NOW - 5 * HOUR_MS), count: 1, number: 1 },
+  }), { count: 2, lastMealMillis: NOW - HOUR_MS, lastMealNumber: 2 }, NOW);
+  assert.strictEqual(updates.todayMealCount, 2);
+  assert.strictEqual(updates.lastMeal.timestamp.toMillis(), NOW - HOUR_MS);
+  assert.strictEqual(updates.lastMeal.count, 2);
+  assert.strictEqual(updates.lastMeal.number, 2);
+  assert.strictEqual(updates.lastActive.toMillis(), NOW - HOUR_MS);
+});
+
+test('normalizeAlertSettings keeps alertHours and alertMinutes consistent', () => {
+  assert.deepStrictEqual(normalizeAlertSettings(
+    { alertHours: 12, alertMinutes: 720 },
+    { alertHours: 12, alertMinutes: 90 }
+  ), { alertHours: 1.5 });
+  assert.deepStrictEqual(normalizeAlertSettings(
+    { alertHours: 12, alertMinutes: 720 },
+    { alertHours: 6, alertMinutes: 720 }
+  ), { alertMinutes: 360 });
+  assert.deepStrictEqual(normalizeAlertSettings(undefined, { alertHours: 12 }), { alertMinutes: 720 });
+});
+
+test('normalizeAlertSettings returns nothing for consistent settings', () => {
+  assert.deepStrictEqual(normalizeAlertSettings({}, { alertHours: 12, alertMinutes: 720 }), {});
+  assert.deepStrictEqual(normalizeAlertSettings({}, {}), {});
+});
+
+test('computeFamilyUpdates leaves the settings to writeSettings', () => {
+  const updates = computeFamilyUpdates('family_1', family({ settings: { alertHours: 6, alertMinutes: 720 } }), null, NOW);
+  assert.ok(Object.keys(updates).every(field => !field.startsWith('settings')));
+});
+
+test('computeFamilyUpdates returns nothing for a family that is already consistent', () => {
+  assert.deepStrictEqual(computeFamilyUpdates('family_1', family({
+    lastPhoneActivity: at(NOW - HOUR_MS),
+    lastActive: at(NOW - HOUR_MS),
+  }), null, NOW), {});
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { classifyInactivity, getDeviceHealthSettings, getLastLocationMillis } = require('../device-health');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T05:00:00Z');
+
+const at = (millis) => admin.firestore.Timestamp.fromMillis(millis);
+
+test('classifyInactivity reports an inactive user while the phone still reports in', () => {
+  const inactivity = classifyInactivity({
+    lastPhoneActivity: at(NOW - 14 * HOUR_MS),
+    batteryTimestamp: at(NOW - HOUR_MS),
+    batteryLevel: 5,
+  }, NOW);
+  assert.strictEqual(inactivity.cause, 'user_inactive');
+  assert.strictEqual(inactivity.notificationType, 'survival_alert');
+  assert.strictEqual(inactivity.hoursSinceLastSignal, 1);
+});
+
+test('classifyInactivity blames a dead battery when a silent phone was low and not charging', () => {
+  const inactivity = classifyInactivity({
+    lastPhoneActivity: at(NOW - 14 * HOUR_MS),
+    batteryLevel: 8,
+    isCharging: false,
+  }, NOW);
+  assert.strictEqual(inactivity.cause, 'battery_dead');
+  assert.strictEqual(inactivity.notificationType, 'device_battery_dead');
+});
+
+test('classifyInactivity reports a silent charging phone as offline', () => {
+  const inactivity = classifyInactivity({
+    lastPhoneActivity: at(NOW - 14 * HOUR_MS),
+    batteryLevel: 8,
+    isCharging: true,
+  }, NOW);
+  assert.strictEqual(inactivity.cause, 'device_offline');
+});
+
+test('classifyInactivity treats a family without signals as offline', () => {
+  const inactivity = classifyInactivity({}, NOW);
+  assert.strictEqual(inactivity.cause, 'device_offline');
+  assert.strictEqual(inactivity.lastSignalMillis, null);
+  assert.strictEqual(inactivity.hoursSinceLastSignal, null);
+});
+
+test('getLastLocationMillis takes the newer of both location fields', () => {
+  assert.strictEqual(getLastLocationMillis({
+    location: { timestamp: at(NOW - 2 * HOUR_MS) },
+    lastLocation: { updatedAt: at(NOW - HOUR_MS) },
+  }), NOW - HOUR_MS);
+  assert.strictEqual(getLastLocationMillis({}), null);
+});
+
+test('getDeviceHealthSettings keeps device alerts opt-in', () => {
+  assert.deepStrictEqual(getDeviceHealthSettings({}), {
+    lowBatteryAlerts: false,
+    lowBatteryLevel: 15,
+    locationStaleAlerts: false,
+    locationStaleHours: 24,
+  });
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenKey, isInvalidTokenError, getParentUid } = require('../device-registry');
+
+test('tokenKey is a stable 32 character hash', () => {
+  const key = tokenKey('fcm-token-1');
+  assert.match(key, /^[0-9a-f]{32}$/);
+  assert.strictEqual(tokenKey('fcm-token-1'), key);
+  assert.notStrictEqual(tokenKey('fcm-token-2'), key);
+});
+
+test('only permanent FCM errors mark a token invalid', () => {
+  assert.strictEqual(isInvalidTokenError({ code: 'messaging/registration-token-not-registered' }), true);
+  assert.strictEqual(isInvalidTokenError({ code: 'messaging/invalid-registration-token' }), true);
+  assert.strictEqual(isInvalidTokenError({ code: 'messaging/internal-error' }), false);
+  assert.strictEqual(isInvalidTokenError(null), false);
+});
+
+test('getParentUid prefers parentUid over the family owner', () => {
+  assert.strictEqual(getParentUid({ parentUid: 'parent_1', createdBy: 'child_1' }), 'parent_1');
+  assert.strictEqual(getParentUid({ createdBy: 'parent_1' }), 'parent_1');
+  assert.strictEqual(getParentUid(undefined), null);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { redactAlertDetails } = require('../family-export');
+
+test('redactAlertDetails keeps only the last digits of contacted numbers', () => {
+  const details = {
+    step: 'secondary_contacts',
+    contacts: [
+      { to: '+82 10-1234-5678', channel: 'sms', success: true, error: null },
+      { to: '119', channel: 'sms', success: false, error: 'not_configured' },
+    ],
+  };
+  assert.deepStrictEqual(redactAlertDetails(details), {
+    step: 'secondary_contacts',
+    contacts: [
+      { to: '***5678', channel: 'sms', success: true, error: null },
+      { to: '***', channel: 'sms', success: false, error: 'not_configured' },
+    ],
+  });
+  assert.strictEqual(details.contacts[0].to, '+82 10-1234-5678');
+});
+
+test('redactAlertDetails leaves details without contacts alone', () => {
+  const details = { hoursInactive: 13, contacts: 2 };
+  assert.strictEqual(redactAlertDetails(details), details);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const functions = require('firebase-functions');
+const {
+  CURRENT_SETTINGS_VERSION,
+  SETTINGS_SCHEMA,
+  migrateSettings,
+  applySettingsPatch,
+} = require('../family-settings');
+
+// Helper function to assert an invalid-argument error naming the field (if given)
+function assertInvalid(fn, field) {
+  assert.throws(fn, error => {
+    assert.ok(error instanceof functions.https.HttpsError);
+    assert.strictEqual(error.code, 'invalid-argument');
+    if (field) {
+      assert.strictEqual(error.details.field, field);
+    }
+    return true;
+  });
+}
+
+test('migrateSettings brings unversioned settings to the current shape', () => {
+  const migrated = migrateSettings({
+    alertMinutes: 720,
+    foodAlertHours: '8',
+    familyContact: null,
+    survivalSignalEnabled: true,
+  }, 0);
+  assert.deepStrictEqual(migrated, {
+    alertHours: 12,
+    alertMinutes: 720,
+    foodAlertHours: 8,
+    familyContact: '',
+    survivalSignalEnabled: true,
+  });
+});
+
+test('migrateSettings reads string alertHours and drops values it cannot use', () => {
+  assert.strictEqual(migrateSettings({ alertHours: '6' }).alertHours, 6);
+  const migrated = migrateSettings({ alertHours: 'soon', foodAlertHours: -1 }, undefined);
+  assert.ok(!('alertHours' in migrated));
+  assert.ok(!('foodAlertHours' in migrated));
+});
+
+test('migrateSettings leaves current settings alone and does not modify its input', () => {
+  const settings = { alertHours: '6', familyContact: null };
+  assert.deepStrictEqual(migrateSettings(settings, CURRENT_SETTINGS_VERSION), settings);
+  migrateSettings(settings, 0);
+  assert.deepStrictEqual(settings, { alertHours: '6', familyContact: null });
+  assert.deepStrictEqual(migrateSettings(null, 0), {});
+});
+
+test('applySettingsPatch replaces top-level fields and keeps alertMinutes consistent', () => {
+  const next = applySettingsPatch({ alertHours: 12, alertMinutes: 720, foodAlertEnabled: true }, { alertHours: 1.5 });
+  assert.deepStrictEqual(next, { alertHours: 1.5, alertMinutes: 90, foodAlertEnabled: true });
+});
+
+test('applySettingsPatch merges object settings one level deep', () => {
+  const current = { sleepTimeSettings: { enabled: true, sleepStartHour: 22, sleepEndHour: 6 } };
+  const next = applySettingsPatch(current, { sleepTimeSettings: { sleepEndHour: 7 } });
+  assert.deepStrictEqual(next.sleepTimeSettings, { enabled: true, sleepStartHour: 22, sleepEndHour: 7 });
+  assert.strictEqual(current.sleepTimeSettings.sleepEndHour, 6);
+});
+
+test('applySettingsPatch removes fields set to null', () => {
+  const next = applySettingsPatch({ alertHours: 12, alertMinutes: 720, checkIn: { enabled: true } }, { checkIn: null, alertHours: null });
+  assert.deepStrictEqual(next, {});
+});
+
+test('applySettingsPatch keeps stored fields nobody touched', () => {
+  const next = applySettingsPatch({ legacyField: 'x', alertHours: 12 }, { foodAlertEnabled: false });
+  assert.strictEqual(next.legacyField, 'x');
+  assert.strictEqual(next.foodAlertEnabled, false);
+});
+
+test('applySettingsPatch rejects unknown, server-managed and out-of-range fields', () => {
+  assertInvalid(() => applySettingsPatch({}, { nope: true }), 'nope');
+  assertInvalid(() => applySettingsPatch({}, { alertMinutes: 30 }), 'alertMinutes');
+  assertInvalid(() => applySettingsPatch({}, { alertHours: 100 }), 'alertHours');
+  assertInvalid(() => applySettingsPatch({}, { timeZone: 'Mars/Olympus' }), 'timeZone');
+  assertInvalid(() => applySettingsPatch({}, { checkIn: { responseMinutes: 7.5 } }), 'checkIn.responseMinutes');
+  assertInvalid(() => applySettingsPatch({}, { deviceHealth: { unknown: 1 } }), 'deviceHealth.unknown');
+  assertInvalid(() => applySettingsPatch({}, []), undefined);
+});
+
+test('applySettingsPatch validates list items and window checks', () => {
+  assertInvalid(() => applySettingsPatch({}, { additionalContacts: [{ name: 'Aunt' }] }), 'additionalContacts[0].phone');
+  assertInvalid(() => applySettingsPatch({}, {
+    sleepTimeSettings: { sleepStartHour: 22, sleepEndHour: 22 },
+  }), 'sleepTimeSettings');
+  assertInvalid(() => applySettingsPatch({}, {
+    sleepTimeSettings: { activeDays: [1, 1] },
+  }), 'sleepTimeSettings.activeDays');
+});
+
+test('applySettingsPatch keeps server-managed retention bookkeeping', () => {
+  const current = { retention: { locationDays: 30, updatedBy: 'uid_1', updatedAt: 'then' } };
+  const next = applySettingsPatch(current, { retention: { mealDays: 90 } });
+  assert.deepStrictEqual(next.retention, { locationDays: 30, mealDays: 90, updatedBy: 'uid_1', updatedAt: 'then' });
+});
+
+test('SETTINGS_SCHEMA covers the fields the backend reads', () => {
+  ['survivalSignalEnabled', 'foodAlertEnabled', 'alertHours', 'foodAlertHours', 'timeZone', 'sleepTimeSettings',
+    'checkIn', 'deviceHealth', 'escalation', 'digest', 'retention', 'safeZones']
+    .forEach(field => assert.ok(SETTINGS_SCHEMA[field], field));
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getDistanceMeters,
+  getSafeZones,
+  isZoneActive,
+  getReadingStatus,
+  advanceZoneState,
+} = require('../geofence');
+
+const MINUTE_MS = 60 * 1000;
+// 2026-03-10 (Tuesday) 14:00 in Asia/Seoul
+const NOW = Date.parse('2026-03-10T05:00:00Z');
+const SETTINGS = { timeZone: 'Asia/Seoul' };
+
+test('getDistanceMeters measures short distances', () => {
+  // 0.001 degrees of latitude is about 111 m
+  const distance = getDistanceMeters(37.5, 127, 37.501, 127);
+  assert.ok(Math.abs(distance - 111.2) < 1);
+  assert.strictEqual(getDistanceMeters(37.5, 127, 37.5, 127), 0);
+});
+
+test('getSafeZones drops malformed and disabled zones and clamps the radius', () => {
+  const zones = getSafeZones({
+    safeZones: [
+      { id: 'home', latitude: 37.5, longitude: 127, radiusMeters: 10 },
+      { id: 'park', latitude: 37.6, longitude: 127.1, radiusMeters: 99999, enabled: false },
+      { id: 'bad', latitude: '37.5', longitude: 127 },
+      { latitude: 37.5, longitude: 127 },
+      { id: 'clinic', latitude: 37.7, longitude: 127.2, radiusMeters: 99999 },
+    ],
+  });
+  assert.deepStrictEqual(zones.map(z => [z.id, z.radiusMeters]), [['home', 50], ['clinic', 5000]]);
+  assert.strictEqual(zones[0].notifyOnExit, true);
+  assert.deepStrictEqual(getSafeZones({ safeZones: 'nope' }), []);
+});
+
+test('isZoneActive respects daytime windows and active days', () => {
+  const zone = { activeHours: { startHour: 9, endHour: 18, activeDays: [2] } };
+  assert.strictEqual(isZoneActive(zone, SETTINGS, NOW), true);
+  assert.strictEqual(isZoneActive({ activeHours: { ...zone.activeHours, activeDays: [3] } }, SETTINGS, NOW), false);
+  assert.strictEqual(isZoneActive({}, SETTINGS, NOW), true);
+});
+
+test('isZoneActive gives the early part of an overnight window to the previous day', () => {
+  const zone = { activeHours: { startHour: 22, endHour: 6, activeDays: [1] } };
+  // Tuesday 03:00 Seoul belongs to Monday's window
+  assert.strictEqual(isZoneActive(zone, SETTINGS, Date.parse('2026-03-09T18:00:00Z')), true);
+  // Tuesday 23:00 Seoul starts Tuesday's window, which is not active
+  assert.strictEqual(isZoneActive(zone, SETTINGS, Date.parse('2026-03-10T14:00:00Z')), false);
+});
+
+test('getReadingStatus keeps the previous status inside the hysteresis band', () => {
+  const zone = { radiusMeters: 200 };
+  assert.strictEqual(getReadingStatus(zone, 150, 10, 'outside'), 'inside');
+  assert.strictEqual(getReadingStatus(zone, 400, 10, 'inside'), 'outside');
+  assert.strictEqual(getReadingStatus(zone, 230, 10, 'inside'), 'inside');
+  assert.strictEqual(getReadingStatus(zone, 230, 10, undefined), null);
+  // Poor accuracy widens the band
+  assert.strictEqual(getReadingStatus(zone, 280, 100, 'inside'), 'inside');
+});
+
+test('advanceZoneState adopts the first reading without a transition', () => {
+  const { state, transition } = advanceZoneState(null, 'inside', NOW);
+  assert.strictEqual(transition, null);
+  assert.strictEqual(state.status, 'inside');
+  assert.strictEqual(state.since, NOW);
+});
+
+test('advanceZoneState needs two readings five minutes apart to confirm an exit', () => {
+  let result = advanceZoneState({ status: 'inside', since: NOW - 60 * MINUTE_MS }, 'outside', NOW);
+  assert.strictEqual(result.transition, null);
+  assert.strictEqual(result.state.pendingCount, 1);
+
+  result = advanceZoneState(result.state, 'outside', NOW + 2 * MINUTE_MS);
+  assert.strictEqual(result.transition, null);
+  assert.strictEqual(result.state.pendingCount, 2);
+
+  result = advanceZoneState(result.state, 'outside', NOW + 5 * MINUTE_MS);
+  assert.strictEqual(result.transition, 'exit');
+  assert.strictEqual(result.state.status, 'outside');
+  assert.strictEqual(result.state.since, NOW);
+});
+
+test('advanceZoneState drops a pending change when the old status is read again', () => {
+  const pending = advanceZoneState({ status: 'inside', since: NOW }, 'outside', NOW).state;
+  const { state, transition } = advanceZoneState(pending, 'inside', NOW + MINUTE_MS);
+  assert.strictEqual(transition, null);
+  assert.strictEqual(state.pendingStatus, null);
+  assert.strictEqual(state.pendingCount, 0);
+});
+
+test('advanceZoneState ignores ambiguous readings', () => {
+  const previous = { status: 'inside', since: NOW };
+  assert.deepStrictEqual(advanceZoneState(previous, null, NOW), { state: previous, transition: null });
+});
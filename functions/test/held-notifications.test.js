@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getNextReleaseMillis, planRelease } = require('../held-notifications');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// 2026-03-10 14:00 in Asia/Seoul
+const NOW = Date.parse('2026-03-10T05:00:00Z');
+const TODAY = '2026-03-10';
+
+function recipient(preferences, extra = {}) {
+  return { token: 'token_a', uid: 'a', locale: 'ko', preferences, ...extra };
+}
+
+const held = (type) => ({ familyId: 'family_1', uid: 'a', type, params: {}, data: { type } });
+
+test('getNextReleaseMillis backs off after each failed release', () => {
+  assert.strictEqual(getNextReleaseMillis(1, NOW), NOW + 15 * MINUTE_MS);
+  assert.strictEqual(getNextReleaseMillis(2, NOW), NOW + 30 * MINUTE_MS);
+});
+
+test('getNextReleaseMillis gives up after the last attempt', () => {
+  assert.strictEqual(getNextReleaseMillis(3, NOW), null);
+  assert.strictEqual(getNextReleaseMillis(4, NOW), null);
+});
+
+test('planRelease sends what the member still wants', () => {
+  const items = [held('meal_recorded'), held('food_alert')];
+  const plan = planRelease(items, [recipient({})], NOW);
+  assert.deepStrictEqual(plan, { send: items, skipped: [], releaseAt: null });
+});
+
+test('planRelease skips types the member turned off since they were held', () => {
+  const meal = held('meal_recorded');
+  const food = held('food_alert');
+  const plan = planRelease([meal, food], [recipient({ types: { meal_recorded: false } })], NOW);
+  assert.deepStrictEqual(plan.send, [food]);
+  assert.deepStrictEqual(plan.skipped, [meal]);
+});
+
+test('planRelease skips everything once the member is over the daily cap', () => {
+  const items = [held('meal_recorded'), held('food_alert')];
+  const plan = planRelease(items, [recipient({ dailyCap: 2 }, { notificationCount: { date: TODAY, count: 2 } })], NOW);
+  assert.deepStrictEqual(plan.send, []);
+  assert.deepStrictEqual(plan.skipped, items);
+});
+
+test('planRelease waits for the end of quiet hours the member is back in', () => {
+  const items = [held('meal_recorded')];
+  const plan = planRelease(items, [recipient({ quietHours: { enabled: true, startHour: 13, endHour: 15 } })], NOW);
+  assert.deepStrictEqual(plan, { send: items, skipped: [], releaseAt: NOW + HOUR_MS });
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildInactivityBaseline } = require('../inactivity-baseline');
+
+const HOUR_MS = 60 * 60 * 1000;
+// 2026-03-01 00:00 in Asia/Seoul
+const START = Date.parse('2026-02-28T15:00:00Z');
+const TIME_ZONE = 'Asia/Seoul';
+
+// Activity every `everyHours` hours for `days` days
+function activity(days, everyHours) {
+  const timestamps = [];
+  for (let t = START; t < START + days * 24 * HOUR_MS; t += everyHours * HOUR_MS) {
+    timestamps.push(t);
+  }
+  return timestamps;
+}
+
+test('buildInactivityBaseline is ready after two weeks of regular activity', () => {
+  const baseline = buildInactivityBaseline({}, activity(15, 2), TIME_ZONE);
+
+  assert.strictEqual(baseline.ready, true);
+  assert.strictEqual(baseline.days, 15);
+  assert.strictEqual(baseline.gapCount, 15 * 12 - 1);
+  assert.deepStrictEqual(baseline.overall, { p50: 2, p90: 2, p99: 2, count: 179 });
+  assert.strictEqual(baseline.suggestedAlertHours, 2);
+  // Gaps are bucketed by the local hour they started in
+  assert.strictEqual(baseline.byHour[2].count, 15);
+  assert.strictEqual(baseline.byHour[3].count, 0);
+});
+
+test('buildInactivityBaseline is not ready with too few days', () => {
+  const baseline = buildInactivityBaseline({}, activity(7, 1), TIME_ZONE);
+  assert.strictEqual(baseline.ready, false);
+  assert.strictEqual(baseline.days, 7);
+});
+
+test('buildInactivityBaseline leaves out time asleep', () => {
+  const settings = { sleepTimeSettings: { enabled: true, sleepStartHour: 0, sleepEndHour: 6 }, timeZone: TIME_ZONE };
+  // 23:00 to 07:00 Seoul: 8 hours, of which 7 awake outside the 00:00-06:00 window
+  const baseline = buildInactivityBaseline(settings, [
+    Date.parse('2026-03-01T14:00:00Z'),
+    Date.parse('2026-03-01T22:00:00Z'),
+  ], TIME_ZONE);
+  assert.strictEqual(baseline.overall.count, 1);
+  assert.ok(baseline.overall.p50 < 8);
+});
+
+test('buildInactivityBaseline without activity has no suggestion', () => {
+  const baseline = buildInactivityBaseline({}, [], TIME_ZONE);
+  assert.strictEqual(baseline.ready, false);
+  assert.strictEqual(baseline.suggestedAlertHours, null);
+});
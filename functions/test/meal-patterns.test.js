@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { learnMealPattern } = require('../meal-patterns');
+
+// n days, each with meals at the given local times (minutes), nudged a little per day
+function history(n, times) {
+  return Array.from({ length: n }, (_, i) => ({
+    date: `2026-02-${String(i + 1).padStart(2, '0')}`,
+    minutes: times.map(minutes => minutes + (i % 3) * 10),
+  }));
+}
+
+test('learnMealPattern finds breakfast, lunch and dinner windows', () => {
+  const pattern = learnMealPattern(history(14, [8 * 60, 12 * 60 + 30, 18 * 60 + 30]));
+
+  assert.strictEqual(pattern.ready, true);
+  assert.deepStrictEqual(pattern.windows.map(w => w.label), ['breakfast', 'lunch', 'dinner']);
+  const breakfast = pattern.windows[0];
+  assert.strictEqual(breakfast.frequency, 1);
+  assert.strictEqual(breakfast.startMinutes, 8 * 60 - 20);
+  assert.strictEqual(breakfast.endMinutes, 8 * 60 + 20 + 20);
+  assert.deepStrictEqual(pattern.dailyBaseline, { average: 3, stdDev: 0, days: 14 });
+});
+
+test('learnMealPattern is not ready with under two weeks of history', () => {
+  const pattern = learnMealPattern(history(10, [8 * 60]));
+  assert.strictEqual(pattern.ready, false);
+  assert.strictEqual(pattern.daysOfHistory, 10);
+});
+
+test('learnMealPattern drops irregular windows', () => {
+  const days = history(14, [8 * 60, 18 * 60]);
+  // A late-night snack on 3 of 14 days is not a usual meal
+  days.slice(0, 3).forEach(day => day.minutes.push(22 * 60));
+  const pattern = learnMealPattern(days);
+
+  assert.deepStrictEqual(pattern.windows.map(w => w.label), ['breakfast', 'dinner']);
+  assert.strictEqual(pattern.windows[1].medianMinutes, 18 * 60 + 10);
+});
+
+test('learnMealPattern without history has no windows', () => {
+  const pattern = learnMealPattern([]);
+  assert.deepStrictEqual(pattern.windows, []);
+  assert.deepStrictEqual(pattern.dailyBaseline, { average: 0, stdDev: 0, days: 0 });
+});
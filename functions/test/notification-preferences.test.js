@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getQuietHoursEnd, planDelivery, stripUndefined } = require('../notification-preferences');
+
+const HOUR_MS = 60 * 60 * 1000;
+// 2026-03-10 14:00 in Asia/Seoul
+const NOW = Date.parse('2026-03-10T05:00:00Z');
+const TODAY = '2026-03-10';
+
+const quietHours = (startHour, endHour) => ({ quietHours: { enabled: true, startHour, endHour } });
+
+function recipient(uid, preferences, extra = {}) {
+  return { token: `token_${uid}`, uid, locale: 'ko', preferences, ...extra };
+}
+
+test('getQuietHoursEnd is null without quiet hours or outside them', () => {
+  assert.strictEqual(getQuietHoursEnd(undefined, NOW), null);
+  assert.strictEqual(getQuietHoursEnd({ quietHours: { enabled: false, startHour: 13, endHour: 15 } }, NOW), null);
+  assert.strictEqual(getQuietHoursEnd(quietHours(23, 7), NOW), null);
+  assert.strictEqual(getQuietHoursEnd(quietHours(10, 10), NOW), null);
+});
+
+test('getQuietHoursEnd returns the end of quiet hours later the same day', () => {
+  assert.strictEqual(getQuietHoursEnd(quietHours(13, 15), NOW), NOW + HOUR_MS);
+});
+
+test('getQuietHoursEnd handles quiet hours that run past midnight', () => {
+  // 23:30 Seoul, quiet 23:00-07:00 ends at 07:00 the next morning
+  const lateEvening = NOW + 9.5 * HOUR_MS;
+  assert.strictEqual(getQuietHoursEnd(quietHours(23, 7), lateEvening), Date.parse('2026-03-10T22:00:00Z'));
+  // 02:00 Seoul, ends at 07:00 the same morning
+  const night = NOW + 12 * HOUR_MS;
+  assert.strictEqual(getQuietHoursEnd(quietHours(23, 7), night), Date.parse('2026-03-10T22:00:00Z'));
+});
+
+test('getQuietHoursEnd uses the member\'s timezone', () => {
+  // 00:00 in New York, quiet 22:00-06:00 ends at 06:00 New York time (10:00Z)
+  const preferences = { ...quietHours(22, 6), timeZone: 'America/New_York' };
+  assert.strictEqual(getQuietHoursEnd(preferences, NOW), Date.parse('2026-03-10T10:00:00Z'));
+});
+
+test('planDelivery always sends survival alerts', () => {
+  const recipients = [recipient('a', { ...quietHours(13, 15), types: { survival_alert: false } })];
+  const plan = planDelivery('survival_alert', recipients, NOW);
+  assert.deepStrictEqual(plan, { send: recipients, hold: [], skipped: [] });
+});
+
+test('planDelivery sends to recipients without preferences', () => {
+  const legacy = { token: 'legacy', uid: null, locale: null };
+  const plan = planDelivery('meal_recorded', [legacy, recipient('a', undefined)], NOW);
+  assert.strictEqual(plan.send.length, 2);
+});
+
+test('planDelivery skips disabled types and members over their daily cap', () => {
+  const plan = planDelivery('meal_recorded', [
+    recipient('a', { types: { meal_recorded: false } }),
+    recipient('b', { dailyCap: 3 }, { notificationCount: { date: TODAY, count: 3 } }),
+    recipient('c', { dailyCap: 3 }, { notificationCount: { date: '2026-03-09', count: 3 } }),
+  ], NOW);
+  assert.deepStrictEqual(plan.skipped, [
+    { uid: 'a', reason: 'type_disabled' },
+    { uid: 'b', reason: 'daily_cap' },
+  ]);
+  assert.deepStrictEqual(plan.send.map(r => r.uid), ['c']);
+});
+
+test('planDelivery holds once per member in quiet hours', () => {
+  const preferences = quietHours(13, 15);
+  const plan = planDelivery('meal_recorded', [
+    recipient('a', preferences),
+    recipient('a', preferences, { token: 'token_a_tablet' }),
+    recipient('b', {}),
+  ], NOW);
+  assert.deepStrictEqual(plan.hold, [{ uid: 'a', releaseAt: NOW + HOUR_MS }]);
+  assert.deepStrictEqual(plan.send.map(r => r.uid), ['b']);
+});
+
+test('stripUndefined drops undefined values Firestore would reject', () => {
+  assert.deepStrictEqual(stripUndefined({
+    type: 'meal_recorded',
+    timestamp: undefined,
+    nested: { a: 1, b: undefined },
+    titles: ['x', undefined, 'y'],
+    count: 0,
+    note: null,
+  }), {
+    type: 'meal_recorded',
+    nested: { a: 1 },
+    titles: ['x', 'y'],
+    count: 0,
+    note: null,
+  });
+});
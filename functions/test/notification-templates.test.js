@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  renderNotification,
+  hasTemplate,
+} = require('../notification-templates');
+
+test('normalizeLocale maps regional locales and falls back to Korean', () => {
+  assert.strictEqual(normalizeLocale('en-US'), 'en');
+  assert.strictEqual(normalizeLocale('en_GB'), 'en');
+  assert.strictEqual(normalizeLocale('fr'), DEFAULT_LOCALE);
+  assert.strictEqual(normalizeLocale(null), DEFAULT_LOCALE);
+});
+
+test('templates render in the recipient locale', () => {
+  const params = { elderlyName: 'Mom', hoursInactive: 13 };
+  assert.deepStrictEqual(renderNotification('survival_alert', 'en', params), {
+    title: '⚠️ Safety alert for Mom',
+    body: 'No phone use for over 13 hours. Please check in on them.',
+  });
+  assert.match(renderNotification('survival_alert', 'ko', params).body, /13시간/);
+});
+
+test('meal times are formatted in the family time zone', () => {
+  const { body } = renderNotification('meal_recorded', 'en', {
+    elderlyName: 'Mom',
+    mealTime: Date.parse('2026-03-10T03:05:00Z'),
+    timeZone: 'Asia/Seoul',
+  });
+  assert.strictEqual(body, 'Ate today at 12:05');
+});
+
+test('every supported locale renders alerts and unknown types throw', () => {
+  const sample = { elderlyName: 'Mom', titles: [], count: 2 };
+  SUPPORTED_LOCALES.forEach(locale => {
+    assert.ok(renderNotification('food_alert', locale, { ...sample, hoursWithoutFood: 9 }).title);
+  });
+  assert.strictEqual(hasTemplate('food_alert'), true);
+  assert.strictEqual(hasTemplate('no_such_type'), false);
+  assert.throws(() => renderNotification('no_such_type', 'en', sample));
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const functions = require('firebase-functions');
+const { opsLog, metricKey, sumMetrics } = require('../ops-monitoring');
+
+test('metricKey turns FCM error codes into field names', () => {
+  assert.strictEqual(metricKey('messaging/registration-token-not-registered'), 'messaging_registration-token-not-registered');
+  assert.strictEqual(metricKey('a.b'), 'a_b');
+  assert.strictEqual(metricKey(undefined), 'unknown');
+});
+
+test('sumMetrics adds the metrics of a batch of sends', () => {
+  const total = sumMetrics([
+    { 'fcm.sent': 1 },
+    { 'fcm.sent': 1 },
+    { 'fcm.failed.messaging_internal-error': 1 },
+    { 'fcm.sent': 1 },
+    { 'notifications.skipped.meal_recorded': 2 },
+  ]);
+  assert.deepStrictEqual(total, {
+    'fcm.sent': 3,
+    'fcm.failed.messaging_internal-error': 1,
+    'notifications.skipped.meal_recorded': 2,
+  });
+});
+
+test('sumMetrics ignores results without metrics', () => {
+  assert.deepStrictEqual(sumMetrics([undefined, null, { 'fcm.sent': 1 }]), { 'fcm.sent': 1 });
+  assert.deepStrictEqual(sumMetrics([]), {});
+});
+
+test('opsLog writes structured entries with severity, event and family ID', (t) => {
+  const entries = [];
+  t.mock.method(functions.logger, 'write', entry => entries.push(entry));
+
+  opsLog.info('digest_sent', 'weekly digest sent', { familyId: 'family_1', period: 'weekly' });
+  opsLog.error('run_failed', 'Run failed', {}, Object.assign(new Error('boom'), { code: 'internal' }));
+
+  assert.deepStrictEqual(entries[0], {
+    severity: 'INFO',
+    event: 'digest_sent',
+    familyId: 'family_1',
+    message: 'weekly digest sent',
+    period: 'weekly',
+  });
+  assert.strictEqual(entries[1].severity, 'ERROR');
+  assert.strictEqual(entries[1].familyId, null);
+  assert.strictEqual(entries[1].error.message, 'boom');
+  assert.strictEqual(entries[1].error.code, 'internal');
+});
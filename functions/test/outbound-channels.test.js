@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  redactPhoneNumber,
+  setOutboundChannel,
+  resetOutboundChannel,
+  sendOutboundMessage,
+} = require('../outbound-channels');
+
+const payload = { to: '+82 10-1234-5678', message: 'hello', familyId: 'family_1', type: 'survival_alert' };
+
+test.afterEach(() => resetOutboundChannel());
+
+test('the default channel reports messages as not sent', async () => {
+  const result = await sendOutboundMessage(payload);
+  assert.deepStrictEqual(result, { channel: 'log', success: false, id: null, error: 'not_configured' });
+});
+
+test('a swapped-in channel receives the message', async () => {
+  const sent = [];
+  setOutboundChannel({
+    name: 'stub',
+    async send(message) {
+      sent.push(message);
+      return { success: true, id: 'msg_1' };
+    },
+  });
+
+  const result = await sendOutboundMessage(payload);
+  assert.deepStrictEqual(sent, [payload]);
+  assert.deepStrictEqual(result, { channel: 'stub', success: true, id: 'msg_1', error: null });
+});
+
+test('a throwing channel is reported as a failure', async () => {
+  setOutboundChannel({ name: 'broken', async send() { throw new Error('provider down'); } });
+  const result = await sendOutboundMessage(payload);
+  assert.strictEqual(result.success, false);
+  assert.strictEqual(result.error, 'provider down');
+});
+
+test('setOutboundChannel rejects objects without send()', () => {
+  assert.throws(() => setOutboundChannel({ name: 'nothing' }));
+});
+
+test('redactPhoneNumber keeps only the last four digits', () => {
+  assert.strictEqual(redactPhoneNumber('+82 10-1234-5678'), '***5678');
+  assert.strictEqual(redactPhoneNumber('123'), '***');
+  assert.strictEqual(redactPhoneNumber(null), '***');
+});
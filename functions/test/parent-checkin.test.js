@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { getCheckInSettings, decideCheckIn } = require('../parent-checkin');
+
+const MINUTE_MS = 60 * 1000;
+const NOW = Date.parse('2026-03-10T05:00:00Z');
+const LAST_ACTIVITY = NOW - 13 * 60 * MINUTE_MS;
+
+const at = (millis) => admin.firestore.Timestamp.fromMillis(millis);
+
+test('getCheckInSettings is on by default and clamps the answer window', () => {
+  assert.deepStrictEqual(getCheckInSettings(undefined), { enabled: true, responseMinutes: 15 });
+  assert.strictEqual(getCheckInSettings({ checkIn: { responseMinutes: 1 } }).responseMinutes, 5);
+  assert.strictEqual(getCheckInSettings({ checkIn: { responseMinutes: 600 } }).responseMinutes, 60);
+  assert.strictEqual(getCheckInSettings({ checkIn: { enabled: false } }).enabled, false);
+});
+
+test('decideCheckIn sends a check-in when none was sent for this inactivity', () => {
+  assert.strictEqual(decideCheckIn({ settings: {} }, LAST_ACTIVITY, NOW).step, 'send');
+  // An older check-in, answered before the parent went quiet, does not count
+  const old = { status: 'answered', sentAt: at(LAST_ACTIVITY - 60 * MINUTE_MS), expiresAt: at(LAST_ACTIVITY - 45 * MINUTE_MS) };
+  assert.strictEqual(decideCheckIn({ checkIn: old }, LAST_ACTIVITY, NOW).step, 'send');
+});
+
+test('decideCheckIn waits while the check-in can still be answered', () => {
+  const checkIn = { status: 'pending', sentAt: at(NOW - 5 * MINUTE_MS), expiresAt: at(NOW + 10 * MINUTE_MS) };
+  assert.strictEqual(decideCheckIn({ checkIn }, LAST_ACTIVITY, NOW).step, 'wait');
+});
+
+test('decideCheckIn proceeds once the check-in went unanswered', () => {
+  const checkIn = { status: 'pending', sentAt: at(NOW - 20 * MINUTE_MS), expiresAt: at(NOW - 5 * MINUTE_MS) };
+  const decision = decideCheckIn({ checkIn }, LAST_ACTIVITY, NOW);
+  assert.strictEqual(decision.step, 'proceed');
+  assert.strictEqual(decision.reason, 'parent did not answer the check-in');
+});
+
+test('decideCheckIn proceeds straight away with check-ins turned off', () => {
+  const decision = decideCheckIn({ settings: { checkIn: { enabled: false } } }, LAST_ACTIVITY, NOW);
+  assert.strictEqual(decision.step, 'proceed');
+});
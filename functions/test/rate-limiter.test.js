@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { getCurrentWindows, findExceededWindow, getCallerIp } = require('../rate-limiter');
+
+const { Timestamp } = admin.firestore;
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-10T05:00:00Z');
+const limits = [
+  { key: 'sendNotification_f1', limit: 20, windowMs: HOUR_MS },
+  { key: 'sendNotification_f1_survival_alert', limit: 3, windowMs: HOUR_MS },
+];
+
+test('a missing counter starts a new window', () => {
+  const [windowState] = getCurrentWindows([limits[0]], [null], NOW);
+  assert.strictEqual(windowState.count, 0);
+  assert.strictEqual(windowState.windowStartMs, NOW);
+});
+
+test('an expired window starts again', () => {
+  const [windowState] = getCurrentWindows([limits[0]], [
+    { windowStart: Timestamp.fromMillis(NOW - 2 * HOUR_MS), count: 20 },
+  ], NOW);
+  assert.strictEqual(windowState.count, 0);
+  assert.strictEqual(findExceededWindow([windowState], NOW), null);
+});
+
+test('the first used-up window is reported with its retry time', () => {
+  const windows = getCurrentWindows(limits, [
+    { windowStart: Timestamp.fromMillis(NOW - 10 * 60 * 1000), count: 5 },
+    { windowStart: Timestamp.fromMillis(NOW - 15 * 60 * 1000), count: 3 },
+  ], NOW);
+
+  assert.deepStrictEqual(findExceededWindow(windows, NOW), {
+    allowed: false,
+    key: 'sendNotification_f1_survival_alert',
+    retryAfterSeconds: 45 * 60,
+  });
+});
+
+test('getCallerIp trusts only the last X-Forwarded-For hop', () => {
+  const context = (headers, ip) => ({ rawRequest: { headers, ip } });
+  assert.strictEqual(getCallerIp(context({ 'x-forwarded-for': '1.2.3.4, 203.0.113.7' }, '1.2.3.4')), '203.0.113.7');
+  assert.strictEqual(getCallerIp(context({ 'x-forwarded-for': '203.0.113.7' })), '203.0.113.7');
+  assert.strictEqual(getCallerIp(context({}, '198.51.100.2')), '198.51.100.2');
+  assert.strictEqual(getCallerIp({}), 'unknown');
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { getJoinFailureLimits, isConnectionCode, FAMILY_SUBCOLLECTIONS } = require('../secure-family-functions');
+
+test('getJoinFailureLimits limits failed joins per user and per IP', () => {
+  const [user, ip] = getJoinFailureLimits('uid_1', '2001:db8::1');
+  assert.deepStrictEqual(user, { key: 'joinFamilyFailure_user_uid_1', limit: 5, windowMs: 15 * 60 * 1000 });
+  assert.strictEqual(ip.key, 'joinFamilyFailure_ip_2001_db8__1');
+  assert.strictEqual(ip.limit, 20);
+  assert.strictEqual(ip.windowMs, 60 * 60 * 1000);
+});
+
+test('isConnectionCode accepts new 6-digit codes and existing 4-digit codes', () => {
+  assert.strictEqual(isConnectionCode('482913'), true);
+  assert.strictEqual(isConnectionCode('4829'), true);
+  ['48291', '4829134', '48a9', ' 4829', 4829, undefined].forEach(code =>
+    assert.strictEqual(isConnectionCode(code), false, String(code)));
+});
+
+test('deleteFamily removes every family subcollection that has security rules', () => {
+  const rules = fs.readFileSync(path.join(__dirname, '..', '..', 'firestore.rules'), 'utf8');
+  const familyMatch = 'match /families/{familyId}';
+  const familyRules = rules.slice(rules.indexOf(familyMatch) + familyMatch.length, rules.indexOf('match /users/{userId}'));
+  const ruled = [...familyRules.matchAll(/match \/(\w+)\/\{\w+\}/g)].map(match => match[1]);
+
+  assert.ok(ruled.length > 0);
+  ruled.forEach(name => assert.ok(FAMILY_SUBCOLLECTIONS.includes(name), `${name} is not deleted with the family`));
+});
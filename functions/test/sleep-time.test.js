@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  getFamilyTimeZone,
+  zonedTimeToMillis,
+  getSleepWindows,
+  isCurrentlySleepTime,
+  isInSleepOrGracePeriod,
+  getAwakeHoursBetween,
+  getDateString,
+} = require('../sleep-time');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function settings(timeZone, sleep = {}) {
+  return {
+    timeZone,
+    sleepTimeSettings: {
+      enabled: true,
+      sleepStartHour: 22,
+      sleepStartMinute: 0,
+      sleepEndHour: 6,
+      sleepEndMinute: 0,
+      ...sleep,
+    },
+  };
+}
+
+test('invalid time zones fall back to Asia/Seoul', () => {
+  assert.strictEqual(getFamilyTimeZone({ timeZone: 'Mars/Olympus' }), 'Asia/Seoul');
+  assert.strictEqual(getFamilyTimeZone({ timeZone: 'Europe/London' }), 'Europe/London');
+});
+
+test('zonedTimeToMillis converts local wall time on both sides of a DST change', () => {
+  assert.strictEqual(zonedTimeToMillis(2026, 3, 7, 22, 0, 'America/Los_Angeles'), Date.parse('2026-03-08T06:00:00Z'));
+  assert.strictEqual(zonedTimeToMillis(2026, 3, 8, 6, 0, 'America/Los_Angeles'), Date.parse('2026-03-08T13:00:00Z'));
+});
+
+test('the night clocks spring forward is an hour shorter', () => {
+  const family = settings('America/Los_Angeles');
+  const at = Date.parse('2026-03-08T10:00:00Z'); // 03:00 PDT
+  const window = getSleepWindows(family, at, at).find(w => at >= w.startMs && at < w.endMs);
+
+  assert.strictEqual(window.startMs, Date.parse('2026-03-08T06:00:00Z'));
+  assert.strictEqual(window.endMs, Date.parse('2026-03-08T13:00:00Z'));
+  assert.strictEqual((window.endMs - window.startMs) / HOUR_MS, 7);
+});
+
+test('the night clocks fall back is an hour longer', () => {
+  const family = settings('America/Los_Angeles');
+  const at = Date.parse('2026-11-01T09:30:00Z'); // 01:30 PST, the second one
+  const window = getSleepWindows(family, at, at).find(w => at >= w.startMs && at < w.endMs);
+
+  assert.strictEqual(window.startMs, Date.parse('2026-11-01T05:00:00Z'));
+  assert.strictEqual(window.endMs, Date.parse('2026-11-01T14:00:00Z'));
+  assert.strictEqual(getAwakeHoursBetween(family, window.startMs - HOUR_MS, window.endMs + HOUR_MS), 2);
+});
+
+test('an overnight window belongs to the day it starts on', () => {
+  // Friday 22:00 - Saturday 06:00 in Seoul, only Fridays active
+  const family = settings('Asia/Seoul', { activeDays: [5] });
+  assert.strictEqual(isCurrentlySleepTime(family, Date.parse('2026-03-13T18:00:00Z')), true); // Sat 03:00
+  assert.strictEqual(isCurrentlySleepTime(family, Date.parse('2026-03-14T18:00:00Z')), false); // Sun 03:00
+});
+
+test('the wake-up grace period follows the sleep window', () => {
+  const family = settings('Asia/Seoul', { wakeGraceMinutes: 60 });
+  const sixThirty = Date.parse('2026-03-10T21:30:00Z'); // 06:30 KST
+  assert.strictEqual(isCurrentlySleepTime(family, sixThirty), false);
+  assert.strictEqual(isInSleepOrGracePeriod(family, sixThirty), true);
+  assert.strictEqual(isInSleepOrGracePeriod(family, sixThirty + HOUR_MS), false);
+});
+
+test('midnight start hours are kept', () => {
+  const family = settings('Asia/Seoul', { sleepStartHour: 0, sleepEndHour: 5 });
+  assert.strictEqual(isCurrentlySleepTime(family, Date.parse('2026-03-10T16:30:00Z')), true); // 01:30 KST
+  assert.strictEqual(isCurrentlySleepTime(family, Date.parse('2026-03-10T13:30:00Z')), false); // 22:30 KST
+});
+
+test('getDateString uses the local calendar day', () => {
+  const millis = Date.parse('2026-03-10T16:00:00Z');
+  assert.strictEqual(getDateString(millis, 'Asia/Seoul'), '2026-03-11');
+  assert.strictEqual(getDateString(millis, 'America/Los_Angeles'), '2026-03-10');
+});
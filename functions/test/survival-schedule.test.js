@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const admin = require('firebase-admin');
+const { computeNextCheckAt, getAlertThreshold } = require('../survival-schedule');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_CHECK_INTERVAL_MS = 6 * HOUR_MS;
+// 2026-03-10 14:00 in Asia/Seoul, outside the default sleep window
+const NOW = Date.parse('2026-03-10T05:00:00Z');
+
+const at = (millis) => admin.firestore.Timestamp.fromMillis(millis);
+
+function family(overrides = {}) {
+  return {
+    ...overrides,
+    settings: { timeZone: 'Asia/Seoul', alertHours: 12, foodAlertHours: 8, ...overrides.settings },
+  };
+}
+
+test('computeNextCheckAt returns null when neither survival nor food is monitored', () => {
+  const data = family({
+    settings: { survivalSignalEnabled: false, foodAlertEnabled: false },
+    lastPhoneActivity: at(NOW - HOUR_MS),
+    lastMeal: { timestamp: at(NOW - HOUR_MS) },
+  });
+  assert.strictEqual(computeNextCheckAt(data, NOW), null);
+});
+
+test('computeNextCheckAt schedules food checks with the survival signal off', () => {
+  const data = family({
+    settings: { survivalSignalEnabled: false },
+    lastMeal: { timestamp: at(NOW - 3 * HOUR_MS) },
+  });
+  assert.strictEqual(computeNextCheckAt(data, NOW), NOW + 5 * HOUR_MS);
+});
+
+test('computeNextCheckAt ignores phone inactivity with the survival signal off', () => {
+  const data = family({
+    settings: { survivalSignalEnabled: false },
+    lastPhoneActivity: at(NOW - 11 * HOUR_MS),
+    lastMeal: { timestamp: at(NOW - HOUR_MS) },
+  });
+  assert.strictEqual(computeNextCheckAt(data, NOW), NOW + MAX_CHECK_INTERVAL_MS);
+});
+
+test('computeNextCheckAt returns null for a food-only family without meals', () => {
+  assert.strictEqual(computeNextCheckAt(family(), NOW), null);
+});
+
+test('computeNextCheckAt picks the earlier of the survival and food deadlines', () => {
+  const data = family({
+    settings: { survivalSignalEnabled: true },
+    lastPhoneActivity: at(NOW - 10 * HOUR_MS),
+    lastMeal: { timestamp: at(NOW - 3 * HOUR_MS) },
+  });
+  assert.strictEqual(computeNextCheckAt(data, NOW), NOW + 2 * HOUR_MS);
+});
+
+test('computeNextCheckAt checks right away to clear an alert after a meal', () => {
+  const data = family({
+    settings: { survivalSignalEnabled: false },
+    lastMeal: { timestamp: at(NOW - HOUR_MS) },
+    foodAlert: { isActive: true },
+  });
+  assert.strictEqual(computeNextCheckAt(data, NOW), NOW);
+});
+
+test('computeNextCheckAt never schedules in the past', () => {
+  const data = family({
+    settings: { survivalSignalEnabled: true },
+    lastPhoneActivity: at(NOW - 20 * HOUR_MS),
+  });
+  assert.strictEqual(computeNextCheckAt(data, NOW), NOW);
+});
+
+test('computeNextCheckAt holds a deadline that falls in the sleep window', () => {
+  const data = family({
+    settings: {
+      survivalSignalEnabled: false,
+      sleepTimeSettings: { enabled: true, sleepStartHour: 15, sleepEndHour: 17 },
+    },
+    lastMeal: { timestamp: at(NOW - 7 * HOUR_MS) },
+  });
+  // Deadline 15:00 Seoul falls in the 15:00-17:00 window, so the check waits for its end
+  assert.ok(computeNextCheckAt(data, NOW) >= NOW + 3 * HOUR_MS);
+});
+
+
+// Ready baseline: 14:00 Seoul gaps (hour 14) have p99 4h, Tuesdays (weekday 2) 6h, overall 5h
+function adaptiveFamily(alertHours = 12) {
+  const bucket = (p99, count = 30) => ({ p50: 1, p90: p99 - 1, p99, count });
+  const byHour = Array.from({ length: 24 }, () => bucket(null, 0));
+  const byWeekday = Array.from({ length: 7 }, () => bucket(null, 0));
+  byHour[14] = bucket(4);
+  byWeekday[1] = bucket(6);
+  return family({
+    settings: { alertMode: 'adaptive', alertHours },
+    inactivityBaseline: {
+      ready: true,
+      timeZone: 'Asia/Seoul',
+      minBucketCount: 20,
+      overall: bucket(5),
+      byHour,
+      byWeekday,
+    },
+  });
+}
+
+test('getAlertThreshold uses alertHours outside adaptive mode', () => {
+  assert.deepStrictEqual(getAlertThreshold(family(), NOW), { thresholdHours: 12, mode: 'fixed', source: 'alertHours' });
+});
+
+test('getAlertThreshold falls back to alertHours until the baseline is ready', () => {
+  const threshold = getAlertThreshold(family({
+    settings: { alertMode: 'adaptive' },
+    inactivityBaseline: { ready: false },
+  }), NOW);
+  assert.deepStrictEqual(threshold, { thresholdHours: 12, mode: 'fixed', source: 'baseline not ready' });
+});
+
+test('getAlertThreshold takes the more forgiving of the hour and weekday buckets', () => {
+  assert.deepStrictEqual(getAlertThreshold(adaptiveFamily(), NOW), {
+    thresholdHours: 6,
+    mode: 'adaptive',
+    source: 'p99 weekday 2',
+  });
+});
+
+test('getAlertThreshold never goes above alertHours', () => {
+  const threshold = getAlertThreshold(adaptiveFamily(5), NOW);
+  assert.strictEqual(threshold.thresholdHours, 5);
+  assert.strictEqual(threshold.mode, 'fixed');
+});
+
+test('getAlertThreshold uses the overall gap when no bucket has enough data', () => {
+  const data = adaptiveFamily();
+  data.inactivityBaseline.byHour[14].count = 3;
+  data.inactivityBaseline.byWeekday[1].count = 3;
+  assert.strictEqual(getAlertThreshold(data, NOW).source, 'p99 overall');
+  assert.strictEqual(getAlertThreshold(data, NOW).thresholdHours, 5);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDigestSettings, summarizeBattery } = require('../wellbeing-digest');
+
+test('getDigestSettings defaults to daily and weekly digests at 20:00 on Sunday', () => {
+  assert.deepStrictEqual(getDigestSettings(undefined), {
+    enabled: true,
+    daily: true,
+    weekly: true,
+    hour: 20,
+    weeklyDay: 7,
+  });
+});
+
+test('getDigestSettings keeps switches and ignores a non-integer hour', () => {
+  const digest = getDigestSettings({ digest: { weekly: false, hour: '8', weeklyDay: 1 } });
+  assert.strictEqual(digest.weekly, false);
+  assert.strictEqual(digest.hour, 20);
+  assert.strictEqual(digest.weeklyDay, 1);
+});
+
+test('summarizeBattery counts charge sessions and drops below the low level', () => {
+  const summary = summarizeBattery([
+    { level: 50, charging: false },
+    { level: 18, charging: false },
+    { level: 15, charging: true },
+    { level: 60, charging: true },
+    { level: 30, charging: false },
+    { level: 10, charging: false },
+  ]);
+  assert.deepStrictEqual(summary, {
+    samples: 6,
+    minLevel: 10,
+    averageLevel: 31,
+    lastLevel: 10,
+    chargeSessions: 1,
+    lowBatteryEvents: 2,
+  });
+});
+
+test('summarizeBattery without samples has no levels', () => {
+  const summary = summarizeBattery([]);
+  assert.strictEqual(summary.samples, 0);
+  assert.strictEqual(summary.minLevel, null);
+  assert.strictEqual(summary.averageLevel, null);
+});
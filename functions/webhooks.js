@@ -0,0 +1,628 @@
+const crypto = require('crypto');
+const net = require('net');
+const dns = require('dns').promises;
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getFamilyForMember } = require('./device-registry');
+const { consumeRateLimits } = require('./rate-limiter');
+const { opsLog } = require('./ops-monitoring');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Outbound webhooks for care workers and welfare centers (복지관) that run their own systems.
+//
+// Endpoints: families/{familyId}/webhooks/{webhookId}
+//   { url, events: ['survival'|'food'|'meal'], description, enabled, createdBy, createdAt,
+//     lastDeliveryAt, lastStatusCode, lastError, consecutiveFailures }
+// Signing secrets: family_secrets/{familyId}.webhooks.{webhookId} (never readable by clients)
+// Retry queue: webhook_deliveries/{deliveryId} (server only)
+// Given up: families/{familyId}/webhook_dead_letters/{deliveryId}
+//
+// Every request is a JSON POST with
+//   X-IAte-Event: <event>, X-IAte-Delivery: <deliveryId>,
+//   X-IAte-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>" with the secret>
+// Receivers should recompute the signature and reject timestamps older than a few minutes.
+
+// Notification types delivered to webhooks, by the category endpoints subscribe to
+const WEBHOOK_EVENT_CATEGORIES = {
+  survival_alert: 'survival',
+  device_battery_dead: 'survival',
+  device_offline: 'survival',
+  survival_escalation: 'survival',
+  food_alert: 'food',
+  meal_recorded: 'meal',
+  meal_missed: 'meal',
+  meal_count_drop: 'meal',
+};
+const WEBHOOK_CATEGORIES = ['survival', 'food', 'meal'];
+
+const MAX_WEBHOOKS_PER_FAMILY = 5;
+const MAX_URL_LENGTH = 2048;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Attempts including the first one; retries back off 2, 4, 8, 16, 32 minutes
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 2 * 60 * 1000;
+const RETRY_PAGE_SIZE = 50;
+
+// Dead letters expire after 30 days (Firestore TTL on expiresAt)
+const DEAD_LETTER_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const TEST_DELIVERIES_PER_HOUR = 10;
+const TEST_RATE_WINDOW_MS = 60 * 60 * 1000;
+
+function signPayload(secret, timestampSeconds, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestampSeconds}.${body}`).digest('hex');
+}
+
+// Delay before the given attempt (2 = first retry), with ±20% jitter so retries spread out
+function getRetryDelayMs(attempt) {
+  const delay = BASE_RETRY_DELAY_MS * 2 ** (attempt - 2);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Helper function to tell whether an IP address is private, loopback, link-local or otherwise
+// not reachable on the public internet. IPv4-mapped IPv6 addresses are checked as IPv4.
+function isPrivateAddress(address) {
+  const ip = String(address || '').replace(/^\[|\]$/g, '').toLowerCase();
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPrivateAddress(mapped[1]);
+  }
+
+  if (net.isIPv4(ip)) {
+    const privateRanges = [/^0\./, /^10\./, /^127\./, /^169\.254\./, /^192\.168\./, /^172\.(1[6-9]|2\d|3[01])\./,
+      /^100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\./, /^(22[4-9]|2[3-5]\d)\./];
+    return privateRanges.some(range => range.test(ip));
+  }
+  if (net.isIPv6(ip)) {
+    const privateRanges = [/^::1?$/, /^f[cd]/, /^fe[89ab]/, /^ff/, /^::ffff:/, /^64:ff9b:/];
+    return privateRanges.some(range => range.test(ip));
+  }
+  // Not an IP address at all
+  return true;
+}
+
+// Helper function to reject URLs that are not public https endpoints.
+// Literal private addresses are refused here; hostnames are resolved and checked at delivery.
+function validateWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_URL_LENGTH) {
+    return 'URL is required';
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'URL is not valid';
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return 'URL must use https';
+  }
+  if (parsed.username || parsed.password) {
+    return 'URL must not contain credentials';
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) {
+    return 'URL must be a public address';
+  }
+  if (net.isIP(host) && isPrivateAddress(host)) {
+    return 'URL must be a public address';
+  }
+
+  return null;
+}
+
+// Helper function to resolve the URL's host right before a delivery. A hostname registered as
+// public can later point at a private address, so every address it resolves to is checked.
+// Returns an error string, or null when the host only resolves to public addresses.
+// Lookup failures throw, so they are retried like any other network error.
+async function checkResolvedHost(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    return isPrivateAddress(host) ? 'URL must be a public address' : null;
+  }
+
+  const addresses = await dns.lookup(host, { all: true, verbatim: true });
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    return 'URL resolves to a private address';
+  }
+  return null;
+}
+
+// Helper function to POST one signed payload. Never throws.
+// Returns { success, statusCode, error, durationMs }; blocked is set when the URL was refused before sending
+async function postWebhook(url, secret, event, deliveryId, body) {
+  const startedAt = Date.now();
+  const timestampSeconds = Math.floor(startedAt / 1000);
+
+  try {
+    const refused = validateWebhookUrl(url) || await checkResolvedHost(url);
+    if (refused) {
+      return { success: false, statusCode: null, error: refused, blocked: true, durationMs: Date.now() - startedAt };
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'i-ate-webhooks/1.0',
+        'X-IAte-Event': event,
+        'X-IAte-Delivery': deliveryId,
+        'X-IAte-Signature': `t=${timestampSeconds},v1=${signPayload(secret, timestampSeconds, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    const success = response.status >= 200 && response.status < 300;
+    return {
+      success,
+      statusCode: response.status,
+      error: success ? null : `HTTP ${response.status}`,
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      statusCode: null,
+      error: error.name === 'TimeoutError' ? 'Timed out' : error.message,
+      durationMs: Date.now() - startedAt,
+    };
+  }
+}
+
+// Helper function to remember the outcome of the latest attempt on the endpoint
+async function recordAttempt(familyId, webhookId, result) {
+  try {
+    await db.collection('families').doc(familyId).collection('webhooks').doc(webhookId).update({
+      lastDeliveryAt: admin.firestore.Timestamp.now(),
+      lastStatusCode: result.statusCode,
+      lastError: result.error,
+      consecutiveFailures: result.success ? 0 : admin.firestore.FieldValue.increment(1),
+    });
+  } catch (error) {
+    // The endpoint may have been removed in the meantime
+    opsLog.warn('webhook_status_update_failed', 'Could not update webhook status', { familyId, webhookId }, error);
+  }
+}
+
+// Helper function to move a delivery that will not be retried into the family's dead letters
+async function deadLetter(delivery, result, deliveryRef) {
+  const now = admin.firestore.Timestamp.now();
+  const batch = db.batch();
+
+  batch.set(db.collection('families').doc(delivery.familyId).collection('webhook_dead_letters').doc(delivery.deliveryId), {
+    webhookId: delivery.webhookId,
+    url: delivery.url,
+    event: delivery.event,
+    body: delivery.body,
+    attempts: delivery.attempt,
+    lastStatusCode: result.statusCode,
+    lastError: result.error,
+    createdAt: delivery.createdAt,
+    failedAt: now,
+    expiresAt: admin.firestore.Timestamp.fromMillis(now.toMillis() + DEAD_LETTER_RETENTION_MS),
+  });
+  if (deliveryRef) {
+    batch.delete(deliveryRef);
+  }
+  await batch.commit();
+
+  opsLog.warn('webhook_dead_lettered', `Webhook delivery gave up after ${delivery.attempt} attempt(s)`, {
+    familyId: delivery.familyId,
+    webhookId: delivery.webhookId,
+    deliveryId: delivery.deliveryId,
+    event: delivery.event,
+    statusCode: result.statusCode,
+    reason: result.error,
+  });
+}
+
+// Helper function to make one attempt and then retry, dead-letter or finish the delivery
+async function attemptDelivery(delivery, secret, deliveryRef) {
+  const result = await postWebhook(delivery.url, secret, delivery.event, delivery.deliveryId, delivery.body);
+  await recordAttempt(delivery.familyId, delivery.webhookId, result);
+
+  if (result.success) {
+    if (deliveryRef) {
+      await deliveryRef.delete();
+    }
+    opsLog.info('webhook_delivered', `${delivery.event} delivered`, {
+      familyId: delivery.familyId,
+      webhookId: delivery.webhookId,
+      deliveryId: delivery.deliveryId,
+      attempt: delivery.attempt,
+      durationMs: result.durationMs,
+    });
+    return result;
+  }
+
+  // 4xx other than timeouts and rate limits means the receiver rejected the payload itself.
+  // Refused URLs are not retried either.
+  const retryable = !result.blocked && (result.statusCode === null || result.statusCode >= 500 ||
+    result.statusCode === 408 || result.statusCode === 429);
+
+  if (!retryable || delivery.attempt >= MAX_ATTEMPTS) {
+    await deadLetter(delivery, result, deliveryRef);
+    return result;
+  }
+
+  const nextAttempt = delivery.attempt + 1;
+  await (deliveryRef || db.collection('webhook_deliveries').doc(delivery.deliveryId)).set({
+    ...delivery,
+    attempt: nextAttempt,
+    lastStatusCode: result.statusCode,
+    lastError: result.error,
+    nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + getRetryDelayMs(nextAttempt)),
+  });
+  opsLog.info('webhook_retry_scheduled', `Webhook delivery failed, retry ${nextAttempt}/${MAX_ATTEMPTS} scheduled`, {
+    familyId: delivery.familyId,
+    webhookId: delivery.webhookId,
+    deliveryId: delivery.deliveryId,
+    statusCode: result.statusCode,
+    reason: result.error,
+  });
+  return result;
+}
+
+// Send a notification type to every subscribed webhook of the family.
+// Called next to the FCM sends; never throws so a webhook can never block an alert.
+async function dispatchWebhookEvent(familyId, type, data) {
+  const category = WEBHOOK_EVENT_CATEGORIES[type];
+  if (!category) {
+    return [];
+  }
+
+  try {
+    const webhooksSnapshot = await db.collection('families')
+      .doc(familyId)
+      .collection('webhooks')
+      .where('enabled', '==', true)
+      .get();
+
+    const webhooks = webhooksSnapshot.docs.filter(doc => (doc.data().events || []).includes(category));
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const secretDoc = await db.collection('family_secrets').doc(familyId).get();
+    const secrets = secretDoc.exists ? secretDoc.data().webhooks || {} : {};
+    const createdAt = admin.firestore.Timestamp.now();
+
+    return await Promise.all(webhooks.map(webhookDoc => {
+      const deliveryId = db.collection('webhook_deliveries').doc().id;
+      const body = JSON.stringify({
+        id: deliveryId,
+        event: `${category}.${type}`,
+        createdAt: createdAt.toDate().toISOString(),
+        familyId,
+        data,
+      });
+      const delivery = {
+        deliveryId,
+        familyId,
+        webhookId: webhookDoc.id,
+        url: webhookDoc.data().url,
+        event: `${category}.${type}`,
+        body,
+        attempt: 1,
+        createdAt,
+      };
+
+      const secret = secrets[webhookDoc.id]?.secret;
+      if (!secret) {
+        return deadLetter(delivery, { statusCode: null, error: 'Signing secret missing' }, null)
+          .then(() => ({ success: false, error: 'Signing secret missing' }));
+      }
+      return attemptDelivery(delivery, secret, null);
+    }));
+  } catch (error) {
+    opsLog.error('webhook_dispatch_failed', `Failed to dispatch ${type} webhooks`, { familyId, type }, error);
+    return [];
+  }
+}
+
+// Helper function to check that the caller created the family. Webhooks send family data to
+// outside systems, so only the creator may add or remove them.
+async function getFamilyForCreator(familyId, uid) {
+  const familyData = await getFamilyForMember(familyId, uid);
+
+  if (familyData.createdBy !== uid) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Only the family creator can manage webhooks'
+    );
+  }
+
+  return familyData;
+}
+
+// Retry failed webhook deliveries whose backoff has elapsed
+exports.retryWebhookDeliveries = functions.runWith({
+  timeoutSeconds: 300
+}).pubsub
+  .schedule('every 2 minutes')
+  .timeZone('Asia/Seoul')
+  .onRun(async (context) => {
+    const now = admin.firestore.Timestamp.now();
+    let attempted = 0;
+
+    try {
+      // Delivered and dead-lettered entries leave the queue, so everything here is pending
+      const page = await db.collection('webhook_deliveries')
+        .where('nextAttemptAt', '<=', now)
+        .orderBy('nextAttemptAt')
+        .limit(RETRY_PAGE_SIZE)
+        .get();
+
+      const secretsByFamily = {};
+      await Promise.all(page.docs.map(async (deliveryDoc) => {
+        const delivery = deliveryDoc.data();
+
+        if (!secretsByFamily[delivery.familyId]) {
+          secretsByFamily[delivery.familyId] = db.collection('family_secrets').doc(delivery.familyId).get()
+            .then(doc => (doc.exists ? doc.data().webhooks || {} : {}));
+        }
+        const secret = (await secretsByFamily[delivery.familyId])[delivery.webhookId]?.secret;
+
+        // Endpoint removed since the first attempt
+        if (!secret) {
+          await deliveryDoc.ref.delete();
+          return;
+        }
+
+        attempted++;
+        await attemptDelivery(delivery, secret, deliveryDoc.ref);
+      }));
+
+      if (attempted > 0) {
+        opsLog.info('webhook_retries', `Webhook retries: ${attempted} deliveries attempted`, { attempted });
+      }
+    } catch (error) {
+      opsLog.error('webhook_retries_failed', 'Error retrying webhook deliveries', {}, error);
+    }
+  });
+
+// REGISTER WEBHOOK - Add an endpoint for survival, food and/or meal events (family creator only).
+// The signing secret is only returned here, once.
+exports.registerWebhook = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, url, description } = data;
+  const events = data.events || WEBHOOK_CATEGORIES;
+  const urlError = validateWebhookUrl(url);
+
+  if (!familyId || urlError) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      urlError || 'Family ID is required'
+    );
+  }
+
+  if (!Array.isArray(events) || events.length === 0 || !events.every(e => WEBHOOK_CATEGORIES.includes(e))) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `events must be a non-empty list of ${WEBHOOK_CATEGORIES.join(', ')}`
+    );
+  }
+
+  try {
+    await getFamilyForCreator(familyId, context.auth.uid);
+
+    const webhooksRef = db.collection('families').doc(familyId).collection('webhooks');
+    const existing = await webhooksRef.get();
+    if (existing.size >= MAX_WEBHOOKS_PER_FAMILY) {
+      throw new functions.https.HttpsError(
+        'resource-exhausted',
+        `A family can have at most ${MAX_WEBHOOKS_PER_FAMILY} webhooks`
+      );
+    }
+
+    const webhookRef = webhooksRef.doc();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = admin.firestore.Timestamp.now();
+
+    const batch = db.batch();
+    batch.set(webhookRef, {
+      url,
+      events: [...new Set(events)],
+      description: typeof description === 'string' ? description.substring(0, 200) : null,
+      enabled: true,
+      createdBy: context.auth.uid,
+      createdAt: now,
+      lastDeliveryAt: null,
+      lastStatusCode: null,
+      lastError: null,
+      consecutiveFailures: 0,
+    });
+    batch.set(db.collection('family_secrets').doc(familyId), {
+      webhooks: { [webhookRef.id]: { secret, createdAt: now } },
+    }, { merge: true });
+    await batch.commit();
+
+    opsLog.info('webhook_registered', 'Webhook registered', { familyId, webhookId: webhookRef.id, uid: context.auth.uid });
+
+    return {
+      success: true,
+      webhookId: webhookRef.id,
+      secret,
+      events: [...new Set(events)],
+    };
+
+  } catch (error) {
+    opsLog.error('webhook_register_failed', 'Error registering webhook', { familyId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to register webhook'
+    );
+  }
+});
+
+// REMOVE WEBHOOK - Delete an endpoint and its signing secret (family creator only)
+exports.removeWebhook = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, webhookId } = data;
+
+  if (!familyId || !webhookId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID and webhook ID are required'
+    );
+  }
+
+  try {
+    await getFamilyForCreator(familyId, context.auth.uid);
+
+    const webhookRef = db.collection('families').doc(familyId).collection('webhooks').doc(webhookId);
+    const webhookDoc = await webhookRef.get();
+    if (!webhookDoc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Webhook not found'
+      );
+    }
+
+    const batch = db.batch();
+    batch.delete(webhookRef);
+    batch.set(db.collection('family_secrets').doc(familyId), {
+      webhooks: { [webhookId]: admin.firestore.FieldValue.delete() },
+    }, { merge: true });
+    await batch.commit();
+
+    opsLog.info('webhook_removed', 'Webhook removed', { familyId, webhookId, uid: context.auth.uid });
+
+    return {
+      success: true,
+      message: 'Webhook removed'
+    };
+
+  } catch (error) {
+    opsLog.error('webhook_remove_failed', 'Error removing webhook', { familyId, webhookId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to remove webhook'
+    );
+  }
+});
+
+// TEST WEBHOOK - Send one signed 'test.ping' event right away and report the result.
+// Not retried and not dead-lettered.
+exports.testWebhook = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'User must be authenticated'
+    );
+  }
+
+  const { familyId, webhookId } = data;
+
+  if (!familyId || !webhookId) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Family ID and webhook ID are required'
+    );
+  }
+
+  try {
+    const familyData = await getFamilyForMember(familyId, context.auth.uid);
+
+    const rateLimit = await consumeRateLimits([{
+      key: `testWebhook_${familyId}`,
+      limit: TEST_DELIVERIES_PER_HOUR,
+      windowMs: TEST_RATE_WINDOW_MS,
+    }]);
+    if (!rateLimit.allowed) {
+      throw new functions.https.HttpsError(
+        'resource-exhausted',
+        'Too many test deliveries, try again later'
+      );
+    }
+
+    const [webhookDoc, secretDoc] = await Promise.all([
+      db.collection('families').doc(familyId).collection('webhooks').doc(webhookId).get(),
+      db.collection('family_secrets').doc(familyId).get(),
+    ]);
+    const secret = secretDoc.exists ? secretDoc.data().webhooks?.[webhookId]?.secret : null;
+
+    if (!webhookDoc.exists || !secret) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'Webhook not found'
+      );
+    }
+
+    const deliveryId = `test_${Date.now()}`;
+    const body = JSON.stringify({
+      id: deliveryId,
+      event: 'test.ping',
+      createdAt: new Date().toISOString(),
+      familyId,
+      data: {
+        type: 'test',
+        elderlyName: familyData.elderlyName || '부모님',
+        requestedBy: context.auth.uid,
+      },
+    });
+
+    const result = await postWebhook(webhookDoc.data().url, secret, 'test.ping', deliveryId, body);
+    await recordAttempt(familyId, webhookId, result);
+
+    opsLog.info('webhook_tested', `Test webhook ${result.success ? 'delivered' : 'failed'}`, {
+      familyId,
+      webhookId,
+      statusCode: result.statusCode,
+      reason: result.error,
+    });
+
+    return {
+      success: true,
+      delivered: result.success,
+      statusCode: result.statusCode,
+      error: result.error,
+      durationMs: result.durationMs,
+    };
+
+  } catch (error) {
+    opsLog.error('webhook_test_failed', 'Error testing webhook', { familyId, webhookId }, error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError(
+      'internal',
+      'Failed to test webhook'
+    );
+  }
+});
+
+exports.WEBHOOK_EVENT_CATEGORIES = WEBHOOK_EVENT_CATEGORIES;
+exports.signPayload = signPayload;
+exports.validateWebhookUrl = validateWebhookUrl;
+exports.isPrivateAddress = isPrivateAddress;
+exports.checkResolvedHost = checkResolvedHost;
+exports.dispatchWebhookEvent = dispatchWebhookEvent;
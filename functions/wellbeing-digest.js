@@ -0,0 +1,269 @@
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { sendTemplatedNotification } = require('./notifications');
+const { runWithConcurrency } = require('./survival-schedule');
+const {
+  getFamilyTimeZone,
+  getZonedParts,
+  zonedTimeToMillis,
+  getDateString,
+} = require('./sleep-time');
+const { opsLog } = require('./ops-monitoring');
+const {
+  getActivityTimestamps,
+  getBatterySamples,
+  getLongestGap,
+} = require('./activity-history');
+
+if (!admin.apps.length) {
+  admin.initializeApp();
+}
+
+const db = admin.firestore();
+
+// Defaults for settings.digest
+//   enabled, daily, weekly: on/off switches
+//   hour: local hour (0-23, family timezone) the digest is sent at
+//   weeklyDay: 1 = Monday ... 7 = Sunday
+const DEFAULT_DIGEST_HOUR = 20;
+const DEFAULT_WEEKLY_DAY = 7;
+
+const LOW_BATTERY_LEVEL = 20;
+const DIGEST_PAGE_SIZE = 200;
+const DIGEST_CONCURRENCY = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Helper function to read the digest settings of a family
+function getDigestSettings(settings) {
+  const digest = settings?.digest || {};
+  return {
+    enabled: digest.enabled !== false,
+    daily: digest.daily !== false,
+    weekly: digest.weekly !== false,
+    hour: Number.isInteger(digest.hour) ? digest.hour : DEFAULT_DIGEST_HOUR,
+    weeklyDay: Number.isInteger(digest.weeklyDay) ? digest.weeklyDay : DEFAULT_WEEKLY_DAY,
+  };
+}
+
+function toMillis(value) {
+  return value && typeof value.toMillis === 'function' ? value.toMillis() : null;
+}
+
+// Helper function to summarize battery samples
+function summarizeBattery(samples) {
+  const levels = samples.map(s => s.level).filter(level => typeof level === 'number');
+  let chargeSessions = 0;
+  let lowBatteryEvents = 0;
+
+  samples.forEach((sample, i) => {
+    const previous = samples[i - 1];
+    if (sample.charging && (!previous || !previous.charging)) {
+      chargeSessions++;
+    }
+    if (typeof sample.level === 'number' && sample.level <= LOW_BATTERY_LEVEL &&
+        (!previous || previous.level > LOW_BATTERY_LEVEL)) {
+      lowBatteryEvents++;
+    }
+  });
+
+  return {
+    samples: samples.length,
+    minLevel: levels.length > 0 ? Math.min(...levels) : null,
+    averageLevel: levels.length > 0 ? Math.round(levels.reduce((a, b) => a + b, 0) / levels.length) : null,
+    lastLevel: levels.length > 0 ? levels[levels.length - 1] : null,
+    chargeSessions,
+    lowBatteryEvents,
+  };
+}
+
+// Build the digest for [periodStartMs, periodEndMs] covering the given local dates
+async function buildDigest(familyId, familyData, periodStartMs, periodEndMs, dateStrings, timeZone) {
+  const familyRef = db.collection('families').doc(familyId);
+
+  const [mealDocs, timestamps, batterySamples, alertEventsSnapshot] = await Promise.all([
+    db.getAll(...dateStrings.map(date => familyRef.collection('meals').doc(date))),
+    getActivityTimestamps(familyId, periodStartMs, periodEndMs, timeZone),
+    getBatterySamples(familyId, periodStartMs, periodEndMs, timeZone),
+    familyRef.collection('alert_events')
+      .where('at', '>=', admin.firestore.Timestamp.fromMillis(periodStartMs))
+      .where('at', '<=', admin.firestore.Timestamp.fromMillis(periodEndMs))
+      .get(),
+  ]);
+
+  const mealsPerDay = {};
+  mealDocs.forEach((doc, i) => {
+    mealsPerDay[dateStrings[i]] = doc.exists ? (doc.data().meals || []).length : 0;
+  });
+  const totalMeals = Object.values(mealsPerDay).reduce((a, b) => a + b, 0);
+
+  const gap = getLongestGap(timestamps, periodStartMs, periodEndMs);
+
+  const alerts = { raised: {}, raisedTotal: 0, cleared: 0 };
+  alertEventsSnapshot.forEach(doc => {
+    const event = doc.data();
+    if (event.eventType === 'raised') {
+      alerts.raised[event.alertType] = (alerts.raised[event.alertType] || 0) + 1;
+      alerts.raisedTotal++;
+    } else if (event.eventType === 'cleared') {
+      alerts.cleared++;
+    }
+  });
+
+  const locationMillis = Math.max(
+    toMillis(familyData.location?.timestamp) || 0,
+    toMillis(familyData.lastLocation?.updatedAt) || 0
+  );
+
+  return {
+    periodStart: admin.firestore.Timestamp.fromMillis(periodStartMs),
+    periodEnd: admin.firestore.Timestamp.fromMillis(periodEndMs),
+    timeZone,
+    mealsPerDay,
+    totalMeals,
+    averageMealsPerDay: Math.round((totalMeals / dateStrings.length) * 10) / 10,
+    activityCount: timestamps.length,
+    longestInactivity: {
+      startAt: admin.firestore.Timestamp.fromMillis(gap.startMs),
+      endAt: admin.firestore.Timestamp.fromMillis(gap.endMs),
+      hours: Math.round((gap.durationMs / HOUR_MS) * 10) / 10,
+    },
+    alerts,
+    battery: summarizeBattery(batterySamples),
+    lastLocationUpdateAt: locationMillis > 0 ? admin.firestore.Timestamp.fromMillis(locationMillis) : null,
+  };
+}
+
+// Create, store and send one digest unless it already exists
+async function sendDigest(familyDoc, period, nowMillis, timeZone) {
+  const familyId = familyDoc.id;
+  const familyData = familyDoc.data();
+  const elderlyName = familyData.elderlyName || '부모님';
+  const today = getZonedParts(nowMillis, timeZone);
+  const days = period === 'weekly' ? 7 : 1;
+
+  const reportId = `${period}_${getDateString(nowMillis, timeZone)}`;
+  const reportRef = db.collection('families').doc(familyId).collection('reports').doc(reportId);
+
+  const existing = await reportRef.get();
+  if (existing.exists) {
+    return false;
+  }
+
+  // Local midnight (days - 1) days ago up to now
+  const periodStartMs = zonedTimeToMillis(today.year, today.month, today.day - (days - 1), 0, 0, timeZone);
+  const dateStrings = [];
+  for (let i = days - 1; i >= 0; i--) {
+    dateStrings.push(getDateString(nowMillis - i * DAY_MS, timeZone));
+  }
+
+  const digest = await buildDigest(familyId, familyData, periodStartMs, nowMillis, dateStrings, timeZone);
+
+  await reportRef.set({
+    type: period,
+    ...digest,
+    createdAt: admin.firestore.Timestamp.fromMillis(nowMillis),
+  });
+
+  const results = await sendTemplatedNotification(familyId, `${period}_digest`, {
+    elderlyName,
+    totalMeals: digest.totalMeals,
+    averageMealsPerDay: digest.averageMealsPerDay,
+    longestInactivityHours: digest.longestInactivity.hours,
+    alertsRaised: digest.alerts.raisedTotal,
+  }, {
+    type: `${period}_digest`,
+    elderlyName: elderlyName,
+    familyId: familyId,
+    reportId: reportId,
+    timestamp: new Date(nowMillis).toISOString(),
+  });
+
+  await reportRef.update({
+    sentTo: results.filter(r => r.success).length,
+  });
+
+  opsLog.info('digest_sent', `${period} digest sent`, { familyId, period, reportId });
+  return true;
+}
+
+// Send the digests that are due for one family at this hour
+async function processFamilyDigest(familyDoc, nowMillis) {
+  const settings = familyDoc.data().settings;
+  const digest = getDigestSettings(settings);
+
+  if (!digest.enabled) {
+    return 0;
+  }
+
+  const timeZone = getFamilyTimeZone(settings);
+  const local = getZonedParts(nowMillis, timeZone);
+
+  if (local.hour !== digest.hour) {
+    return 0;
+  }
+
+  let sent = 0;
+  try {
+    if (digest.daily && await sendDigest(familyDoc, 'daily', nowMillis, timeZone)) {
+      sent++;
+    }
+    if (digest.weekly && local.weekday === digest.weeklyDay &&
+        await sendDigest(familyDoc, 'weekly', nowMillis, timeZone)) {
+      sent++;
+    }
+  } catch (error) {
+    opsLog.error('digest_failed', 'Failed to send digest', { familyId: familyDoc.id }, error);
+  }
+  return sent;
+}
+
+// Send daily and weekly wellbeing digests at each family's chosen local hour
+exports.sendWellbeingDigests = functions.runWith({
+  timeoutSeconds: 540
+}).pubsub
+  .schedule('every 1 hours')
+  .timeZone('Asia/Seoul')
+  .onRun(async (context) => {
+    const nowMillis = Date.now();
+    let familiesScanned = 0;
+    let digestsSent = 0;
+
+    try {
+      let lastDoc = null;
+      let hasMore = true;
+
+      while (hasMore) {
+        let query = db.collection('families')
+          .where('isActive', '==', true)
+          .orderBy(admin.firestore.FieldPath.documentId())
+          .limit(DIGEST_PAGE_SIZE);
+        if (lastDoc) {
+          query = query.startAfter(lastDoc);
+        }
+
+        const page = await query.get();
+        hasMore = page.size === DIGEST_PAGE_SIZE;
+        if (page.empty) {
+          break;
+        }
+        lastDoc = page.docs[page.docs.length - 1];
+        familiesScanned += page.size;
+
+        const sent = await runWithConcurrency(page.docs, DIGEST_CONCURRENCY,
+          familyDoc => processFamilyDigest(familyDoc, nowMillis));
+        digestsSent += sent.reduce((a, b) => a + b, 0);
+      }
+
+      opsLog.info('digests_run', `Wellbeing digests: ${digestsSent} sent, ${familiesScanned} families scanned`, {
+        digestsSent,
+        familiesScanned,
+      });
+    } catch (error) {
+      opsLog.error('digests_run_failed', 'Error sending wellbeing digests', {}, error);
+    }
+  });
+
+exports.getDigestSettings = getDigestSettings;
+exports.summarizeBattery = summarizeBattery;